@@ -0,0 +1,132 @@
+/**
+ * analysisEngine.js - Message protocol for the analysis engine
+ * The content script sends extracted text plus ids; the engine runs in a dedicated worker
+ * (analysisWorker.js, hosted by offscreen.html) so large threads don't block the page.
+ * Falls back to analyzing on the page when the worker is unavailable.
+ *
+ * Requests: { type, payload } -> responses: { result }, { error } or { error, unavailable: true }
+ * - analyzeContents:   { items: [{ id, text, scope, authors, domains, parent }], options } -> [{ id, analysis }]
+ * - analyzeProfiles:   { profiles: [{ id, profile }], options } -> [{ id, analysis }]
+ * - detectCoordinated: { items: [{ id, text }], threshold }   -> { hasSuspiciousPatterns, matches }
+ * - minHashSignatures: { texts }                               -> [signature (array) or null]
+ */
+
+class AnalysisEngine {
+  constructor() {
+    this.analyzer = null; // Local ProfileAnalyzer, created only when the worker is unavailable
+    this.useWorker = true;
+  }
+
+  /**
+   * Run a request with the given analyzer (used by the worker and by the local fallback)
+   */
+  static handle(analyzer, type, payload) {
+    switch (type) {
+      case 'analyzeContents':
+        return payload.items.map(({ id, text, scope, authors, domains, parent }) => ({
+          id,
+          analysis: analyzer.analyzeContent(text, { ...payload.options, scope, authors, domains, parent })
+        }));
+
+      case 'analyzeProfiles':
+        return payload.profiles.map(({ id, profile }) => ({ id, analysis: analyzer.analyzeProfile(profile, payload.options) }));
+
+      case 'detectCoordinated':
+        return TextAnalysisUtils.detectCoordinatedComments(payload.items, payload.threshold);
+
+      case 'minHashSignatures': {
+        const index = new MinHashIndex();
+        return payload.texts.map((text) => {
+          const signature = index.signature(text);
+          return signature ? Array.from(signature) : null;
+        });
+      }
+
+      default:
+        throw new Error(`Unknown engine request: ${type}`);
+    }
+  }
+
+  /**
+   * Send a request to the worker, falling back to the page when no worker answers
+   */
+  async request(type, payload) {
+    if (this.useWorker) {
+      let response;
+      try {
+        response = await chrome.runtime.sendMessage({
+          action: 'engineRequest',
+          request: { type, payload }
+        });
+      } catch (error) {
+        response = null;
+        logger.warn('Analysis worker unreachable:', error.message);
+      }
+
+      if (response && response.error && !response.unavailable) {
+        throw new Error(response.error);
+      }
+      if (response && 'result' in response) {
+        return response.result;
+      }
+
+      logger.warn('Analysis worker unavailable, analyzing on the page instead');
+      this.useWorker = false;
+    }
+
+    return this.runLocally(type, payload);
+  }
+
+  /**
+   * Run a request on the page's main thread
+   */
+  runLocally(type, payload) {
+    if (!this.analyzer) {
+      this.analyzer = new ProfileAnalyzer();
+    }
+    return AnalysisEngine.handle(this.analyzer, type, payload);
+  }
+
+  /**
+   * Analyze comment/post texts
+   * @param {Array} items - [{ id, text, scope, authors, domains, parent }], scope being 'comment' or 'post';
+   *   authors (handle/name) and linked domains are only needed when custom rules match on them;
+   *   parent is the text of the comment replied to, if known
+   * @param {Object} options - { platform, disabledDetectors, rules }
+   * @returns {Promise<Array>} [{ id, analysis }]
+   */
+  analyzeContents(items, options = {}) {
+    return items.length > 0 ? this.request('analyzeContents', { items, options }) : Promise.resolve([]);
+  }
+
+  /**
+   * Analyze profiles (profile pages or an author's comments on a page)
+   * @param {Array} profiles - [{ id, profile }]
+   * @param {Object} options - { platform, disabledDetectors }
+   * @returns {Promise<Array>} [{ id, analysis }]
+   */
+  analyzeProfiles(profiles, options = {}) {
+    return profiles.length > 0 ? this.request('analyzeProfiles', { profiles, options }) : Promise.resolve([]);
+  }
+
+  /**
+   * Find similar comments; match indices refer to positions in items
+   * @param {Array} items - [{ id, text }]
+   */
+  detectCoordinated(items, threshold) {
+    return this.request('detectCoordinated', { items, threshold });
+  }
+
+  /**
+   * MinHash signatures of texts, for a CoordinationIndex kept on the page
+   * @returns {Promise<Array>} One signature (array of numbers) or null per text
+   */
+  minHashSignatures(texts) {
+    return texts.length > 0 ? this.request('minHashSignatures', { texts }) : Promise.resolve([]);
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.AnalysisEngine = AnalysisEngine;
+}
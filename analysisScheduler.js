@@ -0,0 +1,190 @@
+/**
+ * analysisScheduler.js - Viewport-driven, idle-time work scheduler for the content script
+ * Comments in or near the viewport (IntersectionObserver) are analyzed first, in
+ * requestIdleCallback slices under a per-frame time budget. Runs honor ANALYSIS_TIMEOUT_MS,
+ * can be cancelled (navigation) and report progress.
+ */
+
+class AnalysisScheduler {
+  /**
+   * @param {Object} options - { onProgress(progress), onNearViewport() }
+   */
+  constructor(options = {}) {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      PERFORMANCE: { ANALYSIS_TIMEOUT_MS: 30000 },
+      SCHEDULER: { FRAME_BUDGET_MS: 8, IDLE_TIMEOUT_MS: 500, ROOT_MARGIN: '100% 0px' }
+    };
+
+    this.frameBudget = config.SCHEDULER.FRAME_BUDGET_MS;
+    this.idleTimeout = config.SCHEDULER.IDLE_TIMEOUT_MS;
+    this.runTimeout = config.PERFORMANCE.ANALYSIS_TIMEOUT_MS;
+
+    this.onProgress = options.onProgress || (() => {});
+    this.onNearViewport = options.onNearViewport || (() => {});
+
+    this.queue = new Map(); // element -> work item, in insertion (document) order
+    this.near = new Set(); // queued elements in or near the viewport
+    this.visibleOnly = false; // When true, items far from the viewport wait until scrolled near
+    this.generation = 0; // Bumped by cancel() to stop the running loop
+
+    this.observer = typeof IntersectionObserver !== 'undefined'
+      ? new IntersectionObserver(entries => this.handleIntersections(entries), {
+        rootMargin: config.SCHEDULER.ROOT_MARGIN
+      })
+      : null;
+  }
+
+  /**
+   * Track which queued elements are near the viewport
+   */
+  handleIntersections(entries) {
+    let becameNear = false;
+
+    entries.forEach(({ target, isIntersecting }) => {
+      if (!this.queue.has(target)) return;
+      if (isIntersecting) {
+        becameNear = becameNear || !this.near.has(target);
+        this.near.add(target);
+      } else {
+        this.near.delete(target);
+      }
+    });
+
+    if (becameNear) {
+      this.onNearViewport();
+    }
+  }
+
+  /**
+   * Queue work items ({ element, ... }); already queued elements are ignored
+   */
+  enqueue(items) {
+    items.forEach((item) => {
+      if (this.queue.has(item.element)) return;
+      this.queue.set(item.element, item);
+
+      if (this.observer) {
+        this.observer.observe(item.element);
+      } else {
+        this.near.add(item.element); // Without IntersectionObserver everything counts as visible
+      }
+    });
+  }
+
+  /**
+   * Remove an item from the queue
+   */
+  dequeue(element) {
+    this.queue.delete(element);
+    this.near.delete(element);
+    if (this.observer) {
+      this.observer.unobserve(element);
+    }
+  }
+
+  /**
+   * Whether the queue has items a run would process now
+   */
+  hasRunnableWork() {
+    return this.visibleOnly ? this.near.size > 0 : this.queue.size > 0;
+  }
+
+  /**
+   * Next item to process: near the viewport first, then in document order
+   */
+  nextItem() {
+    for (const element of this.near) {
+      return this.queue.get(element);
+    }
+    if (this.visibleOnly) return null;
+
+    for (const item of this.queue.values()) {
+      return item;
+    }
+    return null;
+  }
+
+  /**
+   * Drop all queued work and stop the running loop at its next slice
+   */
+  cancel() {
+    this.generation++;
+    this.queue.forEach((_, element) => {
+      if (this.observer) this.observer.unobserve(element);
+    });
+    this.queue.clear();
+    this.near.clear();
+  }
+
+  /**
+   * Resolve on the next idle period (requestIdleCallback, or a short timeout where unavailable)
+   */
+  waitForIdle() {
+    return new Promise((resolve) => {
+      if (typeof requestIdleCallback === 'function') {
+        requestIdleCallback(resolve, { timeout: this.idleTimeout });
+      } else {
+        setTimeout(() => resolve({ didTimeout: true, timeRemaining: () => this.frameBudget }), 1);
+      }
+    });
+  }
+
+  /**
+   * Process the queue in idle slices
+   * @param {Function} extract - (item) => extraction or null; synchronous DOM work, run inside the slice budget
+   * @param {Function} analyze - async (extractions) => void; runs after each slice
+   * @returns {Promise<Object>} { status: 'complete'|'timedOut'|'cancelled', processed, remaining }
+   */
+  async run(extract, analyze) {
+    const generation = this.generation;
+    const startedAt = performance.now();
+    const total = this.visibleOnly ? this.near.size : this.queue.size;
+    let processed = 0;
+
+    const progress = status => ({
+      status,
+      processed,
+      total: Math.max(total, processed),
+      remaining: this.queue.size
+    });
+
+    while (this.hasRunnableWork()) {
+      if (performance.now() - startedAt > this.runTimeout) {
+        return progress('timedOut');
+      }
+
+      const deadline = await this.waitForIdle();
+      if (generation !== this.generation) return progress('cancelled');
+
+      // Take items while the slice's budget lasts (always at least one)
+      const sliceStart = performance.now();
+      const extractions = [];
+      do {
+        const item = this.nextItem();
+        if (!item) break;
+        this.dequeue(item.element);
+        processed++;
+
+        const extraction = extract(item);
+        if (extraction) extractions.push(extraction);
+      } while (
+        performance.now() - sliceStart < this.frameBudget &&
+        (deadline.didTimeout || deadline.timeRemaining() > 0)
+      );
+
+      if (extractions.length > 0) {
+        await analyze(extractions);
+      }
+      if (generation !== this.generation) return progress('cancelled');
+
+      this.onProgress(progress('running'));
+    }
+
+    return progress('complete');
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.AnalysisScheduler = AnalysisScheduler;
+}
@@ -0,0 +1,38 @@
+/**
+ * analysisWorker.js - Dedicated worker running the analysis engine
+ * Created by offscreen.js; receives { id, type, payload } and replies { id, result } or { id, error }
+ */
+
+self.importScripts(
+  'config.js',
+  'logger.js',
+  'lib/textPipeline.js',
+  'lib/languageId.js',
+  'lib/stemmer.js',
+  'lib/phraseMatcher.js',
+  'lib/emotions.js',
+  'lib/emoji.js',
+  'lib/sarcasm.js',
+  'lib/toxicity.js',
+  'lib/sentiment.js',
+  'utils.js',
+  'scoringModel.js',
+  'detectorRegistry.js', // Scripts registering custom detectors go after this one
+  'ruleEngine.js',
+  'profileAnalyzer.js',
+  'analysisEngine.js'
+);
+
+const analyzer = new ProfileAnalyzer();
+
+self.onmessage = (event) => {
+  const { id, type, payload } = event.data;
+
+  try {
+    const result = AnalysisEngine.handle(analyzer, type, payload);
+    self.postMessage({ id, result });
+  } catch (error) {
+    logger.error('Worker request failed:', type, error);
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -15,7 +15,7 @@ chrome.runtime.onInstalled.addListener((details) => {
     chrome.storage.sync.set({
       autoAnalyze: true,
       showIndicators: true,
-      flagThreshold: 0.5
+      flagThreshold: CONFIG.THRESHOLDS.FLAG_THRESHOLD
     });
 
     // Open welcome page (optional)
@@ -36,6 +36,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({ success: true });
       return false; // Synchronous response
 
+    case 'analysisProgress':
+      // Progress updates are meant for the popup
+      return false;
+
+    case 'engineRequest':
+      // Run the analysis engine in the offscreen document's worker
+      runEngineRequest(request.request)
+        .then(sendResponse)
+        .catch((error) => {
+          // The worker could not be reached; the content script analyzes on the page instead
+          logger.error('Engine request failed:', error);
+          sendResponse({ error: error.message, unavailable: true });
+        });
+      return true; // Keep channel open for async response
+
     case 'getSettings':
       chrome.storage.sync.get(['autoAnalyze', 'showIndicators', 'flagThreshold'], (result) => {
         sendResponse(result);
@@ -48,6 +63,40 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+let offscreenCreating = null; // Pending createDocument call, shared by concurrent requests
+
+/**
+ * Make sure the offscreen document hosting the analysis worker exists
+ */
+async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument()) return;
+
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['WORKERS'],
+      justification: 'Run text analysis in a worker so pages stay responsive'
+    }).finally(() => {
+      offscreenCreating = null;
+    });
+  }
+
+  await offscreenCreating;
+}
+
+/**
+ * Forward an engine request to the offscreen document
+ * @returns {Promise<Object>} { result } or { error }
+ */
+async function runEngineRequest(request) {
+  await ensureOffscreenDocument();
+  return chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'engineRequest',
+    request
+  });
+}
+
 /**
  * Update extension badge with suspicious item count
  */
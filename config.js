@@ -9,31 +9,103 @@ const CONFIG = {
     BUZZWORD_DENSITY: 0.15,        // 15% buzzword density is suspicious
     AI_PATTERN_SCORE: 0.6,          // 60% AI likelihood threshold
     REPETITION_SCORE: 0.4,          // 40% similarity between posts
-    SUSPICION_SCORE: 0.4,           // General suspicion threshold
+    FLAG_THRESHOLD: 0.5,            // Default score at which content and profiles are flagged (user setting)
     SIMILARITY: 0.7,                // 70% similarity for coordinated comments
     EXTREME_SENTIMENT_RATIO: 0.5,   // 50% posts with extreme sentiment
     POSTING_SIMILARITY: 0.7,        // 70% similarity between posts
     MIN_POSTS_FOR_ANALYSIS: 3,      // Need at least 3 posts for pattern analysis
     SENTENCE_VARIANCE: 20,          // Low variance threshold for AI detection
     SPAM_CONFIDENCE: 0.3,           // Spam pattern confidence multiplier
-    USERNAME_SUSPICION: 0.3,        // Username suspicion threshold
-    LANGUAGE_CONFIDENCE: 0.3,       // Minimum confidence for language detection
-    MIN_TOKENS_FOR_LANG_DETECT: 10  // Minimum tokens needed for language detection
+    EMOTION_INTENSITY: 0.2,         // 20% of words carrying a dominant hostile emotion
+    USERNAME_SUSPICION: 0.3         // Username suspicion threshold
+  },
+
+  // Language identification (lib/languageId.js); below these limits the language is 'unknown'
+  LANGUAGE_ID: {
+    MIN_LETTERS: 12,                // Fewer letters are too little evidence
+    MIN_CONFIDENCE: 0.5,            // Minimum posterior probability of the best language
+    MIN_COVERAGE: 0.5,              // Minimum share of the text's n-grams known to the best language
+    MAX_TEXT_LENGTH: 1000           // Only the start of longer texts is used
+  },
+
+  // Emotion classification (lib/emotions.js); a text is dominated by an emotion with both
+  EMOTIONS: {
+    DOMINANT_SHARE: 0.5,            // Share of the text's emotion words carrying it
+    MIN_COUNT: 2                    // Emotion words carrying it
+  },
+
+  // Toxicity (lib/toxicity.js); terms weigh their tier (1-3), times the multiplier when aimed at someone
+  TOXICITY: {
+    TARGET_WINDOW: 3,               // Words between a term and "you" that still aim it at someone
+    TARGET_MULTIPLIER: 1.5,         // Extra weight for terms aimed at someone
+    SCORE_SCALE: 4.5,               // Total weight for a score of 1 (one severe term aimed at someone)
+    MODERATE: 0.4,                  // Score from which toxicity is moderate
+    SEVERE: 0.8                     // Score from which toxicity is severe
+  },
+
+  // Sarcasm (lib/sarcasm.js); cue weights combine as independent chances into a probability
+  SARCASM: {
+    NEUTRALIZE: 0.4,                // Probability from which positive words count (1 - probability) as much
+    INVERT: 0.7,                    // Probability from which positive words count as negative
+    INVERTED_SCALE: 0.5,            // How much inverted words count
+    CUES: {
+      TAG: 0.95,                    // "/s"
+      MOCKING_EMOJI: 0.5,           // Positive words alongside 🙄, 🤡, 🙃
+      SCARE_QUOTES: 0.35,           // A positive word in quotes ("such a “helpful” answer")
+      INTENSIFIER: 0.35,            // A boosted positive word in a negative context ("so helpful" next to "useless")
+      NEGATIVE_PARENT: 0.3          // A positive reply to a negative comment
+    }
+  },
+
+  // Emoji statistics (lib/emoji.js); emoji spam needs the minimum count and either limit
+  EMOJI: {
+    SPAM_MIN_COUNT: 5,              // Fewer emoji are never spam
+    SPAM_DENSITY: 0.5,              // Half or more of the words and emoji are emoji
+    SPAM_REPEAT: 4                  // The same emoji 4+ times in a row
   },
 
   // Performance limits
   PERFORMANCE: {
     MAX_POSTS_TO_ANALYZE: 50,       // Limit posts to analyze for performance
     MAX_SENTENCES_TO_COMPARE: 50,   // Limit sentences in repetition detection
-    MAX_COMMENTS_TO_COMPARE: 100,   // Limit comments for coordinated detection
+    MAX_COMMENTS_TO_COMPARE: 5000,  // Limit comments for coordinated detection
     MUTATION_DEBOUNCE_MS: 2000,     // Debounce time for DOM mutations
-    MAX_ELEMENT_COUNT: 5000,        // Skip auto-analysis if page has too many elements
+    CLUSTER_DEBOUNCE_MS: 3000,      // Debounce time for cluster updates after incremental runs
+    SAVE_THROTTLE_MS: 2000,         // Minimum time between writes of the results to storage
+    MAX_ELEMENT_COUNT: 5000,        // Above this, auto-analysis only covers comments near the viewport
     MAX_TEXT_LENGTH: 1000,          // Maximum text length for algorithms
-    ANALYSIS_TIMEOUT_MS: 30000,     // Timeout for manual analysis
-    COMPARISON_WINDOW_LARGE: 6,     // Window size for large dataset comparisons
-    COMPARISON_WINDOW_SMALL: 4,     // Window size for smaller comparisons
-    LARGE_DATASET_THRESHOLD: 20,    // Threshold to switch to optimized algorithms
-    COORDINATED_COMPARE_WINDOW: 11  // Window for coordinated comment detection
+    ANALYSIS_TIMEOUT_MS: 30000,     // Maximum duration of one analysis run
+    LARGE_DATASET_THRESHOLD: 20     // Above this, similarity uses MinHash/LSH instead of all pairs
+  },
+
+  // Near-duplicate detection (MinHash/LSH)
+  NEAR_DUPLICATE: {
+    NUM_HASHES: 64,                 // MinHash signature length
+    SHINGLE_SIZE: 5,                // Character shingle length
+    JACCARD_THRESHOLD: 0.5          // Minimum estimated Jaccard similarity for a near-duplicate pair
+  },
+
+  // Viewport-driven analysis scheduling
+  SCHEDULER: {
+    FRAME_BUDGET_MS: 8,             // Main-thread time per idle slice
+    IDLE_TIMEOUT_MS: 500,           // Run a slice after this long even if the page never goes idle
+    ROOT_MARGIN: '100% 0px'         // Comments within one screen of the viewport count as visible
+  },
+
+  // Selector health self-check
+  SELECTOR_HEALTH: {
+    DEFAULT_MIN_SIGNALS: 3,         // Comment markers needed when a platform defines no minSignals
+    DEGRADED_RATIO: 0.5             // Below 50% of containers yielding text is degraded
+  },
+
+  // Analysis engine (worker) messaging
+  ENGINE: {
+    BATCH_SIZE: 100                 // Texts sent to the analysis worker per request
+  },
+
+  // Page-level author profiling
+  AUTHOR_ANALYSIS: {
+    MIN_COMMENTS: 2                 // Comments by one author on a page before profiling them
   },
 
   // UI settings
@@ -45,6 +117,8 @@ const CONFIG = {
   },
 
   // Algorithm weights
+  // CONTENT_ANALYSIS and PROFILE_ANALYSIS weight normalized 0-1 signals; a weight is the most
+  // that signal adds to the final score (capped at 1)
   WEIGHTS: {
     AI_DETECTION: {
       BUZZWORD_DENSITY: 0.3,
@@ -52,6 +126,14 @@ const CONFIG = {
       SENTENCE_LENGTH: 0.2,
       FORMALITY_SCORE: 0.2
     },
+    CONTENT_ANALYSIS: {
+      AI_PATTERNS: 0.3,
+      EXTREME_SENTIMENT: 0.2,
+      BUZZWORDS: 0.2,
+      SPAM: 0.4,
+      HOSTILE_EMOTION: 0.3,
+      TOXICITY: 0.5
+    },
     PROFILE_ANALYSIS: {
       BIO_AI_PATTERNS: 0.2,
       BIO_BUZZWORDS: 0.15,
@@ -60,6 +142,19 @@ const CONFIG = {
       POST_AI_PATTERNS: 0.25,
       POSTING_FREQUENCY: 0.15,
       USERNAME: 0.1
+    },
+    // Per-platform overrides of the tables above
+    PLATFORMS: {
+      linkedin: {
+        CONTENT_ANALYSIS: { BUZZWORDS: 0.1, AI_PATTERNS: 0.35 }, // Business jargon is normal here
+        PROFILE_ANALYSIS: { BIO_BUZZWORDS: 0.1, USERNAME: 0.05 }
+      },
+      youtube: {
+        CONTENT_ANALYSIS: { SPAM: 0.5, EXTREME_SENTIMENT: 0.25, BUZZWORDS: 0.15 }
+      },
+      reddit: {
+        PROFILE_ANALYSIS: { USERNAME: 0.05, POST_REPETITION: 0.3 } // Generated Word_Word1234 names are the default
+      }
     }
   },
 
@@ -5,28 +5,45 @@
 
 class TrollDetector {
   constructor() {
-    this.analyzer = new ProfileAnalyzer();
-    this.sentimentAnalyzer = new SentimentAnalyzer();
+    this.engine = new AnalysisEngine(); // Runs the analysis in a worker off the page's main thread
+    this.scheduler = new AnalysisScheduler({
+      onProgress: progress => this.reportProgress(progress),
+      onNearViewport: () => this.analyzeIncremental()
+    });
     this.utils = TextAnalysisUtils;
 
-    this.platformDetector = this.detectPlatform();
+    this.selectors = {}; // Loaded from platformSelectors.json in init()
+    this.platformDetector = { platform: 'generic', name: 'Generic' };
     this.analyzedElements = new WeakSet();
     this.analyzedContent = new Map(); // Content hash -> analysis result for deduplication
+    this.commentTexts = new Map(); // Comment id -> text, for the parent of a reply
     this.analysisResults = {
       comments: [],
       profiles: [],
+      authors: [],
       overallStats: {}
     };
+    this.pageComments = []; // { entry, element, text } for each recorded comment in the current run
+    this.coordination = this.createCoordination(); // Near-duplicate clusters, updated as comments are added
 
     this.settings = {
       autoAnalyze: true,
       showIndicators: true,
       showCleanIndicators: true,  // Show green shields for clean content
-      flagThreshold: 0.5
+      flagThreshold: 0.5,
+      disabledDetectors: {}       // Platform -> ids of detectors turned off in the options page
     };
+    this.rules = []; // Custom rules from the options page, see ruleEngine.js
+
+    this.diagnostics = null; // Selector health for the latest run
 
     this.isAnalyzing = false; // Prevent concurrent analyses
     this.analysisTimeout = null;
+    this.saveTimer = null; // Pending write of the results to storage
+    this.pendingNodes = new Set(); // Nodes added since the last run, analyzed incrementally
+    this.incrementalQueued = false;
+    this.fullRunQueued = false;
+    this.currentUrl = window.location.href; // A change means navigation and a full re-analysis
 
     this.init();
   }
@@ -35,8 +52,11 @@ class TrollDetector {
    * Initialize the detector
    */
   async init() {
-    // Load settings from storage
+    // Load settings and platform selectors
     await this.loadSettings();
+    this.rules = await RuleEngine.load();
+    this.selectors = await this.loadSelectors();
+    this.platformDetector = this.detectPlatform();
 
     logger.info('Initialized on platform:', this.platformDetector.platform);
 
@@ -51,25 +71,110 @@ class TrollDetector {
       return true; // Keep channel open for async response
     });
 
+    // Reload selectors when the user edits selector overrides, re-classify when the threshold changes,
+    // re-analyze when detectors or custom rules change
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && changes[SelectorPacks.STORAGE_KEY]) {
+        this.reloadSelectors();
+      }
+      if (namespace === 'local' && changes[RuleEngine.STORAGE_KEY]) {
+        this.rules = changes[RuleEngine.STORAGE_KEY].newValue || [];
+        if (this.settings.autoAnalyze) {
+          this.requestFullAnalysis();
+        }
+      }
+      if (namespace === 'sync' && changes.flagThreshold) {
+        this.setFlagThreshold(changes.flagThreshold.newValue);
+      }
+      if (namespace === 'sync' && changes.disabledDetectors) {
+        this.settings.disabledDetectors = changes.disabledDetectors.newValue || {};
+        if (this.settings.autoAnalyze) {
+          this.requestFullAnalysis();
+        }
+      }
+    });
+
     // Watch for new content (dynamic loading)
     this.observeDOM();
   }
 
   /**
-   * Detect which platform we're on
+   * Load platform selector definitions bundled with the extension
+   * and merge the user's selector overrides over them
+   */
+  async loadSelectors() {
+    let bundled = {};
+    try {
+      const response = await fetch(chrome.runtime.getURL('platformSelectors.json'));
+      bundled = await response.json();
+    } catch (error) {
+      logger.error('Error loading platform selectors:', error);
+    }
+
+    const overrides = await SelectorPacks.load();
+    return SelectorPacks.merge(bundled, overrides);
+  }
+
+  /**
+   * Reload selectors after the overrides changed
+   */
+  async reloadSelectors() {
+    this.selectors = await this.loadSelectors();
+    this.platformDetector = this.detectPlatform();
+    logger.info('Selector overrides updated');
+  }
+
+  /**
+   * Detect which platform we're on using the hosts listed in platformSelectors.json
    */
   detectPlatform() {
     const hostname = window.location.hostname;
 
-    if (hostname.includes('linkedin.com')) {
-      return { platform: 'linkedin', name: 'LinkedIn' };
-    } else if (hostname.includes('youtube.com')) {
-      return { platform: 'youtube', name: 'YouTube' };
-    } else if (hostname.includes('reddit.com')) {
-      return { platform: 'reddit', name: 'Reddit' };
-    } else {
-      return { platform: 'generic', name: 'Generic' };
+    for (const [platform, definition] of Object.entries(this.selectors)) {
+      const hosts = Array.isArray(definition.hosts) ? definition.hosts : [];
+      if (hosts.some(host => hostname.includes(host))) {
+        return { platform, name: definition.name || platform };
+      }
     }
+
+    return { platform: 'generic', name: 'Generic' };
+  }
+
+  /**
+   * Get the selector definition for the current platform
+   */
+  getPlatformSelectors() {
+    return this.selectors[this.platformDetector.platform] || this.selectors.generic || {};
+  }
+
+  /**
+   * Get the extraction sections (posts, comments, ...) for the current platform
+   * A section is any entry that defines a container selector
+   */
+  getSections() {
+    const platformSelectors = this.getPlatformSelectors();
+    return Object.entries(platformSelectors)
+      .filter(([, section]) => section && typeof section.container === 'string')
+      .map(([name, section]) => ({ name, ...section }));
+  }
+
+  /**
+   * Engine options selecting the current platform's scoring weights, enabled detectors and custom rules
+   */
+  getScoringOptions() {
+    const platform = this.platformDetector.platform;
+    return {
+      platform,
+      disabledDetectors: this.settings.disabledDetectors[platform] || [],
+      rules: this.rules
+    };
+  }
+
+  /**
+   * Get a comma-joined selector matching every container on the current platform
+   */
+  getContainerSelector() {
+    return this.getSections().map(section => section.container).join(', ');
   }
 
   /**
@@ -132,13 +237,18 @@ class TrollDetector {
    * Load settings from Chrome storage
    */
   async loadSettings() {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      THRESHOLDS: { FLAG_THRESHOLD: 0.5 }
+    };
+
     return new Promise((resolve) => {
-      chrome.storage.sync.get(['autoAnalyze', 'showIndicators', 'showCleanIndicators', 'flagThreshold'], (result) => {
+      chrome.storage.sync.get(['autoAnalyze', 'showIndicators', 'showCleanIndicators', 'flagThreshold', 'disabledDetectors'], (result) => {
         this.settings = {
           autoAnalyze: result.autoAnalyze !== false, // Default true
           showIndicators: result.showIndicators !== false, // Default true
           showCleanIndicators: result.showCleanIndicators !== false, // Default true
-          flagThreshold: result.flagThreshold || 0.5
+          flagThreshold: typeof result.flagThreshold === 'number' ? result.flagThreshold : config.THRESHOLDS.FLAG_THRESHOLD,
+          disabledDetectors: result.disabledDetectors || {}
         };
         resolve();
       });
@@ -146,17 +256,50 @@ class TrollDetector {
   }
 
   /**
-   * Save analysis results to Chrome storage
+   * Save a summary of the analysis results to Chrome storage, at most once per SAVE_THROTTLE_MS
    */
   async saveResults() {
-    const data = {
-      url: window.location.href,
-      platform: this.platformDetector.platform,
-      timestamp: Date.now(),
-      results: this.analysisResults
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      PERFORMANCE: { SAVE_THROTTLE_MS: 2000 }
     };
 
-    chrome.storage.local.set({ latestAnalysis: data });
+    if (this.saveTimer) return; // The pending save picks up these results too
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      chrome.storage.local.set({
+        latestAnalysis: {
+          url: window.location.href,
+          platform: this.platformDetector.platform,
+          timestamp: Date.now(),
+          results: this.summarizeResults()
+        }
+      });
+    }, config.PERFORMANCE.SAVE_THROTTLE_MS);
+  }
+
+  /**
+   * Counts, scores and flags of the analysis results, without the per-item analysis details
+   */
+  summarizeResults() {
+    const { comments, profiles, authors, overallStats, diagnostics } = this.analysisResults;
+    const summarize = ({ suspicionScore, isSuspicious, flags }) => ({ suspicionScore, isSuspicious, flags });
+    const summarizeProfile = ({ overallScore, isLikelySuspicious, flags }) => ({ overallScore, isLikelySuspicious, flags });
+
+    return {
+      comments: comments.map(({ type, text, author, analysis }) => ({
+        type,
+        text: text.substring(0, 100),
+        author: author ? author.name || author.handle : null,
+        analysis: summarize(analysis)
+      })),
+      profiles: profiles.map(({ type, url, analysis }) => ({ type, url, analysis: summarizeProfile(analysis) })),
+      authors: authors.map(({ key, name, handle, commentCount, analysis }) => ({
+        key, name, handle, commentCount, analysis: summarizeProfile(analysis)
+      })),
+      overallStats,
+      diagnostics
+    };
   }
 
   /**
@@ -165,7 +308,7 @@ class TrollDetector {
   handleMessage(request, sendResponse) {
     switch (request.action) {
       case 'analyzeNow':
-        this.startAnalysis();
+        this.startAnalysis({ manual: true });
         sendResponse({ success: true });
         break;
 
@@ -173,8 +316,10 @@ class TrollDetector {
         sendResponse({ results: this.analysisResults });
         break;
 
-      case 'updateSettings':
-        this.settings = { ...this.settings, ...request.settings };
+      case 'updateSettings': {
+        const { flagThreshold, ...settings } = request.settings;
+        this.settings = { ...this.settings, ...settings };
+        this.setFlagThreshold(flagThreshold);
         chrome.storage.sync.set(this.settings);
 
         // Update badge visibility based on new settings
@@ -182,6 +327,7 @@ class TrollDetector {
 
         sendResponse({ success: true });
         break;
+      }
 
       default:
         sendResponse({ error: 'Unknown action' });
@@ -191,7 +337,11 @@ class TrollDetector {
   /**
    * Start the analysis process
    */
-  async startAnalysis() {
+  async startAnalysis(options = {}) {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      PERFORMANCE: { MAX_ELEMENT_COUNT: 5000 }
+    };
+
     // Prevent concurrent analyses
     if (this.isAnalyzing) {
       logger.log('Analysis already in progress, skipping...');
@@ -201,79 +351,197 @@ class TrollDetector {
     this.isAnalyzing = true;
     logger.log('Starting analysis...');
 
+    // Drop work queued for the previous page state; on large pages automatic runs
+    // only analyze what is near the viewport and continue as the user scrolls
+    this.scheduler.cancel();
+    this.scheduler.visibleOnly = !options.manual &&
+      document.querySelectorAll('*').length > config.PERFORMANCE.MAX_ELEMENT_COUNT;
+
     // Reset deduplication trackers for this run so fresh analyses are counted
     this.analyzedElements = new WeakSet();
     this.analyzedContent = new Map();
+    this.commentTexts = new Map();
 
     try {
       // Reset results
       this.analysisResults = {
         comments: [],
         profiles: [],
+        authors: [],
         overallStats: {}
       };
+      this.pageComments = [];
+      this.resetCoordination();
+
+      this.pendingNodes.clear();
+      this.currentUrl = window.location.href;
+
+      // Analyze using the current platform's selector definitions
+      this.diagnostics = this.createDiagnostics();
+      const result = await this.analyzePlatform();
 
-      // Analyze based on platform
-      switch (this.platformDetector.platform) {
-        case 'linkedin':
-          await this.analyzeLinkedIn();
-          break;
-        case 'youtube':
-          await this.analyzeYouTube();
-          break;
-        case 'reddit':
-          await this.analyzeReddit();
-          break;
-        default:
-          await this.analyzeGeneric();
+      if (result.status === 'cancelled') {
+        logger.log('Analysis cancelled');
+        return;
       }
+      await this.finishRun();
+    } catch (error) {
+      logger.error('Analysis error:', error);
+    } finally {
+      this.isAnalyzing = false;
+      this.runQueuedIncremental();
+    }
+  }
 
-      // Calculate overall statistics
-      this.calculateOverallStats();
+  /**
+   * Cancel the running analysis and re-analyze the whole page (navigation, detector changes)
+   */
+  requestFullAnalysis() {
+    this.scheduler.cancel();
 
-      // Save results
-      await this.saveResults();
+    if (this.isAnalyzing) {
+      this.fullRunQueued = true;
+    } else {
+      this.startAnalysis();
+    }
+  }
+
+  /**
+   * Run analysis that was requested while another run was in progress
+   */
+  runQueuedIncremental() {
+    if (this.fullRunQueued) {
+      this.fullRunQueued = false;
+      this.incrementalQueued = false;
+      this.startAnalysis();
+    } else if (this.incrementalQueued && (this.pendingNodes.size > 0 || this.scheduler.hasRunnableWork())) {
+      this.incrementalQueued = false;
+      this.analyzeIncremental();
+    }
+  }
+
+  /**
+   * Analyze only the nodes added since the last run and merge them into the existing results
+   * Earlier comments keep their analysis and indicators; authors, clusters and stats are updated
+   */
+  async analyzeIncremental() {
+    if (this.isAnalyzing) {
+      // Picked up once the current run finishes
+      this.incrementalQueued = true;
+      return;
+    }
 
-      logger.log('Analysis complete:', this.analysisResults);
+    const nodes = Array.from(this.pendingNodes).filter(node => node.isConnected);
+    this.pendingNodes.clear();
+    if (nodes.length === 0 && !this.scheduler.hasRunnableWork()) return;
 
-      // Notify extension that analysis is complete
-      try {
-        await chrome.runtime.sendMessage({
-          action: 'analysisComplete',
-          stats: this.analysisResults.overallStats
-        });
-      } catch (error) {
-        // Only ignore "receiving end does not exist" errors (popup closed)
-        if (!error.message.includes('Receiving end does not exist')) {
-          logger.error('Error sending message:', error);
+    this.isAnalyzing = true;
+    logger.log(`Incremental analysis of ${nodes.length} added nodes...`);
+
+    try {
+      const commentCount = this.pageComments.length;
+
+      for (const section of this.getSections()) {
+        try {
+          this.queueElements(this.findContainers(section, nodes), section);
+        } catch (error) {
+          logger.error(`Error analyzing new ${section.name}:`, error);
         }
       }
+
+      const result = await this.processQueue();
+      if (result.status === 'cancelled') return;
+
+      const added = this.pageComments.slice(commentCount);
+      if (added.length === 0) return;
+
+      logger.analysis(`Merged ${added.length} new items into the results`);
+      const changedAuthors = new Set(added.map(({ entry }) => this.getAuthorKey(entry.author)).filter(Boolean));
+      await this.finishRun(changedAuthors);
     } catch (error) {
-      logger.error('Analysis error:', error);
+      logger.error('Incremental analysis error:', error);
     } finally {
       this.isAnalyzing = false;
+      this.runQueuedIncremental();
     }
   }
 
   /**
-   * Analyze LinkedIn content
+   * Shared end of full and incremental runs: selector health, authors, clusters, stats, save and notify
+   * @param {Set} changedAuthors - Only re-profile these authors (incremental runs); all when omitted
    */
-  async analyzeLinkedIn() {
-    logger.log('Analyzing LinkedIn...');
+  async finishRun(changedAuthors = null) {
+    this.evaluateSelectorHealth();
+    this.analysisResults.diagnostics = this.diagnostics;
+
+    // Profile every author across their comments on this page
+    await this.analyzeAuthors(changedAuthors);
+
+    // Cluster near-identical comments and posts across the page; incremental runs keep the
+    // current clusters and update them once new comments stop arriving
+    let clusters;
+    if (changedAuthors) {
+      this.scheduleClusterUpdate();
+      clusters = this.analysisResults.overallStats.coordinatedClusters || [];
+    } else {
+      clusters = await this.updateClusters() || [];
+    }
+
+    // Calculate overall statistics
+    this.calculateOverallStats(clusters);
+
+    // Save results
+    await this.saveResults();
+
+    logger.log('Analysis complete:', this.analysisResults);
+    await this.notifyResultsChanged();
+  }
 
-    // Check if we're on a profile page
-    if (window.location.pathname.includes('/in/')) {
-      await this.analyzeLinkedInProfile();
+  /**
+   * Tell the popup and background that the results changed
+   */
+  async notifyResultsChanged() {
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'analysisComplete',
+        stats: this.analysisResults.overallStats
+      });
+    } catch (error) {
+      // Only ignore "receiving end does not exist" errors (popup closed)
+      if (!error.message.includes('Receiving end does not exist')) {
+        logger.error('Error sending message:', error);
+      }
+    }
+  }
+
+  /**
+   * Analyze the current platform using its sections from platformSelectors.json
+   */
+  async analyzePlatform() {
+    logger.log(`Analyzing ${this.platformDetector.name}...`);
+
+    const profile = this.getPlatformSelectors().profile;
+    if (profile && profile.path && window.location.pathname.includes(profile.path)) {
+      await this.analyzeProfilePage(profile);
     }
 
-    // Analyze feed posts and comments
-    await this.analyzeLinkedInFeed();
+    for (const section of this.getSections()) {
+      try {
+        const elements = this.findContainers(section);
+        logger.analysis(`Found ${elements.length} ${section.name} to analyze`);
+        this.queueElements(elements, section);
+      } catch (error) {
+        logger.error(`Error analyzing ${section.name}:`, error);
+      }
+    }
+
+    return this.processQueue();
   }
 
   /**
-   * Analyze LinkedIn profile page
+   * Analyze a profile page using the platform's profile selectors
    */
-  async analyzeLinkedInProfile() {
+  async analyzeProfilePage(profile) {
     try {
       const profileData = {
         bio: '',
@@ -283,184 +551,497 @@ class TrollDetector {
         username: ''
       };
 
-      // Extract headline
-      const headlineEl = this.safeQuerySelector(document, '.text-heading-xlarge, .ph5 h1');
-      if (headlineEl) {
-        profileData.headline = headlineEl.textContent.trim();
-      }
-
-      // Extract bio/tagline
-      const bioEl = this.safeQuerySelector(document, '.text-body-medium, .ph5 .text-body-medium');
-      if (bioEl) {
-        profileData.bio = bioEl.textContent.trim();
-      }
+      ['headline', 'bio', 'about'].forEach((field) => {
+        const el = this.safeQuerySelector(document, profile[field]);
+        if (el) {
+          profileData[field] = el.textContent.trim();
+        }
+      });
 
-      // Extract about section
-      const aboutEl = this.safeQuerySelector(document, '#about ~ .display-flex .inline-show-more-text, .pv-about-section');
-      if (aboutEl) {
-        profileData.about = aboutEl.textContent.trim();
+      if (profile.username) {
+        profileData.username = this.extractField(document.documentElement, profile.username) || '';
       }
 
       // Extract recent posts
-      const postElements = this.safeQuerySelectorAll(document, '.feed-shared-update-v2__description, .feed-shared-text');
-      postElements.forEach((el, index) => {
-        if (index < 10) { // Limit to 10 most recent posts
-          profileData.posts.push({
-            text: el.textContent.trim()
-          });
-        }
+      const maxPosts = profile.maxPosts || 10;
+      const postElements = this.safeQuerySelectorAll(document, profile.posts);
+      postElements.slice(0, maxPosts).forEach((el) => {
+        const posted = this.parseTimestamp(el, []);
+        profileData.posts.push({
+          text: el.textContent.trim(),
+          ...(posted && { timestamp: posted.timestamp, timestampPrecision: posted.precision })
+        });
       });
 
       // Analyze the profile
-      const analysis = this.analyzer.analyzeProfile(profileData);
+      const [{ analysis }] = await this.engine.analyzeProfiles(
+        [{ id: 'profile', profile: profileData }],
+        this.getScoringOptions()
+      );
+      ProfileAnalyzer.applyThreshold(analysis, this.settings.flagThreshold);
       this.analysisResults.profiles.push({
-        type: 'linkedin_profile',
+        type: `${this.platformDetector.platform}_profile`,
         url: window.location.href,
         analysis
       });
 
       // Show indicator on profile if suspicious
       if (this.settings.showIndicators && analysis.isLikelySuspicious) {
-        this.addProfileIndicator(analysis);
+        this.addProfileIndicator(analysis, profile.profileBadgeTarget);
+      }
+    } catch (error) {
+      logger.error('Error analyzing profile:', error);
+    }
+  }
+
+  /**
+   * Find a section's containers, tagging each with the source of the selector that matched it
+   * @param {Array} roots - Limit the search to these nodes (and the nodes themselves); whole document when omitted
+   * @returns {Array} [{ element, source }] in order of first match
+   */
+  findContainers(section, roots = null) {
+    const found = new Map();
+    const diagnostics = this.getSectionDiagnostics(section);
+
+    section.containers.forEach(({ selector, source }) => {
+      const elements = roots
+        ? roots.flatMap(root => [
+          ...(this.matchesSelector(root, selector) ? [root] : []),
+          ...this.safeQuerySelectorAll(root, selector)
+        ])
+        : this.safeQuerySelectorAll(document, selector);
+
+      // Counts accumulate across incremental runs
+      const entry = diagnostics.containers.find(c => c.selector === selector && c.source === source);
+      if (entry) {
+        entry.matched += elements.length;
+      } else {
+        diagnostics.containers.push({ selector, source, matched: elements.length });
       }
+
+      elements.forEach((element) => {
+        if (!found.has(element) && !this.analyzedElements.has(element)) {
+          found.set(element, source);
+        }
+      });
+    });
+
+    return Array.from(found, ([element, source]) => ({ element, source }));
+  }
+
+  /**
+   * Safe element.matches with error handling
+   */
+  matchesSelector(element, selector) {
+    if (!element || !element.matches || !selector) return false;
+    try {
+      return element.matches(selector);
     } catch (error) {
-      logger.error('Error analyzing LinkedIn profile:', error);
+      return false;
     }
   }
 
   /**
-   * Generic method to analyze elements with deduplication
-   * Reduces code duplication across platform-specific analyzers
+   * Check a text against a section's minLength/maxLength bounds
    */
-  analyzeElements(elements, type, textSelector, minLength = 5) {
+  isWithinLengthBounds(text, section) {
     const config = typeof CONFIG !== 'undefined' ? CONFIG : {
       TEXT_ANALYSIS: { MIN_COMMENT_LENGTH: 5 }
     };
+    const minLength = section.minLength ?? config.TEXT_ANALYSIS.MIN_COMMENT_LENGTH;
+    const maxLength = section.maxLength ?? Infinity;
+    return text.length >= minLength && text.length <= maxLength;
+  }
+
+  /**
+   * Extract the text of a container using the section's ordered content fallbacks
+   * Sections without content selectors use the container's own text
+   * @returns {Object|null} { text, fallbackIndex, source } or null if nothing usable was found
+   */
+  extractText(element, section) {
+    const content = section.content || [];
+
+    if (content.length === 0) {
+      const text = element.textContent.trim();
+      return this.isWithinLengthBounds(text, section) ? { text, fallbackIndex: -1, source: null } : null;
+    }
+
+    for (let i = 0; i < content.length; i++) {
+      const textEls = this.safeQuerySelectorAll(element, content[i].selector);
+      for (const textEl of textEls) {
+        const text = textEl.textContent.trim();
+        if (this.isWithinLengthBounds(text, section)) {
+          return { text, fallbackIndex: i, source: content[i].source };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract one metadata field using its ordered fallback specs
+   * Each spec reads `attr` (or the text) of `selector` inside the container (or the container itself),
+   * optionally starting from the closest `ancestor`, keeping the first capture group of `pattern`
+   * and substituting the value into `template`
+   */
+  extractField(element, specs) {
+    return this.extractFieldValues(element, specs)[0] || null;
+  }
 
-    elements.forEach((element) => {
-      if (this.analyzedElements.has(element)) return;
-      this.analyzedElements.add(element);
+  /**
+   * Extract every non-empty value a field's fallback specs produce, in spec order
+   */
+  extractFieldValues(element, specs) {
+    const values = [];
+
+    for (const spec of Array.isArray(specs) ? specs : [specs]) {
+      let root = element;
+      if (spec.ancestor) {
+        root = element.parentElement ? element.parentElement.closest(spec.ancestor) : null;
+        if (!root) continue;
+      }
 
-      const textEl = this.safeQuerySelector(element, textSelector);
-      if (!textEl) return;
+      const target = spec.selector ? this.safeQuerySelector(root, spec.selector) : root;
+      if (!target) continue;
 
-      const text = textEl.textContent.trim();
-      if (text.length < minLength) return;
+      let value = spec.attr ? target.getAttribute(spec.attr) : target.textContent;
+      value = value ? value.trim() : '';
 
-      // Check if content already analyzed (deduplication)
-      const contentHash = this.hashContent(text);
-      const analysis = this.analyzedContent.has(contentHash)
-        ? this.analyzedContent.get(contentHash)
-        : this.analyzer.analyzeContent(text);
+      if (value && spec.pattern) {
+        try {
+          const match = value.match(new RegExp(spec.pattern));
+          value = match ? (match[1] ?? match[0]).trim() : '';
+        } catch (error) {
+          logger.error('Invalid field pattern:', spec.pattern, error);
+          value = '';
+        }
+      }
 
-      if (!this.analyzedContent.has(contentHash)) {
-        this.analyzedContent.set(contentHash, analysis);
+      if (value && spec.template) {
+        value = spec.template.replace('{value}', value);
       }
 
-      this.recordContentAnalysis(element, type, text, analysis);
-    });
+      if (value) values.push(value);
+    }
+
+    return values;
   }
 
   /**
-   * Analyze LinkedIn feed (posts and comments)
+   * Resolve a possibly relative URL against the current page
    */
-  async analyzeLinkedInFeed() {
+  toAbsoluteUrl(value) {
+    if (!value) return null;
     try {
-      // Find all posts in feed
-      const posts = this.safeQuerySelectorAll(document, '.feed-shared-update-v2, .occludable-update');
-      this.analyzeElements(posts, 'linkedin_post', '.feed-shared-update-v2__description, .feed-shared-text', 10);
-
-      // Analyze comments
-      const comments = this.safeQuerySelectorAll(document, '.comments-comment-item, .comment-item');
-      this.analyzeElements(comments, 'linkedin_comment', '.comments-comment-item__main-content, .comment-text', 5);
+      return new URL(value, window.location.href).href;
     } catch (error) {
-      logger.error('Error analyzing LinkedIn feed:', error);
+      return null;
     }
   }
 
   /**
-   * Analyze YouTube comments
+   * Parse the posted time of a container
+   * All time field candidates (datetime attributes, title tooltips, visible text) are parsed and the
+   * most precise wins; without candidates the container's own <time>/title markup is tried
+   * @returns {Object|null} { timestamp, precision, kind, raw }
    */
-  async analyzeYouTube() {
-    logger.log('Analyzing YouTube...');
+  parseTimestamp(element, candidates) {
+    const options = { lang: (document.documentElement.lang || '').slice(0, 2).toLowerCase() };
+    return TimestampParser.parseBest(candidates, options) ||
+           TimestampParser.fromElement(element, options);
+  }
 
-    try {
-      const comments = this.safeQuerySelectorAll(document, 'ytd-comment-renderer');
-      this.analyzeElements(comments, 'youtube_comment', '#content-text', 5);
-    } catch (error) {
-      logger.error('Error analyzing YouTube:', error);
+  /**
+   * Extract author, permalink, id, parent id and posted time for a container
+   * using the section's `fields` definitions from platformSelectors.json
+   */
+  extractMetadata(element, section) {
+    const fields = section.fields || {};
+    const values = {};
+
+    for (const [field, specs] of Object.entries(fields)) {
+      values[field] = this.extractField(element, specs);
     }
+
+    const posted = this.parseTimestamp(element, fields.time ? this.extractFieldValues(element, fields.time) : []);
+
+    return {
+      id: values.id || null,
+      parentId: values.parentId || null,
+      permalink: this.toAbsoluteUrl(values.permalink),
+      author: {
+        name: values.authorName || null,
+        handle: values.authorHandle || null,
+        url: this.toAbsoluteUrl(values.authorUrl)
+      },
+      postedAt: posted ? posted.raw : (values.time || null),
+      timestamp: posted ? posted.timestamp : null,
+      timestampPrecision: posted ? posted.precision : null
+    };
   }
 
   /**
-   * Analyze Reddit comments and posts
+   * Queue a section's containers (from findContainers) for the scheduler
    */
-  async analyzeReddit() {
-    logger.log('Analyzing Reddit...');
+  queueElements(elements, section) {
+    this.scheduler.enqueue(elements.map(({ element, source }) => ({ element, source, section })));
+  }
 
-    try {
-      // Analyze Reddit posts
-      const posts = this.safeQuerySelectorAll(document, '[data-test-id="post-container"], div[data-testid="post-container"], .Post, shreddit-post');
-      logger.analysis(`Found ${posts.length} Reddit posts to analyze`);
+  /**
+   * Analyze queued containers in idle slices, nearest to the viewport first
+   * @returns {Promise<Object>} Scheduler run result
+   */
+  async processQueue() {
+    const result = await this.scheduler.run(
+      item => this.extractElement(item),
+      extractions => this.analyzeExtractions(extractions)
+    );
+
+    if (result.status === 'timedOut') {
+      // Leave the rest for when it scrolls near the viewport
+      this.scheduler.visibleOnly = true;
+      logger.warn(`Analysis time limit reached, ${result.remaining} items will be analyzed as they scroll into view`);
+    }
 
-      // Multiple selectors for Reddit post content (new and old Reddit)
-      const postSelectors = '[data-click-id="text"], [data-adclicklocation="title"], h3, [slot="title"], div[slot="text-body"], h1, p, .title, .md, .usertext-body';
-      this.analyzeElements(posts, 'reddit_post', postSelectors, 10);
+    this.reportProgress(result);
+    return result;
+  }
 
-      // Analyze Reddit comments - updated selectors for new Reddit
-      const comments = this.safeQuerySelectorAll(document, 'shreddit-comment, [data-testid="comment"], [id^="t1-"], .Comment, .comment, div[id^="t1_"]');
-      logger.analysis(`Found ${comments.length} Reddit comments to analyze`);
+  /**
+   * Extract text and metadata from one container (synchronous DOM work, run inside a scheduler slice)
+   * @returns {Object|null} { element, type, scope, text, contentHash, domains, meta } or null when nothing usable was found
+   */
+  extractElement({ element, source, section }) {
+    if (this.analyzedElements.has(element) || !element.isConnected) return null;
+    this.analyzedElements.add(element);
+
+    const extracted = this.extractText(element, section);
+    this.recordExtraction(element, section, extracted);
+    if (!extracted) return null;
+
+    return {
+      element,
+      type: section.type || `${this.platformDetector.platform}_${section.name}`,
+      scope: section.scope || (section.name === 'posts' ? 'post' : 'comment'),
+      text: extracted.text,
+      contentHash: this.hashContent(extracted.text),
+      domains: RuleEngine.dependsOnContext(this.rules) ? this.extractLinkDomains(element) : [],
+      meta: {
+        ...this.extractMetadata(element, section),
+        selectorSource: {
+          container: source,
+          content: extracted.source || source
+        }
+      }
+    };
+  }
 
-      // Multiple selectors for Reddit comment content (new and old Reddit)
-      const commentSelectors = 'div[slot="comment"], [data-testid="comment-body-text"], p[class*="text"], .md, div[id^="t1_"] .md, div[slot="comment"] p, [data-click-id="text"], [data-adclicklocation="body"], .usertext-body';
-      this.analyzeElements(comments, 'reddit_comment', commentSelectors, 5);
-    } catch (error) {
-      logger.error('Error analyzing Reddit:', error);
-    }
+  /**
+   * Hosts of the links inside an element, other than the page's own host (for custom domain rules)
+   */
+  extractLinkDomains(element) {
+    const hosts = new Set();
+    element.querySelectorAll('a[href]').forEach((link) => {
+      try {
+        const { hostname } = new URL(link.getAttribute('href'), window.location.href);
+        if (hostname && hostname !== window.location.hostname) {
+          hosts.add(hostname);
+        }
+      } catch (error) {
+        // Ignore malformed links
+      }
+    });
+    return Array.from(hosts);
   }
 
   /**
-   * Generic analysis for other websites
+   * Analyze extracted texts with the engine in batches and record the results
+   * Content already analyzed in this run is not sent again (deduplication)
+   * Replies are sent with their parent's text when the parent was extracted in this run
    */
-  async analyzeGeneric() {
-    logger.log('Performing generic analysis...');
+  async analyzeExtractions(extractions) {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      ENGINE: { BATCH_SIZE: 100 }
+    };
 
-    try {
-      const config = typeof CONFIG !== 'undefined' ? CONFIG : {
-        TEXT_ANALYSIS: { MIN_POST_LENGTH: 10, MAX_POST_LENGTH: 5000 }
-      };
+    extractions.forEach(({ text, meta }) => {
+      if (meta.id) this.commentTexts.set(meta.id, text);
+    });
 
-      // Look for common comment patterns
-      const potentialComments = this.safeQuerySelectorAll(document,
-        '.comment, .post, [class*="comment"], [class*="post"], article'
+    for (let start = 0; start < extractions.length; start += config.ENGINE.BATCH_SIZE) {
+      const batch = extractions.slice(start, start + config.ENGINE.BATCH_SIZE);
+
+      // Only send content not already analyzed (deduplication), keyed by content hash.
+      // Custom rules on authors or domains can give the same text different results, so the key includes them.
+      // A reply's parent changes its sarcasm cues, so replies are also keyed by the parent's hash.
+      const contextual = RuleEngine.dependsOnContext(this.rules);
+      const parents = batch.map(({ meta }) => (meta.parentId && this.commentTexts.get(meta.parentId)) || null);
+      const keys = batch.map(({ contentHash, domains, meta }, index) => {
+        const key = contextual
+          ? `${contentHash}|${meta.author.handle || meta.author.name || ''}|${domains.join(',')}`
+          : contentHash;
+        return parents[index] ? `${key}|${this.hashContent(parents[index])}` : key;
+      });
+
+      const pending = new Map();
+      batch.forEach(({ text, scope, domains, meta }, index) => {
+        if (!this.analyzedContent.has(keys[index])) {
+          pending.set(keys[index], {
+            text,
+            scope,
+            authors: contextual ? [meta.author.handle, meta.author.name].filter(Boolean) : [],
+            domains,
+            parent: parents[index]
+          });
+        }
+      });
+
+      const results = await this.engine.analyzeContents(
+        Array.from(pending, ([id, item]) => ({ id, ...item })),
+        this.getScoringOptions()
       );
+      results.forEach(({ id, analysis }) => {
+        this.analyzedContent.set(id, ProfileAnalyzer.applyThreshold(analysis, this.settings.flagThreshold));
+      });
 
-      // Filter by text length in the generic case
-      const validComments = Array.from(potentialComments).filter(el => {
-        const textLength = el.textContent.trim().length;
-        return textLength >= config.TEXT_ANALYSIS.MIN_POST_LENGTH &&
-               textLength <= config.TEXT_ANALYSIS.MAX_POST_LENGTH;
+      batch.forEach(({ element, type, text, meta }, index) => {
+        this.recordContentAnalysis(element, type, text, this.analyzedContent.get(keys[index]), meta);
       });
+    }
+  }
 
-      // Use element itself as text source for generic content
-      validComments.forEach((element) => {
-        if (this.analyzedElements.has(element)) return;
-        this.analyzedElements.add(element);
+  /**
+   * Share run progress with the popup
+   */
+  reportProgress(progress) {
+    chrome.runtime.sendMessage({ action: 'analysisProgress', progress }).catch(() => {
+      // Popup closed; progress is only informational
+    });
+  }
 
-        const text = element.textContent.trim();
-        const contentHash = this.hashContent(text);
-        const analysis = this.analyzedContent.has(contentHash)
-          ? this.analyzedContent.get(contentHash)
-          : this.analyzer.analyzeContent(text);
+  /**
+   * Create an empty diagnostics record for a run
+   */
+  createDiagnostics() {
+    return {
+      platform: this.platformDetector.platform,
+      timestamp: Date.now(),
+      sections: {},
+      commentSignals: 0,
+      status: 'ok',
+      reasons: []
+    };
+  }
 
-        if (!this.analyzedContent.has(contentHash)) {
-          this.analyzedContent.set(contentHash, analysis);
-        }
+  /**
+   * Get (or create) the diagnostics entry for a section
+   */
+  getSectionDiagnostics(section) {
+    if (!this.diagnostics) {
+      this.diagnostics = this.createDiagnostics();
+    }
+
+    if (!this.diagnostics.sections[section.name]) {
+      const content = section.content || [];
+      this.diagnostics.sections[section.name] = {
+        containers: [],
+        containersMatched: 0,
+        fallbacks: content.length > 0
+          ? content.map(({ selector, source }) => ({ selector, source, wins: 0 }))
+          : [{ selector: '(container text)', source: null, wins: 0 }],
+        textNodes: 0,
+        outOfBounds: 0,
+        emptyContainers: 0,
+        winningFallback: null
+      };
+    }
+
+    return this.diagnostics.sections[section.name];
+  }
 
-        this.recordContentAnalysis(element, 'generic_comment', text, analysis);
+  /**
+   * Record which content fallback (if any) produced text for a container
+   * Containers whose text exists but falls outside the length bounds are not counted as failures
+   */
+  recordExtraction(element, section, extracted) {
+    const diagnostics = this.getSectionDiagnostics(section);
+    diagnostics.containersMatched++;
+
+    if (!extracted) {
+      const content = section.content || [];
+      const hasTextElement = content.length === 0 ||
+        content.some(({ selector }) => this.safeQuerySelector(element, selector) !== null);
+
+      if (hasTextElement) {
+        diagnostics.outOfBounds++;
+      } else {
+        diagnostics.emptyContainers++;
+      }
+      return;
+    }
+
+    diagnostics.textNodes++;
+    const fallback = diagnostics.fallbacks[Math.max(extracted.fallbackIndex, 0)];
+    if (fallback) {
+      fallback.wins++;
+    }
+  }
+
+  /**
+   * Count elements that indicate the page has comments, independent of the extraction selectors
+   */
+  countCommentSignals() {
+    const health = this.getPlatformSelectors().health || {};
+    return this.safeQuerySelectorAll(document, health.commentSignals).length;
+  }
+
+  /**
+   * Decide whether extraction looks healthy for this run
+   * Flags "broken" when a page that clearly has comments yields no text,
+   * and "degraded" when most matched containers yield no text
+   */
+  evaluateSelectorHealth() {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      SELECTOR_HEALTH: { DEFAULT_MIN_SIGNALS: 3, DEGRADED_RATIO: 0.5 }
+    };
+    const diagnostics = this.diagnostics;
+    diagnostics.status = 'ok';
+    diagnostics.reasons = [];
+    const health = this.getPlatformSelectors().health || {};
+    const minSignals = health.minSignals ?? config.SELECTOR_HEALTH.DEFAULT_MIN_SIGNALS;
+    const sections = Object.entries(diagnostics.sections);
+
+    sections.forEach(([, section]) => {
+      const winner = section.fallbacks.reduce((best, fallback, index) =>
+        (fallback.wins > 0 && (!best || fallback.wins > best.wins)) ? { ...fallback, index } : best, null);
+      section.winningFallback = winner;
+    });
+
+    const containersMatched = sections.reduce((sum, [, section]) => sum + section.containersMatched, 0);
+    const textNodes = sections.reduce((sum, [, section]) => sum + section.textNodes, 0);
+    diagnostics.commentSignals = this.countCommentSignals();
+
+    const outOfBounds = sections.reduce((sum, [, section]) => sum + section.outOfBounds, 0);
+
+    if (textNodes === 0 && containersMatched > outOfBounds) {
+      diagnostics.status = 'broken';
+      diagnostics.reasons.push(`${containersMatched - outOfBounds} containers matched but no content selector produced text`);
+    } else if (textNodes === 0 && this.scheduler.queue.size === 0 && diagnostics.commentSignals >= minSignals) {
+      diagnostics.status = 'broken';
+      diagnostics.reasons.push(`Page shows ${diagnostics.commentSignals} comment markers but no container selector matched`);
+    } else {
+      sections.forEach(([name, section]) => {
+        const withText = section.containersMatched - section.outOfBounds;
+        if (withText > 0 && section.textNodes / withText < config.SELECTOR_HEALTH.DEGRADED_RATIO) {
+          diagnostics.status = 'degraded';
+          diagnostics.reasons.push(`${section.emptyContainers} of ${withText} ${name} had no text matching any content selector`);
+        }
       });
-    } catch (error) {
-      logger.error('Error in generic analysis:', error);
+    }
+
+    if (diagnostics.status !== 'ok') {
+      logger.warn(`Extraction likely ${diagnostics.status} on ${this.platformDetector.name}:`, diagnostics.reasons.join('; '));
     }
   }
 
@@ -477,35 +1058,16 @@ class TrollDetector {
       const indicator = document.createElement('div');
       indicator.className = 'troll-detector-indicator';
 
-      let emoji = '⚠️';
-      let label = 'Suspicious';
-      let className = 'warning';
-
-      if (analysis.suspicionScore > 0.7) {
-        emoji = '🤖';
-        label = 'Likely AI';
-        className = 'danger';
-      } else if (analysis.flags.includes('Spam patterns detected')) {
-        emoji = '🚫';
-        label = 'Spam';
-        className = 'danger';
-      } else if (analysis.details?.sentiment?.classification === 'positive' && analysis.details.sentiment.isExtreme) {
-        emoji = '😍';
-        label = 'Extreme Positive';
-        className = 'info';
-      } else if (analysis.details?.sentiment?.classification === 'negative' && analysis.details.sentiment.isExtreme) {
-        emoji = '😡';
-        label = 'Extreme Negative';
-        className = 'danger';
-      }
+      // The strongest signal's detector picks the indicator
+      const { emoji, label, className } = analysis.indicator || {
+        emoji: '⚠️',
+        label: 'Suspicious',
+        className: 'warning'
+      };
 
-      indicator.innerHTML = `
-        <span class="troll-detector-emoji">${emoji}</span>
-        <span class="troll-detector-label">${label}</span>
-        <span class="troll-detector-score">${Math.round(analysis.suspicionScore * 100)}%</span>
-      `;
+      this.fillIndicator(indicator, emoji, label, `${Math.round(analysis.suspicionScore * 100)}%`);
       indicator.setAttribute('data-class', className);
-      indicator.title = `Flags: ${analysis.flags.join(', ')}`;
+      indicator.title = `Flags: ${analysis.flags.join(', ')}\nScore: ${ScoringModel.explain(analysis.contributions)}`;
 
       // Insert indicator
       element.style.position = 'relative';
@@ -515,6 +1077,19 @@ class TrollDetector {
     }
   }
 
+  /**
+   * Append an indicator's emoji, label and optional score spans
+   * Labels come from analysis data and page text, so they are set as text and never parsed as HTML
+   */
+  fillIndicator(indicator, emoji, label, score = null) {
+    [['emoji', emoji], ['label', label], ['score', score]].forEach(([part, value]) => {
+      if (value === null) return;
+      const span = indicator.appendChild(document.createElement('span'));
+      span.className = `troll-detector-${part}`;
+      span.textContent = value;
+    });
+  }
+
   /**
    * Add clean/safe indicator (green shield)
    */
@@ -532,11 +1107,7 @@ class TrollDetector {
       const label = 'Verified Clean';
       const className = 'success';
 
-      indicator.innerHTML = `
-        <span class="troll-detector-emoji">${emoji}</span>
-        <span class="troll-detector-label">${label}</span>
-        <span class="troll-detector-score">✓</span>
-      `;
+      this.fillIndicator(indicator, emoji, label, '✓');
       indicator.setAttribute('data-class', className);
       indicator.title = 'No AI, troll, or extreme sentiment patterns detected';
 
@@ -551,17 +1122,27 @@ class TrollDetector {
   /**
    * Record analysis result and handle indicator display
    */
-  recordContentAnalysis(element, type, text, analysis) {
-    this.analysisResults.comments.push({
+  recordContentAnalysis(element, type, text, analysis, meta = {}) {
+    const entry = {
       type,
       text: text.substring(0, 200),
+      ...meta,
       analysis
-    });
+    };
+    this.analysisResults.comments.push(entry);
+    this.pageComments.push({ entry, element, text });
 
     if (!this.settings.showIndicators) {
       return;
     }
 
+    this.addContentIndicator(element, analysis);
+  }
+
+  /**
+   * Add the suspicious or clean indicator matching a content analysis
+   */
+  addContentIndicator(element, analysis) {
     if (analysis.isSuspicious) {
       this.addCommentIndicator(element, analysis);
     } else if (this.settings.showCleanIndicators) {
@@ -569,27 +1150,323 @@ class TrollDetector {
     }
   }
 
+  /**
+   * Key identifying a comment's author, or null when no author was extracted
+   */
+  getAuthorKey(author) {
+    if (!author) return null;
+    const key = author.handle || author.url || author.name;
+    return key ? key.toLowerCase() : null;
+  }
+
+  /**
+   * Group the page's comments by author and run the profile analysis on each author's comment set
+   * Suspicious authors get a badge next to every one of their comments
+   * @param {Set} onlyKeys - Re-profile only these authors and keep the others' results (incremental runs)
+   */
+  async analyzeAuthors(onlyKeys = null) {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      AUTHOR_ANALYSIS: { MIN_COMMENTS: 2 }
+    };
+    const groups = new Map();
+
+    this.pageComments.forEach((comment) => {
+      const key = this.getAuthorKey(comment.entry.author);
+      if (!key) return;
+
+      if (!groups.has(key)) {
+        groups.set(key, { author: comment.entry.author, comments: [] });
+      }
+      groups.get(key).comments.push(comment);
+    });
+
+    const candidates = Array.from(groups).filter(([key, { comments }]) =>
+      comments.length >= config.AUTHOR_ANALYSIS.MIN_COMMENTS && (!onlyKeys || onlyKeys.has(key)));
+
+    let results = [];
+    try {
+      results = await this.engine.analyzeProfiles(candidates.map(([key, { author, comments }]) => ({
+        id: key,
+        profile: {
+          username: author.handle || author.name || '',
+          posts: comments.map(({ entry, text }) => ({
+            text,
+            timestamp: entry.timestamp,
+            timestampPrecision: entry.timestampPrecision
+          }))
+        }
+      })), this.getScoringOptions());
+    } catch (error) {
+      logger.error('Error analyzing authors:', error);
+    }
+
+    const analyses = new Map(results.map(({ id, analysis }) =>
+      [id, ProfileAnalyzer.applyThreshold(analysis, this.settings.flagThreshold)]));
+    const authors = onlyKeys
+      ? this.analysisResults.authors.filter(author => !analyses.has(author.key))
+      : [];
+
+    candidates.forEach(([key, { author, comments }]) => {
+      const analysis = analyses.get(key);
+      if (!analysis) return;
+
+      // Replace badges from an earlier profile of this author
+      comments.forEach(({ element }) => {
+        element.querySelectorAll(':scope > .troll-detector-author-indicator').forEach(badge => badge.remove());
+      });
+
+      const result = {
+        key,
+        name: author.name,
+        handle: author.handle,
+        url: author.url,
+        commentCount: comments.length,
+        analysis
+      };
+      authors.push(result);
+
+      if (this.settings.showIndicators && analysis.isLikelySuspicious) {
+        comments.forEach(({ element }) => this.addAuthorIndicator(element, result));
+      }
+    });
+
+    this.analysisResults.authors = authors.sort((a, b) => b.analysis.overallScore - a.analysis.overallScore);
+  }
+
+  /**
+   * Add a per-author badge next to a comment's own indicator
+   */
+  addAuthorIndicator(element, author) {
+    if (!element) return;
+
+    try {
+      const indicator = document.createElement('div');
+      indicator.className = 'troll-detector-indicator troll-detector-author-indicator';
+      this.fillIndicator(
+        indicator,
+        '👤',
+        `${author.analysis.classification} author (${author.commentCount} comments)`,
+        `${Math.round(author.analysis.overallScore * 100)}%`
+      );
+      indicator.setAttribute('data-class', 'author');
+      indicator.title = `${author.handle || author.name}: ${author.analysis.flags.join(', ')}\nScore: ${ScoringModel.explain(author.analysis.contributions)}`;
+
+      // Place after the comment's own indicator when it has one
+      const existing = Array.from(element.children).find(child => child.classList.contains('troll-detector-indicator'));
+      element.style.position = 'relative';
+      element.insertBefore(indicator, existing ? existing.nextSibling : element.firstChild);
+    } catch (error) {
+      logger.error('Error adding author indicator:', error);
+    }
+  }
+
+  /**
+   * Empty clustering state: the index of compared comments (pageComments indices), stable
+   * cluster ids (smallest member -> id) and each marked comment's "id:size"
+   */
+  createCoordination() {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      THRESHOLDS: { SIMILARITY: 0.7 }
+    };
+
+    return {
+      index: new CoordinationIndex(config.THRESHOLDS.SIMILARITY),
+      ids: new Map(),
+      nextId: 1,
+      marks: new Map(),
+      timer: null,
+      queue: Promise.resolve()
+    };
+  }
+
+  /**
+   * Drop the clusters of the previous run with their marks and indicators
+   */
+  resetCoordination() {
+    clearTimeout(this.coordination.timer);
+    document.querySelectorAll('[data-troll-detector-cluster]').forEach((el) => {
+      el.removeAttribute('data-troll-detector-cluster');
+      el.classList.remove('troll-detector-cluster-highlight');
+    });
+    document.querySelectorAll('.troll-detector-cluster-indicator').forEach(indicator => indicator.remove());
+    this.coordination = this.createCoordination();
+  }
+
+  /**
+   * Update clusters once comments stop arriving, then refresh stats, save and notify
+   */
+  scheduleClusterUpdate() {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      PERFORMANCE: { CLUSTER_DEBOUNCE_MS: 3000 }
+    };
+
+    clearTimeout(this.coordination.timer);
+    this.coordination.timer = setTimeout(async () => {
+      const clusters = await this.updateClusters();
+      if (!clusters) return;
+
+      this.calculateOverallStats(clusters);
+      await this.saveResults();
+      await this.notifyResultsChanged();
+    }, config.PERFORMANCE.CLUSTER_DEBOUNCE_MS);
+  }
+
+  /**
+   * Run detectCoordinatedActivity() after any update in progress, so comments are indexed once
+   * @returns {Promise<Array|null>} Cluster summaries, null when a full run replaced the clusters
+   */
+  updateClusters() {
+    const coordination = this.coordination;
+    coordination.queue = coordination.queue
+      .then(() => this.detectCoordinatedActivity(coordination))
+      .catch((error) => {
+        logger.error('Coordinated activity error:', error);
+        return null;
+      });
+    return coordination.queue;
+  }
+
+  /**
+   * Find clusters of similar comments/posts on the page and mark their members
+   * Only comments not yet indexed are hashed and compared, and only comments whose cluster
+   * changed get their marks and indicator redrawn
+   * @param {Object} coordination - Clustering state from createCoordination()
+   * @returns {Array|null} Cluster summaries for overallStats, null when a full run replaced the state
+   */
+  async detectCoordinatedActivity(coordination) {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      PERFORMANCE: { MAX_COMMENTS_TO_COMPARE: 5000 }
+    };
+
+    const comments = this.pageComments;
+    const added = comments
+      .slice(coordination.index.size, config.PERFORMANCE.MAX_COMMENTS_TO_COMPARE)
+      .map(({ text }) => text);
+    const signatures = await this.engine.minHashSignatures(added);
+    if (coordination !== this.coordination) return null;
+    coordination.index.add(added, signatures);
+
+    const { matches } = coordination.index;
+    const similarities = new Map(); // index -> similarities of its matches
+    matches.forEach(({ index1, index2, similarity }) => {
+      [index1, index2].forEach((index) => {
+        if (!similarities.has(index)) similarities.set(index, []);
+        similarities.get(index).push(similarity);
+      });
+    });
+
+    const marks = new Map();
+    const clusters = this.utils.clusterMatches(matches).map((members) => {
+      // New comments come last, so a growing or merged cluster keeps its smallest member's id
+      const id = coordination.ids.get(members[0]) || coordination.nextId++;
+      coordination.ids.set(members[0], id);
+      members.forEach(index => marks.set(index, `${id}:${members.length}`));
+
+      const authors = new Set(members
+        .map(index => this.getAuthorKey(comments[index].entry.author))
+        .filter(Boolean));
+      const memberSimilarities = members.flatMap(index => similarities.get(index) || []);
+
+      return {
+        id,
+        size: members.length,
+        distinctAuthors: authors.size,
+        types: [...new Set(members.map(index => comments[index].entry.type))],
+        avgSimilarity: memberSimilarities.reduce((sum, value) => sum + value, 0) / memberSimilarities.length,
+        members, // pageComments and analysisResults.comments share indices
+        sample: comments[members[0]].text.substring(0, 100)
+      };
+    });
+
+    new Set([...coordination.marks.keys(), ...marks.keys()]).forEach((index) => {
+      const mark = marks.get(index);
+      if (mark === coordination.marks.get(index)) return;
+
+      const { entry, element } = comments[index];
+      Array.from(element.children)
+        .filter(child => child.classList.contains('troll-detector-cluster-indicator'))
+        .forEach(indicator => indicator.remove());
+
+      if (!mark) {
+        delete entry.coordinated;
+        element.removeAttribute('data-troll-detector-cluster');
+        element.classList.remove('troll-detector-cluster-highlight');
+        return;
+      }
+
+      const [id, size] = mark.split(':').map(Number);
+      entry.coordinated = { cluster: id, size };
+      element.setAttribute('data-troll-detector-cluster', id);
+      if (this.settings.showIndicators) {
+        this.addClusterIndicator(element, id, size - 1);
+      }
+    });
+    coordination.marks = marks;
+
+    return clusters;
+  }
+
+  /**
+   * Add a "Coordinated" indicator that highlights the other cluster members on hover
+   */
+  addClusterIndicator(element, clusterId, similarCount) {
+    if (!element) return;
+
+    try {
+      const indicator = document.createElement('div');
+      indicator.className = 'troll-detector-indicator troll-detector-cluster-indicator';
+      this.fillIndicator(indicator, '🔗', `Coordinated (cluster ${clusterId}, ${similarCount} similar)`);
+      indicator.setAttribute('data-class', 'cluster');
+      indicator.title = 'Hover to highlight the similar comments on this page';
+
+      const setHighlight = (enabled) => {
+        document.querySelectorAll(`[data-troll-detector-cluster="${clusterId}"]`).forEach((member) => {
+          if (member !== element) {
+            member.classList.toggle('troll-detector-cluster-highlight', enabled);
+          }
+        });
+      };
+      indicator.addEventListener('mouseenter', () => setHighlight(true));
+      indicator.addEventListener('mouseleave', () => setHighlight(false));
+
+      // Place after the comment's other indicators
+      const existing = Array.from(element.children).filter(child => child.classList.contains('troll-detector-indicator'));
+      const last = existing[existing.length - 1];
+      element.style.position = 'relative';
+      element.insertBefore(indicator, last ? last.nextSibling : element.firstChild);
+    } catch (error) {
+      logger.error('Error adding cluster indicator:', error);
+    }
+  }
+
   /**
    * Add profile indicator for suspicious profiles
    */
-  addProfileIndicator(analysis) {
+  addProfileIndicator(analysis, targetSelector) {
     const indicator = document.createElement('div');
     indicator.className = 'troll-detector-profile-badge';
-    indicator.innerHTML = `
-      <div class="badge-content">
-        <span class="badge-emoji">🚨</span>
-        <div class="badge-text">
-          <strong>${analysis.classification}</strong>
-          <small>AI/Troll Score: ${Math.round(analysis.overallScore * 100)}%</small>
-        </div>
-      </div>
-      <div class="badge-flags">
-        ${analysis.flags.map(flag => `<li>${flag}</li>`).join('')}
-      </div>
-    `;
+
+    // Flags and explanations carry page text and custom rule labels, so they are set as text
+    const content = indicator.appendChild(document.createElement('div'));
+    content.className = 'badge-content';
+    const emoji = content.appendChild(document.createElement('span'));
+    emoji.className = 'badge-emoji';
+    emoji.textContent = '🚨';
+    const text = content.appendChild(document.createElement('div'));
+    text.className = 'badge-text';
+    text.appendChild(document.createElement('strong')).textContent = analysis.classification;
+    text.appendChild(document.createElement('small')).textContent =
+      `AI/Troll Score: ${Math.round(analysis.overallScore * 100)}%`;
+    text.appendChild(document.createElement('small')).textContent = ScoringModel.explain(analysis.contributions);
+
+    const flags = indicator.appendChild(document.createElement('div'));
+    flags.className = 'badge-flags';
+    analysis.flags.forEach((flag) => {
+      flags.appendChild(document.createElement('li')).textContent = flag;
+    });
 
     // Try to insert near profile header
-    const header = document.querySelector('.pv-text-details__left-panel, .ph5');
+    const header = this.safeQuerySelector(document, targetSelector);
     if (header) {
       header.insertBefore(indicator, header.firstChild);
     }
@@ -597,14 +1474,18 @@ class TrollDetector {
 
   /**
    * Calculate overall statistics
+   * @param {Array} clusters - Coordinated clusters from detectCoordinatedActivity()
    */
-  calculateOverallStats() {
+  calculateOverallStats(clusters = []) {
     const total = this.analysisResults.comments.length;
     if (total === 0) {
       this.analysisResults.overallStats = {
         totalAnalyzed: 0,
         suspiciousCount: 0,
-        suspiciousPercent: 0
+        suspiciousPercent: 0,
+        suspiciousAuthors: 0,
+        coordinatedClusters: clusters,
+        coordinatedCount: 0
       };
       return;
     }
@@ -625,10 +1506,70 @@ class TrollDetector {
         negative: negativeCount,
         neutral: neutralCount
       },
-      averageSuspicionScore: this.analysisResults.comments.reduce((sum, c) => sum + (c.analysis.suspicionScore || 0), 0) / total
+      emotionDistribution: EmotionAnalyzer.distribution(this.analysisResults.comments.map(c => c.analysis.details?.sentiment)),
+      averageSuspicionScore: this.analysisResults.comments.reduce((sum, c) => sum + (c.analysis.suspicionScore || 0), 0) / total,
+      suspiciousAuthors: this.analysisResults.authors.filter(a => a.analysis.isLikelySuspicious).length,
+      coordinatedClusters: clusters,
+      coordinatedCount: clusters.reduce((sum, cluster) => sum + cluster.size, 0)
     };
   }
 
+  /**
+   * Change the flag threshold and re-classify the current results without re-extracting the page
+   */
+  setFlagThreshold(threshold) {
+    if (typeof threshold !== 'number' || threshold === this.settings.flagThreshold) return;
+    this.settings.flagThreshold = threshold;
+
+    const { comments, authors, profiles } = this.analysisResults;
+    [...comments, ...authors, ...profiles].forEach(({ analysis }) => {
+      ProfileAnalyzer.applyThreshold(analysis, threshold);
+    });
+
+    this.calculateOverallStats(this.analysisResults.overallStats.coordinatedClusters);
+    this.renderIndicators();
+
+    logger.log(`Re-classified results at ${Math.round(threshold * 100)}% threshold`);
+    this.saveResults();
+    this.notifyResultsChanged();
+  }
+
+  /**
+   * Redraw all indicators from the current results
+   */
+  renderIndicators() {
+    this.pageComments.forEach(({ element }) => this.removeExistingIndicators(element));
+    document.querySelectorAll('.troll-detector-profile-badge').forEach(badge => badge.remove());
+
+    if (!this.settings.showIndicators) return;
+
+    const commentsByAuthor = new Map();
+    this.pageComments.forEach(({ entry, element }) => {
+      this.addContentIndicator(element, entry.analysis);
+
+      const key = this.getAuthorKey(entry.author);
+      if (!commentsByAuthor.has(key)) commentsByAuthor.set(key, []);
+      commentsByAuthor.get(key).push(element);
+    });
+
+    this.analysisResults.authors
+      .filter(author => author.analysis.isLikelySuspicious)
+      .forEach((author) => {
+        (commentsByAuthor.get(author.key) || []).forEach(element => this.addAuthorIndicator(element, author));
+      });
+
+    (this.analysisResults.overallStats.coordinatedClusters || []).forEach(({ id, size, members }) => {
+      members.forEach(index => this.addClusterIndicator(this.pageComments[index].element, id, size - 1));
+    });
+
+    const profileSelectors = this.getPlatformSelectors().profile;
+    this.analysisResults.profiles
+      .filter(({ analysis }) => analysis.isLikelySuspicious)
+      .forEach(({ analysis }) => this.addProfileIndicator(analysis, profileSelectors && profileSelectors.profileBadgeTarget));
+
+    this.updateBadgeVisibility();
+  }
+
   /**
    * Update visibility of badges based on settings
    */
@@ -664,55 +1605,52 @@ class TrollDetector {
   isRelevantContent(node) {
     if (!node || node.nodeType !== 1) return false; // Element nodes only
 
-    const selectors = {
-      linkedin: '.feed-shared-update-v2, .comments-comment-item, .occludable-update, .comment-item',
-      youtube: 'ytd-comment-renderer, ytd-comment-thread-renderer',
-      reddit: 'shreddit-comment, shreddit-post, [data-testid="comment"], [data-test-id="post-container"]',
-      generic: '.comment, .post, [class*="comment"], [class*="post"]'
-    };
-
-    const selector = selectors[this.platformDetector.platform] || selectors.generic;
-    const selectorList = selector.split(', ');
+    const selector = this.getContainerSelector();
+    if (!selector || !node.matches) return false;
 
-    return selectorList.some(sel => {
-      try {
-        return node.matches && node.matches(sel);
-      } catch (e) {
-        return false;
-      }
-    });
+    try {
+      return node.matches(selector);
+    } catch (e) {
+      return false;
+    }
   }
 
   /**
    * Observe DOM for dynamically loaded content with optimized filtering
+   * Added nodes are analyzed incrementally; a URL change (navigation) triggers a full re-analysis
    */
   observeDOM() {
     const config = typeof CONFIG !== 'undefined' ? CONFIG : {
-      PERFORMANCE: { MUTATION_DEBOUNCE_MS: 2000, MAX_ELEMENT_COUNT: 5000 }
+      PERFORMANCE: { MUTATION_DEBOUNCE_MS: 2000 }
     };
 
     const observer = new MutationObserver((mutations) => {
-      // Filter for relevant mutations only
-      const hasRelevantChanges = mutations.some(mutation => {
-        return Array.from(mutation.addedNodes).some(node => {
-          return this.isRelevantContent(node) ||
-                 (node.querySelector && this.hasRelevantDescendants(node));
+      // Collect relevant added nodes only
+      mutations.forEach((mutation) => {
+        mutation.addedNodes.forEach((node) => {
+          if (this.isRelevantContent(node) || (node.querySelector && this.hasRelevantDescendants(node))) {
+            this.pendingNodes.add(node);
+          }
         });
       });
 
-      if (!hasRelevantChanges) return;
+      const navigated = window.location.href !== this.currentUrl;
+      if (this.pendingNodes.size === 0 && !navigated) return;
+
+      // Stop working on the previous page right away
+      if (navigated) {
+        this.scheduler.cancel();
+      }
 
       // Debounce analysis to reduce CPU usage
       clearTimeout(this.analysisTimeout);
       this.analysisTimeout = setTimeout(() => {
-        if (this.settings.autoAnalyze && !this.isAnalyzing) {
-          // Check if page has too many elements (performance protection)
-          const elementCount = document.querySelectorAll('*').length;
-          if (elementCount > config.PERFORMANCE.MAX_ELEMENT_COUNT) {
-            logger.warn('Page too large, skipping auto-analysis. Use manual analysis.');
-            return;
-          }
-          this.startAnalysis();
+        if (!this.settings.autoAnalyze) return;
+
+        if (window.location.href !== this.currentUrl) {
+          this.requestFullAnalysis();
+        } else {
+          this.analyzeIncremental();
         }
       }, config.PERFORMANCE.MUTATION_DEBOUNCE_MS);
     });
@@ -730,14 +1668,8 @@ class TrollDetector {
   hasRelevantDescendants(node) {
     if (!node.querySelector) return false;
 
-    const selectors = {
-      linkedin: '.feed-shared-update-v2, .comments-comment-item',
-      youtube: 'ytd-comment-renderer',
-      reddit: 'shreddit-comment, shreddit-post',
-      generic: '.comment, .post'
-    };
-
-    const selector = selectors[this.platformDetector.platform] || selectors.generic;
+    const selector = this.getContainerSelector();
+    if (!selector) return false;
 
     try {
       return node.querySelector(selector) !== null;
@@ -0,0 +1,393 @@
+/**
+ * detectorRegistry.js - Pluggable detectors for content and profile signals
+ * A detector scores one signal (0-1) for the scopes it applies to and explains it as a flag.
+ * ProfileAnalyzer runs every enabled detector for a scope and combines the scores with ScoringModel.
+ *
+ * Detector: {
+ *   id,                         // Unique id, used to enable/disable it per platform
+ *   name,                       // Shown in the options page
+ *   languages: ['*'],           // Languages it understands ('*' for any)
+ *   scopes: ['comment', ...],   // comment, post, profile (bio/username) and/or thread (a profile's posts)
+ *   signal,                     // Weight key in CONFIG.WEIGHTS, or { scope: key } when it differs per scope
+ *   weight,                     // Optional weight used when CONFIG.WEIGHTS has none for the signal
+ *   score(input, context),      // 0-1 sub-score
+ *   explain(score, input, context),   // Flag text, or null when there's nothing to report
+ *   indicator(score, input, context)  // Optional { emoji, label, className } for comment/post indicators
+ * }
+ */
+
+class DetectorRegistry {
+  constructor() {
+    this.detectors = new Map(); // id -> detector, in registration order
+  }
+
+  /**
+   * Scopes detectors can apply to
+   */
+  static get SCOPES() {
+    return ['comment', 'post', 'profile', 'thread'];
+  }
+
+  /**
+   * Register a detector, replacing any detector with the same id
+   */
+  register(detector) {
+    if (!detector || typeof detector.id !== 'string' || !detector.id) {
+      throw new Error('Detector needs an id');
+    }
+    if (typeof detector.score !== 'function' || typeof detector.explain !== 'function') {
+      throw new Error(`Detector ${detector.id} needs score and explain functions`);
+    }
+
+    const scopes = (detector.scopes || []).filter(scope => DetectorRegistry.SCOPES.includes(scope));
+    if (scopes.length === 0) {
+      throw new Error(`Detector ${detector.id} has no valid scope`);
+    }
+
+    this.detectors.set(detector.id, {
+      ...detector,
+      name: detector.name || detector.id,
+      languages: detector.languages && detector.languages.length > 0 ? detector.languages : ['*'],
+      scopes
+    });
+    return this;
+  }
+
+  /**
+   * Remove a detector
+   */
+  unregister(id) {
+    return this.detectors.delete(id);
+  }
+
+  /**
+   * Get a detector by id
+   */
+  get(id) {
+    return this.detectors.get(id) || null;
+  }
+
+  /**
+   * All registered detectors
+   */
+  list() {
+    return Array.from(this.detectors.values());
+  }
+
+  /**
+   * Weight key a detector's score is reported under for a scope
+   */
+  static getSignal(detector, scope) {
+    if (typeof detector.signal === 'string') return detector.signal;
+    return (detector.signal && detector.signal[scope]) || detector.id;
+  }
+
+  /**
+   * Detectors that apply to a scope and language and aren't disabled
+   * An 'unknown' language (short or unrecognized text) doesn't rule out any detector
+   */
+  select(scope, language, disabled = []) {
+    return this.list().filter(detector =>
+      detector.scopes.includes(scope) &&
+      !disabled.includes(detector.id) &&
+      (detector.languages.includes('*') || language === 'unknown' || detector.languages.includes(language)));
+  }
+
+  /**
+   * Create the shared state detectors see during one analysis
+   * @param {Object} analyzer - The ProfileAnalyzer running the detectors
+   * @param {Object} options - { platform, disabledDetectors }
+   * @param {Object} analyses - { name: () => value } sub-analyses, computed once on first get(name)
+   */
+  static createContext(analyzer, options = {}, analyses = {}) {
+    const cache = new Map();
+
+    return {
+      analyzer,
+      platform: options.platform,
+      disabled: options.disabledDetectors || [],
+      scope: null,
+      get(name) {
+        if (!cache.has(name)) {
+          cache.set(name, analyses[name] ? analyses[name]() : undefined);
+        }
+        return cache.get(name);
+      }
+    };
+  }
+
+  /**
+   * Run the enabled detectors for a scope
+   * @returns {Object} { signals, weights, labels, indicators } keyed by signal, flags, flagged (Set of detector ids)
+   */
+  run(scope, input, context) {
+    context.scope = scope;
+    const result = { signals: {}, weights: {}, labels: {}, indicators: {}, flags: [], flagged: new Set() };
+
+    this.select(scope, context.get('language'), context.disabled).forEach((detector) => {
+      try {
+        const signal = DetectorRegistry.getSignal(detector, scope);
+        const score = Math.max(0, Math.min(1, detector.score(input, context) || 0));
+        result.signals[signal] = score;
+        result.labels[signal] = detector.name;
+        if (typeof detector.weight === 'number') {
+          result.weights[signal] = detector.weight;
+        }
+
+        const flag = detector.explain(score, input, context);
+        if (flag) {
+          result.flags.push(flag);
+          result.flagged.add(detector.id);
+        }
+
+        if (score > 0 && typeof detector.indicator === 'function') {
+          const indicator = detector.indicator(score, input, context);
+          if (indicator) result.indicators[signal] = indicator;
+        }
+      } catch (error) {
+        if (typeof logger !== 'undefined') {
+          logger.error(`Detector ${detector.id} failed:`, error);
+        }
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Emotions that make a comment hostile when they dominate it, with their flag and indicator
+   */
+  static get HOSTILE_EMOTIONS() {
+    return {
+      anger: { flag: 'Dominated by anger', indicator: { emoji: '🤬', label: 'Outrage', className: 'danger' } },
+      disgust: { flag: 'Dominated by disgust', indicator: { emoji: '🤮', label: 'Outrage', className: 'danger' } },
+      fear: { flag: 'Dominated by fear', indicator: { emoji: '😱', label: 'Fear-mongering', className: 'warning' } }
+    };
+  }
+
+  /**
+   * Toxicity categories as they appear in flags and indicators
+   */
+  static get TOXICITY_LABELS() {
+    return {
+      insult: 'Insult',
+      identityAttack: 'Identity attack',
+      profanity: 'Profanity',
+      threat: 'Threat',
+      sexual: 'Sexual harassment'
+    };
+  }
+
+  /**
+   * Register the built-in buzzword, AI pattern, spam, toxicity, sentiment, emotion, username, repetition and
+   * posting frequency detectors. Cut-offs match the flags ProfileAnalyzer has always raised.
+   */
+  static registerBuiltIns(registry) {
+    const thresholds = context => context.analyzer.thresholds;
+    const hostileEmotion = context => DetectorRegistry.HOSTILE_EMOTIONS[context.get('sentiment').dominantEmotion] || null;
+
+    registry.register({
+      id: 'buzzwords',
+      name: 'Buzzwords',
+      languages: ['en', 'no', 'de', 'es', 'fr', 'pt', 'sv', 'da', 'ru', 'pl'],
+      scopes: ['comment', 'post', 'profile'],
+      signal: { comment: 'BUZZWORDS', post: 'BUZZWORDS', profile: 'BIO_BUZZWORDS' },
+      score(input, context) {
+        if (context.scope === 'profile') {
+          return ScoringModel.ramp(context.get('bioAnalysis').buzzwordDensity, thresholds(context).buzzwordDensity);
+        }
+        return ScoringModel.ramp(context.get('buzzwords').density, 0.2);
+      },
+      explain(score, input, context) {
+        if (context.scope === 'profile') {
+          return context.get('bioAnalysis').buzzwordDensity > thresholds(context).buzzwordDensity
+            ? 'Excessive buzzwords in bio' : null;
+        }
+        return context.get('buzzwords').density > 0.2 ? 'High buzzword density' : null;
+      }
+    });
+
+    registry.register({
+      id: 'aiPatterns',
+      name: 'AI writing patterns',
+      languages: ['*'],
+      scopes: ['comment', 'post', 'profile', 'thread'],
+      signal: { comment: 'AI_PATTERNS', post: 'AI_PATTERNS', profile: 'BIO_AI_PATTERNS', thread: 'POST_AI_PATTERNS' },
+      score(input, context) {
+        if (context.scope === 'profile') {
+          return ScoringModel.ramp(context.get('bioAnalysis').aiScore, thresholds(context).aiPatternScore);
+        }
+        if (context.scope === 'thread') {
+          return ScoringModel.ramp(context.get('postAnalysis').avgAIScore, thresholds(context).aiPatternScore);
+        }
+        return ScoringModel.ramp(context.get('aiPatterns').score, 0.6);
+      },
+      explain(score, input, context) {
+        if (context.scope === 'profile') {
+          return context.get('bioAnalysis').aiScore > thresholds(context).aiPatternScore
+            ? 'Bio shows AI-generated patterns' : null;
+        }
+        if (context.scope === 'thread') {
+          return context.get('postAnalysis').avgAIScore > thresholds(context).aiPatternScore
+            ? 'Posts show AI-like writing patterns' : null;
+        }
+        return context.get('aiPatterns').isLikelyAI ? 'AI-like writing detected' : null;
+      },
+      indicator() {
+        return { emoji: '🤖', label: 'Likely AI', className: 'danger' };
+      }
+    });
+
+    registry.register({
+      id: 'spam',
+      name: 'Spam patterns',
+      languages: ['*'],
+      scopes: ['comment', 'post'],
+      signal: 'SPAM',
+      score(input, context) {
+        return context.get('spam').isSpam ? 1 : 0;
+      },
+      explain(score, input, context) {
+        return context.get('spam').isSpam ? 'Spam patterns detected' : null;
+      },
+      indicator() {
+        return { emoji: '🚫', label: 'Spam', className: 'danger' };
+      }
+    });
+
+    registry.register({
+      id: 'toxicity',
+      name: 'Toxicity',
+      languages: ['en', 'no', 'de', 'es', 'fr', 'pt', 'sv', 'da', 'se', 'ru', 'lv', 'et', 'lt', 'pl'],
+      scopes: ['comment', 'post'],
+      signal: 'TOXICITY',
+      score(input, context) {
+        return context.get('toxicity').score;
+      },
+      explain(score, input, context) {
+        const toxicity = context.get('toxicity');
+        if (!toxicity.isToxic) return null;
+        const labels = DetectorRegistry.TOXICITY_LABELS;
+        const categories = Object.keys(labels).filter(category => toxicity.categories[category] > 0);
+        const severity = toxicity.severity === 'severe' ? 'Severe' : 'Moderate';
+        const aimed = toxicity.targeted > 0 ? ' aimed at someone' : '';
+        return `${severity} toxicity${aimed}: ${categories.map(category => labels[category].toLowerCase()).join(', ')}`;
+      },
+      indicator(score, input, context) {
+        const toxicity = context.get('toxicity');
+        const labels = DetectorRegistry.TOXICITY_LABELS;
+        // The category with the most severe match names the indicator
+        const worst = toxicity.matches.reduce((top, match) => (match.weight > top.weight ? match : top));
+        const category = worst.categories.includes('threat') ? 'threat' : worst.categories[0];
+        return {
+          emoji: '☣️',
+          label: toxicity.severity === 'severe' ? `Severe: ${labels[category]}` : labels[category],
+          className: 'toxic'
+        };
+      }
+    });
+
+    registry.register({
+      id: 'sentiment',
+      name: 'Extreme sentiment',
+      languages: ['*'],
+      scopes: ['comment', 'post', 'thread'],
+      signal: 'EXTREME_SENTIMENT',
+      score(input, context) {
+        if (context.scope === 'thread') {
+          return ScoringModel.ramp(context.get('postAnalysis').extremeSentimentRatio, thresholds(context).extremeSentimentRatio);
+        }
+        return ScoringModel.ramp(Math.abs(context.get('sentiment').compound || 0), 0.7);
+      },
+      explain(score, input, context) {
+        if (context.scope === 'thread') {
+          return context.get('postAnalysis').extremeSentimentRatio > thresholds(context).extremeSentimentRatio
+            ? 'Unusual sentiment patterns detected' : null;
+        }
+        return context.get('sentiment').isExtreme ? 'Extreme sentiment detected' : null;
+      },
+      indicator(score, input, context) {
+        const sentiment = context.get('sentiment');
+        if (!sentiment.isExtreme) return null;
+        return sentiment.classification === 'positive'
+          ? { emoji: '😍', label: 'Extreme Positive', className: 'info' }
+          : { emoji: '😡', label: 'Extreme Negative', className: 'danger' };
+      }
+    });
+
+    registry.register({
+      id: 'emotions',
+      name: 'Hostile emotion',
+      languages: ['en', 'no', 'de', 'es', 'fr', 'pt', 'sv', 'da', 'se', 'ru', 'lv', 'et', 'lt', 'pl'],
+      scopes: ['comment', 'post'],
+      signal: 'HOSTILE_EMOTION',
+      score(input, context) {
+        if (!hostileEmotion(context)) return 0;
+        return ScoringModel.ramp(context.get('sentiment').emotionIntensity, thresholds(context).emotionIntensity);
+      },
+      explain(score, input, context) {
+        const emotion = hostileEmotion(context);
+        return emotion && context.get('sentiment').emotionIntensity > thresholds(context).emotionIntensity
+          ? emotion.flag : null;
+      },
+      indicator(score, input, context) {
+        return hostileEmotion(context).indicator;
+      }
+    });
+
+    registry.register({
+      id: 'username',
+      name: 'Username patterns',
+      languages: ['*'],
+      scopes: ['profile'],
+      signal: 'USERNAME',
+      score(input, context) {
+        return context.get('usernameAnalysis').suspicionScore || 0;
+      },
+      explain(score, input, context) {
+        return context.get('usernameAnalysis').isSuspicious ? 'Suspicious username pattern' : null;
+      }
+    });
+
+    registry.register({
+      id: 'repetition',
+      name: 'Repetitive posts',
+      languages: ['*'],
+      scopes: ['thread'],
+      signal: 'POST_REPETITION',
+      score(input, context) {
+        return ScoringModel.ramp(context.get('postAnalysis').repetitionScore, thresholds(context).repetitionScore);
+      },
+      explain(score, input, context) {
+        return context.get('postAnalysis').repetitionScore > thresholds(context).repetitionScore
+          ? 'Posts are suspiciously similar' : null;
+      }
+    });
+
+    registry.register({
+      id: 'postingFrequency',
+      name: 'Posting frequency',
+      languages: ['*'],
+      scopes: ['thread'],
+      signal: 'POSTING_FREQUENCY',
+      score(input, context) {
+        return context.get('frequencyAnalysis').isSuspicious ? 1 : 0;
+      },
+      explain(score, input, context) {
+        const frequency = context.get('frequencyAnalysis');
+        return frequency.isSuspicious ? frequency.reason : null;
+      }
+    });
+
+    return registry;
+  }
+}
+
+// Default registry with the built-in detectors
+const detectorRegistry = DetectorRegistry.registerBuiltIns(new DetectorRegistry());
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.DetectorRegistry = DetectorRegistry;
+  window.detectorRegistry = detectorRegistry;
+}
@@ -0,0 +1,282 @@
+/**
+ * emoji.js - Emoji and emoticon sentiment
+ * Text is split into graphemes (see TextPipeline.graphemes), so "👍🏽", "❤️" and "❤" or a ZWJ
+ * sequence like "🤦‍♂️" count once and score like their base emoji. ASCII emoticons (":)", "xD")
+ * are matched as whole words. Also reports per-text emoji statistics, since emoji spam
+ * ("🔥🔥🔥🔥🔥") is a signal of its own.
+ */
+
+class EmojiAnalyzer {
+  constructor() {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      EMOJI: { SPAM_MIN_COUNT: 5, SPAM_DENSITY: 0.5, SPAM_REPEAT: 4 }
+    };
+    this.limits = config.EMOJI;
+
+    // Tables are keyed without variation selectors or skin tones, like the text they are matched against
+    this.sentiment = new Map();
+    Object.entries(EmojiAnalyzer.SENTIMENT).forEach(([emoji, score]) => {
+      this.sentiment.set(EmojiAnalyzer.normalize(emoji), score);
+    });
+    this.sarcastic = new Set(EmojiAnalyzer.SARCASTIC.map(emoji => EmojiAnalyzer.normalize(emoji)));
+    this.emotions = new Map();
+    Object.entries(EmojiAnalyzer.EMOTIONS).forEach(([emotion, emojis]) => {
+      emojis.forEach((emoji) => {
+        const key = EmojiAnalyzer.normalize(emoji);
+        this.emotions.set(key, [...(this.emotions.get(key) || []), emotion]);
+      });
+    });
+
+    // Longest emoticons first, so ":-D" is not matched as ":-"
+    const emoticons = Object.keys(EmojiAnalyzer.EMOTICONS)
+      .sort((a, b) => b.length - a.length)
+      .map(emoticon => emoticon.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    this.emoticonPattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${emoticons.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+  }
+
+  /**
+   * Emoji sentiment from -1 to 1, written as they appear in text; skin-tone and gender
+   * variants and ZWJ sequences without an entry of their own score like their first emoji
+   */
+  static get SENTIMENT() {
+    return {
+      // Smiles and laughter
+      '😀': 0.6, '😃': 0.7, '😄': 0.7, '😁': 0.7, '😆': 0.6, '😅': 0.3, '🤣': 0.5, '😂': 0.4,
+      '🙂': 0.4, '😊': 0.6, '😇': 0.6, '☺️': 0.6, '🥲': 0.1, '😌': 0.4, '😋': 0.5, '😎': 0.5,
+      '🤗': 0.6, '🤩': 0.8, '🥳': 0.8, '😸': 0.6, '😹': 0.4, '😺': 0.5,
+
+      // Affection
+      '😍': 0.8, '🥰': 0.8, '😘': 0.7, '😗': 0.4, '😙': 0.5, '😚': 0.5, '😻': 0.7, '💋': 0.6,
+      '❤️': 0.8, '🧡': 0.7, '💛': 0.7, '💚': 0.7, '💙': 0.7, '💜': 0.7, '🤍': 0.6, '🤎': 0.6,
+      '🖤': 0.3, '💕': 0.7, '💞': 0.7, '💓': 0.7, '💗': 0.7, '💖': 0.8, '💘': 0.7, '💝': 0.7,
+      '❣️': 0.6, '❤️‍🔥': 0.7, '❤️‍🩹': 0.3, '🫶': 0.8, '💐': 0.6, '🌹': 0.5,
+
+      // Approval and celebration
+      '👍': 0.5, '👌': 0.5, '✌️': 0.4, '🤞': 0.3, '🙌': 0.7, '👏': 0.6, '🙏': 0.5, '💪': 0.6,
+      '🤝': 0.5, '🫡': 0.3, '✅': 0.4, '✔️': 0.3, '☑️': 0.3, '💯': 0.7, '🔥': 0.6, '⭐': 0.5,
+      '🌟': 0.6, '✨': 0.5, '🎉': 0.7, '🎊': 0.7, '🥇': 0.7, '🏆': 0.7, '🎯': 0.5, '🚀': 0.6,
+      '💎': 0.5, '👑': 0.5, '🌈': 0.5, '☀️': 0.4, '🍾': 0.6, '🥂': 0.6, '🆒': 0.4, '🆗': 0.3,
+
+      // Neutral, thinking and surprise
+      '😐': 0, '😑': -0.1, '😶': 0, '🫥': -0.1, '🤔': 0, '🧐': 0, '🤷': 0, '😮': 0, '😯': 0,
+      '😲': 0.1, '😳': -0.1, '🤯': 0, '😴': -0.1, '🥱': -0.3, '🤐': -0.1, '👀': 0, '🍿': 0.1,
+
+      // Sarcasm and mockery
+      '🙄': -0.4, '🙃': -0.1, '😏': -0.1, '😒': -0.5, '🤡': -0.6, '💅': 0, '🤭': 0, '🫠': -0.2,
+      '🤪': 0, '😜': 0.2, '😝': 0.2, '😛': 0.2, '🤥': -0.6, '🤓': -0.1, '🥴': -0.2, '😬': -0.2,
+      '💀': 0, '☠️': -0.3, '🧢': -0.4, '🐑': -0.3, '🤏': -0.2, '👋': 0.1,
+
+      // Sadness and worry
+      '😢': -0.6, '😭': -0.7, '😞': -0.6, '😔': -0.6, '😟': -0.6, '😕': -0.4, '🙁': -0.5,
+      '☹️': -0.6, '😥': -0.5, '😓': -0.4, '😩': -0.6, '😫': -0.6, '😖': -0.6, '😣': -0.5,
+      '😰': -0.6, '😨': -0.6, '😱': -0.5, '🥺': -0.2, '😿': -0.6, '🥀': -0.5, '💔': -0.7,
+      '😪': -0.4, '😵': -0.4, '🤕': -0.5, '🤒': -0.5, '😷': -0.3,
+
+      // Anger and disgust
+      '😠': -0.7, '😡': -0.8, '🤬': -0.9, '😤': -0.5, '👿': -0.8, '😈': -0.3, '👎': -0.6,
+      '🖕': -0.9, '🤢': -0.7, '🤮': -0.8, '💩': -0.6, '🗑️': -0.6, '🚮': -0.5, '❌': -0.4,
+      '⛔': -0.4, '🚫': -0.4, '😾': -0.6, '👺': -0.6, '👹': -0.6, '💢': -0.6, '⚠️': -0.3,
+      '🤦': -0.5, '😶‍🌫️': -0.2, '😮‍💨': -0.3, '😵‍💫': -0.4
+    };
+  }
+
+  /**
+   * Emoji that lean sarcastic or mocking in comments; they are counted in the statistics
+   * whatever their score ("great job 👏", "sure 🙄", "🤡")
+   */
+  static get SARCASTIC() {
+    return ['🙄', '🙃', '😏', '😒', '🤡', '💅', '🤭', '🫠', '🤪', '😜', '🤥', '🧢', '🐑', '🤏', '👏', '🥱', '🍿', '🤓', '👋'];
+  }
+
+  /**
+   * Emotions emoji express (see lib/emotions.js)
+   */
+  static get EMOTIONS() {
+    return {
+      anger: ['😠', '😡', '🤬', '😤', '👿', '🖕', '💢', '👺', '👹', '😾'],
+      fear: ['😨', '😰', '😱', '😧', '😦', '⚠️', '🚨', '☢️', '☣️'],
+      joy: ['😀', '😃', '😄', '😁', '😆', '😊', '😂', '🤣', '🥳', '🤩', '😍', '🥰', '❤️', '🎉', '🎊'],
+      disgust: ['🤢', '🤮', '💩', '🗑️', '😒', '🙄'],
+      sadness: ['😢', '😭', '😞', '😔', '😟', '🙁', '☹️', '😿', '💔', '🥀'],
+      surprise: ['😮', '😯', '😲', '😳', '🤯', '😱', '😵'],
+      trust: ['🤝', '🙏', '✅', '✔️', '🫡', '💯']
+    };
+  }
+
+  /**
+   * ASCII emoticons and their sentiment
+   */
+  static get EMOTICONS() {
+    return {
+      ':)': 0.5, ':-)': 0.5, ':]': 0.5, '=)': 0.5, '(:': 0.5, ':D': 0.7, ':-D': 0.7, '=D': 0.7,
+      'xD': 0.6, 'XD': 0.6, ';)': 0.4, ';-)': 0.4, ':P': 0.3, ':-P': 0.3, ':p': 0.3, ':-p': 0.3,
+      '<3': 0.8, '^_^': 0.6, '^^': 0.5, ':*': 0.6, ':-*': 0.6,
+      ':(': -0.6, ':-(': -0.6, ':[': -0.5, '=(': -0.6, '):': -0.6, ":'(": -0.7, ":'-(": -0.7,
+      '</3': -0.7, '>:(': -0.8, '>:-(': -0.8, ':/': -0.3, ':-/': -0.3, ':\\': -0.3, ':-\\': -0.3,
+      ':|': 0, ':-|': 0, ':o': 0, ':O': 0, ':-O': 0, '-_-': -0.3, 'T_T': -0.6, ';_;': -0.6
+    };
+  }
+
+  /**
+   * Emoticons that lean sarcastic or mocking
+   */
+  static get SARCASTIC_EMOTICONS() {
+    return [';)', ';-)', ':P', ':-P', ':p', ':-p', '-_-'];
+  }
+
+  /**
+   * An emoji without variation selectors (text/emoji presentation) or skin-tone modifiers,
+   * so "❤️" and "❤" or "👍🏽" and "👍" share one key
+   */
+  static normalize(emoji) {
+    return emoji.replace(/[\uFE0E\uFE0F\u{1F3FB}-\u{1F3FF}]/gu, '');
+  }
+
+  /**
+   * Whether a grapheme is an emoji; symbols that default to text presentation ("©", "™") only
+   * count with a variation selector, in a sequence, or when they have a score ("❤")
+   */
+  isEmoji(grapheme) {
+    if (!/\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u.test(grapheme)) return false;
+    if (/\p{Emoji_Presentation}|[\uFE0F\u200D\u20E3\u{1F3FB}-\u{1F3FF}]/u.test(grapheme)) return true;
+    return this.sentiment.has(EmojiAnalyzer.normalize(grapheme));
+  }
+
+  /**
+   * Score of an emoji: its own entry, or else its first emoji's ("🤦‍♂️" -> "🤦", "👨‍💻" -> "👨")
+   * @returns {Object} { key, score } where key is the table entry it matched, or the
+   *   normalized emoji with score 0 when there is none
+   */
+  lookup(emoji) {
+    const key = EmojiAnalyzer.normalize(emoji);
+    if (this.sentiment.has(key)) return { key, score: this.sentiment.get(key) };
+
+    const base = Array.from(key)[0];
+    if (this.sentiment.has(base)) return { key: base, score: this.sentiment.get(base) };
+    return { key, score: 0 };
+  }
+
+  /**
+   * Emoji and emoticons in a text, in order
+   * @returns {Array} [{ text, key, score, sarcastic, emotions, emoticon, index, end }]
+   */
+  extract(text) {
+    const items = [];
+    let index = 0;
+
+    TextPipeline.graphemes(text).forEach((grapheme) => {
+      if (this.isEmoji(grapheme)) {
+        const { key, score } = this.lookup(grapheme);
+        items.push({
+          text: grapheme, key, score, sarcastic: this.sarcastic.has(key), emotions: this.emotions.get(key) || [],
+          emoticon: false, index, end: index + grapheme.length
+        });
+      }
+      index += grapheme.length;
+    });
+
+    const emoticons = EmojiAnalyzer.EMOTICONS;
+    const sarcasticEmoticons = EmojiAnalyzer.SARCASTIC_EMOTICONS;
+    for (const match of text.matchAll(this.emoticonPattern)) {
+      const emoticon = match[0];
+      items.push({
+        text: emoticon, key: emoticon, score: emoticons[emoticon], sarcastic: sarcasticEmoticons.includes(emoticon),
+        emotions: [], emoticon: true, index: match.index, end: match.index + emoticon.length
+      });
+    }
+
+    return items.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Score a text's emoji and emoticons and describe how they are used
+   * @param {number} wordCount - Words in the text, for density; counted with TextPipeline when omitted
+   * @returns {Object} { score, count, emotions, stats }; emotions: { emotion: emoji expressing it };
+   *   stats: { count, emoji, emoticons, unique, sarcastic,
+   *   density (share of words and emoji that are emoji), longestRun (same emoji back to back),
+   *   top: [{ emoji, count }], isSpam }
+   */
+  analyze(text, wordCount) {
+    if (!text || typeof text !== 'string') return this.getDefaultResult();
+
+    const items = this.extract(text);
+    if (items.length === 0) return this.getDefaultResult();
+
+    const words = typeof wordCount === 'number' ? wordCount : TextPipeline.tokens(text).length;
+    const counts = new Map();
+    const emotions = {};
+    let score = 0;
+    let longestRun = 0;
+    let run = 0;
+
+    items.forEach((item, i) => {
+      score += item.score;
+      counts.set(item.key, (counts.get(item.key) || 0) + 1);
+      item.emotions.forEach((emotion) => {
+        emotions[emotion] = (emotions[emotion] || 0) + 1;
+      });
+
+      // A run continues while the same emoji follows with nothing but whitespace in between
+      const previous = items[i - 1];
+      const continues = previous && previous.key === item.key && text.slice(previous.end, item.index).trim() === '';
+      run = continues ? run + 1 : 1;
+      longestRun = Math.max(longestRun, run);
+    });
+
+    const count = items.length;
+    const density = count / (count + words);
+    const top = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([emoji, emojiCount]) => ({ emoji, count: emojiCount }));
+
+    return {
+      score,
+      count,
+      emotions,
+      stats: {
+        count,
+        emoji: items.filter(item => !item.emoticon).length,
+        emoticons: items.filter(item => item.emoticon).length,
+        unique: counts.size,
+        sarcastic: items.filter(item => item.sarcastic).length,
+        density,
+        longestRun,
+        top,
+        isSpam: count >= this.limits.SPAM_MIN_COUNT &&
+          (density >= this.limits.SPAM_DENSITY || longestRun >= this.limits.SPAM_REPEAT)
+      }
+    };
+  }
+
+  /**
+   * Get default result for text without emoji
+   */
+  getDefaultResult() {
+    return {
+      score: 0,
+      count: 0,
+      emotions: {},
+      stats: {
+        count: 0,
+        emoji: 0,
+        emoticons: 0,
+        unique: 0,
+        sarcastic: 0,
+        density: 0,
+        longestRun: 0,
+        top: [],
+        isSpam: false
+      }
+    };
+  }
+}
+
+// Shared instance, so the tables are built once
+const emojiAnalyzer = new EmojiAnalyzer();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.EmojiAnalyzer = EmojiAnalyzer;
+  window.emojiAnalyzer = emojiAnalyzer;
+}
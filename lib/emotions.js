@@ -0,0 +1,299 @@
+/**
+ * emotions.js - NRC-style emotion lexicons
+ * Words associated with anger, fear, joy, disgust, sadness, surprise and trust in each of the
+ * 14 sentiment languages, matched by token and stem like the sentiment lexicons (see lib/phraseMatcher.js).
+ * A word can carry several emotions ("outrageous" is anger and disgust).
+ */
+
+class EmotionAnalyzer {
+  constructor() {
+    // Phrase matchers and phrase -> emotions per language, built on first use
+    this.matchers = {};
+  }
+
+  /**
+   * Emotions scored, in display order
+   */
+  static get EMOTIONS() {
+    return ['anger', 'fear', 'joy', 'disgust', 'sadness', 'surprise', 'trust'];
+  }
+
+  /**
+   * Emotion words per language
+   */
+  static get LEXICONS() {
+    return {
+      // English
+      en: {
+        anger: [
+          'angry', 'anger', 'furious', 'rage', 'outrage', 'outrageous', 'hate', 'hatred', 'mad', 'livid',
+          'fuming', 'pissed', 'infuriating', 'hostile', 'idiot', 'moron', 'traitor', 'attack', 'destroy', 'fight',
+          'betrayal', 'scum', 'how dare', 'fed up', 'sick and tired'
+        ],
+        fear: [
+          'afraid', 'fear', 'scared', 'terrified', 'terror', 'panic', 'threat', 'danger', 'dangerous', 'warning',
+          'crisis', 'collapse', 'catastrophe', 'disaster', 'invasion', 'deadly', 'worried', 'anxious', 'alarming',
+          'nightmare', 'before it\'s too late', 'wake up'
+        ],
+        joy: [
+          'happy', 'joy', 'glad', 'delighted', 'love', 'wonderful', 'celebrate', 'fun', 'excited', 'awesome',
+          'laugh', 'cheerful', 'blessed', 'thrilled', 'over the moon'
+        ],
+        disgust: [
+          'disgusting', 'disgust', 'gross', 'vile', 'filthy', 'nasty', 'revolting', 'repulsive', 'pathetic',
+          'scum', 'garbage', 'trash', 'rotten', 'outrageous', 'shameful', 'corrupt'
+        ],
+        sadness: [
+          'sad', 'sadly', 'unhappy', 'depressed', 'cry', 'tears', 'grief', 'heartbroken', 'lonely', 'miserable',
+          'tragic', 'loss', 'sorry', 'disappointed', 'hopeless'
+        ],
+        surprise: [
+          'surprised', 'surprise', 'shocked', 'shocking', 'unbelievable', 'unexpected', 'amazed', 'astonishing',
+          'wow', 'omg', 'sudden', 'can\'t believe', 'out of nowhere'
+        ],
+        trust: [
+          'trust', 'reliable', 'honest', 'loyal', 'faith', 'confident', 'proven', 'safe', 'genuine', 'sincere',
+          'recommend', 'credible', 'respect'
+        ]
+      },
+      // Norwegian (Bokmål)
+      no: {
+        anger: ['sint', 'rasende', 'raseri', 'hat', 'hater', 'forbannet', 'idiot', 'forræder', 'angrep', 'provoserende', 'drittlei'],
+        fear: ['redd', 'frykt', 'skremt', 'panikk', 'trussel', 'fare', 'farlig', 'krise', 'katastrofe', 'bekymret', 'advarsel'],
+        joy: ['glad', 'lykkelig', 'glede', 'fornøyd', 'herlig', 'elsker', 'morsom', 'feire', 'begeistret'],
+        disgust: ['ekkel', 'ekkelt', 'avsky', 'motbydelig', 'kvalm', 'patetisk', 'søppel', 'råtten', 'skammelig', 'korrupt'],
+        sadness: ['trist', 'lei meg', 'sorg', 'gråte', 'ensom', 'deprimert', 'skuffet', 'håpløs', 'tragisk'],
+        surprise: ['overrasket', 'overraskende', 'sjokkert', 'sjokkerende', 'utrolig', 'uventet', 'wow'],
+        trust: ['tillit', 'stole på', 'pålitelig', 'ærlig', 'lojal', 'trygg', 'anbefale', 'troverdig', 'respekt']
+      },
+      // German
+      de: {
+        anger: ['wütend', 'wut', 'zorn', 'hass', 'hassen', 'sauer', 'empörend', 'empörung', 'idiot', 'verräter', 'angriff', 'frechheit'],
+        fear: ['angst', 'ängstlich', 'furcht', 'panik', 'bedrohung', 'gefahr', 'gefährlich', 'krise', 'katastrophe', 'besorgt', 'warnung'],
+        joy: ['glücklich', 'freude', 'froh', 'fröhlich', 'begeistert', 'liebe', 'lieben', 'wunderbar', 'feiern', 'spaß'],
+        disgust: ['ekelhaft', 'ekel', 'widerlich', 'abscheulich', 'eklig', 'erbärmlich', 'müll', 'verdorben', 'schändlich', 'korrupt'],
+        sadness: ['traurig', 'trauer', 'weinen', 'einsam', 'deprimiert', 'enttäuscht', 'hoffnungslos', 'tragisch', 'leider'],
+        surprise: ['überrascht', 'überraschend', 'schockiert', 'schockierend', 'unglaublich', 'unerwartet', 'erstaunlich', 'wow'],
+        trust: ['vertrauen', 'zuverlässig', 'ehrlich', 'treu', 'empfehlen', 'glaubwürdig', 'respekt', 'seriös']
+      },
+      // Spanish
+      es: {
+        anger: ['enojado', 'enfadado', 'furioso', 'rabia', 'ira', 'odio', 'odiar', 'indignante', 'idiota', 'traidor', 'ataque', 'harto'],
+        fear: ['miedo', 'asustado', 'aterrado', 'pánico', 'amenaza', 'peligro', 'peligroso', 'crisis', 'catástrofe', 'preocupado', 'alerta'],
+        joy: ['feliz', 'alegría', 'contento', 'encantado', 'amor', 'encantar', 'maravilloso', 'celebrar', 'divertido'],
+        disgust: ['asqueroso', 'asco', 'repugnante', 'vil', 'patético', 'basura', 'podrido', 'vergonzoso', 'corrupto'],
+        sadness: ['triste', 'tristeza', 'llorar', 'deprimido', 'decepcionado', 'desesperado', 'trágico', 'lamentablemente'],
+        surprise: ['sorprendido', 'sorprendente', 'sorpresa', 'impactado', 'increíble', 'inesperado', 'asombroso', 'wow'],
+        trust: ['confianza', 'confiar', 'fiable', 'honesto', 'leal', 'recomendar', 'creíble', 'respeto']
+      },
+      // French
+      fr: {
+        anger: ['en colère', 'colère', 'furieux', 'rage', 'haine', 'détester', 'scandaleux', 'idiot', 'traître', 'attaque', 'marre'],
+        fear: ['peur', 'effrayé', 'terrifié', 'panique', 'menace', 'danger', 'dangereux', 'crise', 'catastrophe', 'inquiet', 'alerte'],
+        joy: ['heureux', 'joie', 'content', 'ravi', 'amour', 'adorer', 'merveilleux', 'fêter', 'amusant'],
+        disgust: ['dégoûtant', 'dégoût', 'répugnant', 'ignoble', 'pathétique', 'ordure', 'pourri', 'honteux', 'corrompu'],
+        sadness: ['triste', 'tristesse', 'pleurer', 'déprimé', 'déçu', 'désespéré', 'tragique', 'malheureusement'],
+        surprise: ['surpris', 'surprenant', 'surprise', 'choqué', 'choquant', 'incroyable', 'inattendu', 'étonnant', 'wow'],
+        trust: ['confiance', 'fiable', 'honnête', 'loyal', 'recommander', 'crédible', 'respect', 'sérieux']
+      },
+      // Portuguese
+      pt: {
+        anger: ['irritado', 'furioso', 'raiva', 'ódio', 'odiar', 'revoltante', 'idiota', 'traidor', 'ataque', 'farto'],
+        fear: ['medo', 'assustado', 'aterrorizado', 'pânico', 'ameaça', 'perigo', 'perigoso', 'crise', 'catástrofe', 'preocupado', 'alerta'],
+        joy: ['feliz', 'alegria', 'contente', 'encantado', 'amor', 'adorar', 'maravilhoso', 'comemorar', 'divertido'],
+        disgust: ['nojento', 'nojo', 'repugnante', 'vil', 'patético', 'lixo', 'podre', 'vergonhoso', 'corrupto'],
+        sadness: ['triste', 'tristeza', 'chorar', 'sozinho', 'deprimido', 'decepcionado', 'desesperado', 'trágico', 'infelizmente'],
+        surprise: ['surpreso', 'surpreendente', 'surpresa', 'chocado', 'chocante', 'incrível', 'inesperado', 'espantoso', 'uau'],
+        trust: ['confiança', 'confiar', 'confiável', 'honesto', 'leal', 'recomendar', 'credível', 'respeito']
+      },
+      // Swedish
+      sv: {
+        anger: ['arg', 'rasande', 'ilska', 'hat', 'hatar', 'förbannad', 'upprörande', 'idiot', 'förrädare', 'attack', 'trött på'],
+        fear: ['rädd', 'rädsla', 'skräck', 'panik', 'hot', 'fara', 'farlig', 'kris', 'katastrof', 'orolig', 'varning'],
+        joy: ['glad', 'lycklig', 'glädje', 'nöjd', 'härlig', 'älskar', 'rolig', 'fira', 'förtjust'],
+        disgust: ['äcklig', 'äckel', 'avsky', 'vidrig', 'motbjudande', 'patetisk', 'skräp', 'rutten', 'skamlig', 'korrupt'],
+        sadness: ['ledsen', 'sorg', 'gråta', 'ensam', 'deprimerad', 'besviken', 'hopplös', 'tragisk', 'tyvärr'],
+        surprise: ['överraskad', 'överraskande', 'chockad', 'chockerande', 'otrolig', 'oväntad', 'wow'],
+        trust: ['förtroende', 'lita på', 'pålitlig', 'ärlig', 'lojal', 'trygg', 'rekommendera', 'trovärdig', 'respekt']
+      },
+      // Danish
+      da: {
+        anger: ['vred', 'rasende', 'raseri', 'had', 'hader', 'sur', 'provokerende', 'idiot', 'forræder', 'angreb', 'træt af'],
+        fear: ['bange', 'frygt', 'skræmt', 'panik', 'trussel', 'fare', 'farlig', 'krise', 'katastrofe', 'bekymret', 'advarsel'],
+        joy: ['glad', 'lykkelig', 'glæde', 'tilfreds', 'dejlig', 'elsker', 'sjov', 'fejre', 'begejstret'],
+        disgust: ['ulækker', 'afsky', 'modbydelig', 'væmmelig', 'patetisk', 'skrald', 'rådden', 'skamfuld', 'korrupt'],
+        sadness: ['trist', 'ked af det', 'sorg', 'græde', 'ensom', 'deprimeret', 'skuffet', 'håbløs', 'tragisk'],
+        surprise: ['overrasket', 'overraskende', 'chokeret', 'chokerende', 'utrolig', 'uventet', 'wow'],
+        trust: ['tillid', 'stole på', 'pålidelig', 'ærlig', 'loyal', 'tryg', 'anbefale', 'troværdig', 'respekt']
+      },
+      // Northern Sami (Davvisámegiella)
+      se: {
+        anger: ['suhttan', 'moarri', 'vašši', 'vašuha'],
+        fear: ['ballu', 'balli', 'várra', 'váralaš', 'heahtedilli'],
+        joy: ['illu', 'ilus', 'suohtas', 'liekkus', 'ráhkisvuohta'],
+        disgust: ['fasti', 'boasta', 'heahpat'],
+        sadness: ['moraš', 'morašlaš', 'čierrut', 'okto', 'váivi'],
+        surprise: ['hirbmat', 'vuordemeahttun', 'imaštallat'],
+        trust: ['luohttámuš', 'luohttit', 'duođalaš', 'oskkáldas', 'dorvvolaš']
+      },
+      // Russian
+      ru: {
+        anger: ['злой', 'злость', 'гнев', 'ярость', 'ненависть', 'ненавидеть', 'бесит', 'возмутительно', 'идиот', 'предатель', 'атака', 'надоело'],
+        fear: ['страх', 'бояться', 'испуганный', 'паника', 'угроза', 'опасность', 'опасный', 'кризис', 'катастрофа', 'тревога', 'беспокоиться'],
+        joy: ['счастливый', 'радость', 'рад', 'весёлый', 'любовь', 'любить', 'чудесный', 'праздновать', 'восторг'],
+        disgust: ['отвратительный', 'отвратительно', 'отвращение', 'мерзкий', 'гадкий', 'противный', 'жалкий', 'мусор', 'гнилой', 'позорный', 'продажный'],
+        sadness: ['грустный', 'грусть', 'печальный', 'плакать', 'одинокий', 'депрессия', 'разочарованный', 'безнадёжный', 'трагический', 'жаль'],
+        surprise: ['удивлённый', 'удивительный', 'сюрприз', 'шок', 'шокирующий', 'невероятный', 'неожиданный', 'вау'],
+        trust: ['доверие', 'доверять', 'надёжный', 'честный', 'верный', 'безопасный', 'рекомендовать', 'уважение']
+      },
+      // Latvian (Latviešu)
+      lv: {
+        anger: ['dusmīgs', 'dusmas', 'niknums', 'naids', 'ienīst', 'sašutums', 'idiots', 'nodevējs', 'uzbrukums', 'apnicis'],
+        fear: ['bailes', 'baidīties', 'nobijies', 'panika', 'draudi', 'briesmas', 'bīstams', 'krīze', 'katastrofa', 'satraukts'],
+        joy: ['laimīgs', 'prieks', 'priecīgs', 'mīlestība', 'mīlēt', 'brīnišķīgs', 'svinēt', 'jautrs'],
+        disgust: ['pretīgs', 'riebums', 'riebīgs', 'nožēlojams', 'mēsli', 'sapuvis', 'kaunpilns', 'korumpēts'],
+        sadness: ['skumjš', 'skumjas', 'bēdas', 'raudāt', 'vientuļš', 'nomākts', 'vīlies', 'bezcerīgs', 'traģisks'],
+        surprise: ['pārsteigts', 'pārsteidzošs', 'pārsteigums', 'šokēts', 'neticams', 'negaidīts'],
+        trust: ['uzticība', 'uzticēties', 'uzticams', 'godīgs', 'lojāls', 'drošs', 'ieteikt', 'cieņa']
+      },
+      // Estonian (Eesti)
+      et: {
+        anger: ['vihane', 'viha', 'raev', 'vihkama', 'pahane', 'nördimus', 'idioot', 'reetur', 'rünnak', 'villand'],
+        fear: ['hirm', 'kartma', 'hirmunud', 'paanika', 'oht', 'ohtlik', 'kriis', 'katastroof', 'mures', 'ähvardus'],
+        joy: ['õnnelik', 'rõõm', 'rõõmus', 'armastus', 'armastama', 'imeline', 'tähistama', 'lõbus'],
+        disgust: ['vastik', 'jälk', 'vastikus', 'haletsusväärne', 'prügi', 'mäda', 'häbiväärne', 'korrumpeerunud'],
+        sadness: ['kurb', 'kurbus', 'nutma', 'üksik', 'masendunud', 'pettunud', 'lootusetu', 'traagiline'],
+        surprise: ['üllatunud', 'üllatav', 'üllatus', 'šokeeritud', 'uskumatu', 'ootamatu'],
+        trust: ['usaldus', 'usaldama', 'usaldusväärne', 'aus', 'lojaalne', 'turvaline', 'soovitama', 'austus']
+      },
+      // Lithuanian (Lietuvių)
+      lt: {
+        anger: ['piktas', 'pyktis', 'įniršis', 'neapykanta', 'nekęsti', 'piktina', 'idiotas', 'išdavikas', 'puolimas', 'atsibodo'],
+        fear: ['baimė', 'bijoti', 'išsigandęs', 'panika', 'grėsmė', 'pavojus', 'pavojingas', 'krizė', 'katastrofa', 'susirūpinęs'],
+        joy: ['laimingas', 'džiaugsmas', 'linksmas', 'meilė', 'mylėti', 'nuostabus', 'švęsti', 'smagus'],
+        disgust: ['bjaurus', 'pasibjaurėjimas', 'šlykštus', 'apgailėtinas', 'šiukšlės', 'supuvęs', 'gėdingas', 'korumpuotas'],
+        sadness: ['liūdnas', 'liūdesys', 'verkti', 'vienišas', 'prislėgtas', 'nusivylęs', 'beviltiškas', 'tragiškas'],
+        surprise: ['nustebęs', 'stebinantis', 'staigmena', 'šokiruotas', 'neįtikėtinas', 'netikėtas'],
+        trust: ['pasitikėjimas', 'pasitikėti', 'patikimas', 'sąžiningas', 'ištikimas', 'saugus', 'rekomenduoti', 'pagarba']
+      },
+      // Polish (Polski)
+      pl: {
+        anger: ['zły', 'złość', 'wściekły', 'wściekłość', 'gniew', 'nienawiść', 'nienawidzić', 'oburzające', 'idiota', 'zdrajca', 'atak', 'mam dość'],
+        fear: ['strach', 'bać się', 'przestraszony', 'panika', 'zagrożenie', 'niebezpieczeństwo', 'niebezpieczny', 'kryzys', 'katastrofa', 'zaniepokojony'],
+        joy: ['szczęśliwy', 'radość', 'zadowolony', 'miłość', 'kochać', 'wspaniały', 'świętować', 'zabawny'],
+        disgust: ['obrzydliwy', 'obrzydzenie', 'ohydny', 'żałosny', 'śmieci', 'zgniły', 'haniebny', 'skorumpowany'],
+        sadness: ['smutny', 'smutek', 'płakać', 'samotny', 'przygnębiony', 'rozczarowany', 'beznadziejny', 'tragiczny', 'niestety'],
+        surprise: ['zaskoczony', 'zaskakujący', 'niespodzianka', 'zszokowany', 'szokujący', 'niewiarygodny', 'nieoczekiwany'],
+        trust: ['zaufanie', 'ufać', 'niezawodny', 'uczciwy', 'lojalny', 'bezpieczny', 'polecać', 'wiarygodny', 'szacunek']
+      }
+    };
+  }
+
+  /**
+   * Phrase matcher over a language's emotion words, with each word's emotions
+   * Unknown languages use the English lexicon, like sentiment scoring
+   * @returns {Object} { matcher, emotions: Map phrase -> [emotion] }
+   */
+  getMatcher(lang) {
+    const key = EmotionAnalyzer.LEXICONS[lang] ? lang : 'en';
+    if (!this.matchers[key]) {
+      const emotions = new Map();
+      Object.entries(EmotionAnalyzer.LEXICONS[key]).forEach(([emotion, words]) => {
+        words.forEach((word) => {
+          const phrase = TextPipeline.tokenize(word, key).join(' ');
+          emotions.set(phrase, [...(emotions.get(phrase) || []), emotion]);
+        });
+      });
+      this.matchers[key] = { matcher: new PhraseMatcher(Array.from(emotions.keys()), key), emotions };
+    }
+    return this.matchers[key];
+  }
+
+  /**
+   * Emotion words in a token list
+   * @param {Array} tokens - Lowercase tokens (TextPipeline.tokenize)
+   * @returns {Array} [{ word, start, length, stem, emotions }]
+   */
+  match(tokens, lang) {
+    const { matcher, emotions } = this.getMatcher(lang);
+    return matcher.match(tokens).map(({ phrase, start, length, stem }) => ({
+      word: phrase, start, length, stem, emotions: emotions.get(phrase)
+    }));
+  }
+
+  /**
+   * Emotion counts with every emotion present
+   */
+  static emptyCounts() {
+    return Object.fromEntries(EmotionAnalyzer.EMOTIONS.map(emotion => [emotion, 0]));
+  }
+
+  /**
+   * Summarize emotion counts for a text
+   * @param {Object} counts - { emotion: words (or emoji) carrying it }
+   * @param {number} wordCount - Words in the text
+   * @returns {Object} { emotions (share of emotion hits, 0-1), emotionCounts, emotionIntensity
+   *   (hits per word, at most 1), dominantEmotion (one emotion with at least DOMINANT_SHARE of
+   *   the hits and MIN_COUNT of them, or null) }
+   */
+  summarize(counts, wordCount) {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      EMOTIONS: { DOMINANT_SHARE: 0.5, MIN_COUNT: 2 }
+    };
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const emotions = EmotionAnalyzer.emptyCounts();
+    let dominantEmotion = null;
+
+    if (total > 0) {
+      EmotionAnalyzer.EMOTIONS.forEach((emotion) => {
+        emotions[emotion] = counts[emotion] / total;
+      });
+
+      const [top, second] = EmotionAnalyzer.EMOTIONS.slice().sort((a, b) => counts[b] - counts[a]);
+      if (counts[top] > counts[second] &&
+          counts[top] >= config.EMOTIONS.MIN_COUNT &&
+          emotions[top] >= config.EMOTIONS.DOMINANT_SHARE) {
+        dominantEmotion = top;
+      }
+    }
+
+    return {
+      emotions,
+      emotionCounts: { ...counts },
+      emotionIntensity: Math.min(1, total / Math.max(wordCount, 1)),
+      dominantEmotion
+    };
+  }
+
+  /**
+   * Emotion distribution over many sentiment results (SentimentAnalyzer.analyze)
+   * @returns {Object} { counts (emotion hits), shares (of all hits), dominant (texts dominated by each emotion) }
+   */
+  static distribution(results) {
+    const counts = EmotionAnalyzer.emptyCounts();
+    const dominant = EmotionAnalyzer.emptyCounts();
+
+    results.forEach((result) => {
+      if (!result) return;
+      Object.entries(result.emotionCounts || {}).forEach(([emotion, count]) => {
+        if (emotion in counts) counts[emotion] += count;
+      });
+      if (result.dominantEmotion) dominant[result.dominantEmotion]++;
+    });
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const shares = Object.fromEntries(EmotionAnalyzer.EMOTIONS.map(emotion =>
+      [emotion, total > 0 ? counts[emotion] / total : 0]));
+
+    return { counts, shares, dominant };
+  }
+}
+
+// Shared instance, so each language's matcher is built once
+const emotionAnalyzer = new EmotionAnalyzer();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.EmotionAnalyzer = EmotionAnalyzer;
+  window.emotionAnalyzer = emotionAnalyzer;
+}
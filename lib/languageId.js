@@ -0,0 +1,543 @@
+/**
+ * languageId.js - Character n-gram language identification
+ * Covers every language with a sentiment lexicon. The script (Latin/Cyrillic/...) narrows the
+ * candidates, then a naive Bayes model over character 2-3-grams and words, trained on the
+ * built-in samples, scores them. Returns 'unknown' when the text is too short to tell the
+ * candidates apart or unlike every profile.
+ */
+
+class LanguageIdentifier {
+  /**
+   * Supported languages: script and a training sample. The samples are parallel texts, so the
+   * model learns the differences between close languages (Norwegian, Danish, Swedish) rather than topics.
+   */
+  static get LANGUAGES() {
+    return {
+      en: {
+        script: 'Latin',
+        sample: 'I don\'t think this is a good idea, but everyone has to decide for themselves. What do you think about it? ' +
+          'We have not heard anything from them yet, and that is pretty strange. She said that she would come back tomorrow, ' +
+          'but I don\'t know if she will make it. This is really good, thanks for sharing it with us! It will be interesting ' +
+          'to see how it goes. Much of what is written here is wrong, in my opinion. Now we just have to wait and see what ' +
+          'happens next. This is a scam, don\'t buy anything from them. They have been lying for years and everyone knows it, ' +
+          'because the product never worked. ' +
+          'We are excited to announce our new partnership with a leading company in the industry. Our team has worked ' +
+          'hard to build a better product for customers all over the world. Please share your experience and let us ' +
+          'know what could be improved. The results speak for themselves: more growth, better service and happier ' +
+          'people. Follow us for more news, updates and opportunities. With our strategy we deliver real value and help ' +
+          'companies reach their goals. ' +
+          'Technology changes every day, and many people use their phones to read the news, watch videos and send ' +
+          'messages. A good strategy is to check the source before you share an article or an image. Energy prices, the ' +
+          'economy and the average salary are popular topics online. Someone posted a long message on the page ' +
+          'yesterday, and the comments were full of strong opinions. Sometimes it is easy to recognize fake accounts, ' +
+          'because they write the same thing again and again.'
+      },
+      no: {
+        script: 'Latin',
+        sample: 'Jeg tror ikke at dette er en god idé, men det er jo opp til hver enkelt å bestemme. Hva mener dere om det? ' +
+          'Vi har ikke hørt noe fra dem ennå, og det er ganske rart. Hun sa at hun skulle komme tilbake i morgen, men jeg vet ' +
+          'ikke om hun rekker det. Dette er virkelig bra, takk for at du delte det med oss! Det blir spennende å se hvordan ' +
+          'det går. Mye av det som står her er feil, synes jeg. Nå må vi bare vente og se hva som skjer etterpå. Dette er ' +
+          'svindel, ikke kjøp noe fra dem. De har løyet i mange år og alle vet det, fordi produktet aldri har fungert. ' +
+          'Det var en lang dag, men nå er vi ferdige med det meste av arbeidet. ' +
+          'Vi er glade for å kunngjøre vårt nye samarbeid med et ledende selskap i bransjen. Teamet vårt har jobbet ' +
+          'hardt for å bygge et bedre produkt for kunder over hele verden. Del gjerne dine erfaringer og fortell oss ' +
+          'hva som kan forbedres. Resultatene taler for seg selv: mer vekst, bedre service og gladere mennesker. Følg ' +
+          'oss for flere nyheter, oppdateringer og muligheter. Med vår strategi leverer vi virkelig verdi og hjelper ' +
+          'bedrifter å nå sine mål. ' +
+          'Teknologien endrer seg hver dag, og mange bruker mobilen til å lese nyheter, se videoer og sende meldinger. ' +
+          'En god strategi er å sjekke kilden før du deler en artikkel eller et bilde. Strømpriser, økonomien og ' +
+          'gjennomsnittslønnen er populære temaer på nettet. Noen la ut en lang melding på siden i går, og kommentarene ' +
+          'var fulle av sterke meninger. Noen ganger er det lett å kjenne igjen falske kontoer, fordi de skriver det ' +
+          'samme igjen og igjen.'
+      },
+      da: {
+        script: 'Latin',
+        sample: 'Jeg tror ikke, at det her er en god idé, men det er jo op til den enkelte at bestemme. Hvad synes I om det? ' +
+          'Vi har ikke hørt noget fra dem endnu, og det er ret mærkeligt. Hun sagde, at hun ville komme tilbage i morgen, men ' +
+          'jeg ved ikke, om hun når det. Det her er virkelig godt, tak fordi du delte det med os! Det bliver spændende at se, ' +
+          'hvordan det går. Meget af det, der står her, er forkert, synes jeg. Nu må vi bare vente og se, hvad der sker ' +
+          'bagefter. Det her er svindel, køb ikke noget fra dem. De har løjet i mange år, og alle ved det, fordi produktet ' +
+          'aldrig har virket. Det var en lang dag, men nu er vi færdige med det meste af arbejdet. ' +
+          'Vi er glade for at kunne annoncere vores nye samarbejde med en førende virksomhed i branchen. Vores team har ' +
+          'arbejdet hårdt for at bygge et bedre produkt til kunder over hele verden. Del gerne jeres erfaringer og ' +
+          'fortæl os, hvad der kan forbedres. Resultaterne taler for sig selv: mere vækst, bedre service og gladere ' +
+          'mennesker. Følg os for flere nyheder, opdateringer og muligheder. Med vores strategi leverer vi reel værdi ' +
+          'og hjælper virksomheder med at nå deres mål. ' +
+          'Teknologien ændrer sig hver dag, og mange bruger mobilen til at læse nyheder, se videoer og sende beskeder. ' +
+          'En god strategi er at tjekke kilden, før du deler en artikel eller et billede. Elpriser, økonomien og ' +
+          'gennemsnitslønnen er populære emner på nettet. Nogen lagde en lang besked op på siden i går, og ' +
+          'kommentarerne var fulde af stærke meninger. Nogle gange er det nemt at genkende falske konti, fordi de ' +
+          'skriver det samme igen og igen.'
+      },
+      sv: {
+        script: 'Latin',
+        sample: 'Jag tror inte att det här är en bra idé, men det är ju upp till var och en att bestämma. Vad tycker ni om det? ' +
+          'Vi har inte hört något från dem ännu, och det är ganska konstigt. Hon sa att hon skulle komma tillbaka i morgon, ' +
+          'men jag vet inte om hon hinner. Det här är verkligen bra, tack för att du delade det med oss! Det blir spännande ' +
+          'att se hur det går. Mycket av det som står här är fel, tycker jag. Nu måste vi bara vänta och se vad som händer ' +
+          'efteråt. Det här är bedrägeri, köp inte något från dem. De har ljugit i många år och alla vet det, eftersom ' +
+          'produkten aldrig har fungerat. Det var en lång dag, men nu är vi klara med det mesta av arbetet. ' +
+          'Vi är glada att kunna meddela vårt nya samarbete med ett ledande företag i branschen. Vårt team har arbetat ' +
+          'hårt för att bygga en bättre produkt för kunder över hela världen. Dela gärna era erfarenheter och berätta ' +
+          'vad som kan förbättras. Resultaten talar för sig själva: mer tillväxt, bättre service och gladare människor. ' +
+          'Följ oss för fler nyheter, uppdateringar och möjligheter. Med vår strategi levererar vi verkligt värde och ' +
+          'hjälper företag att nå sina mål. ' +
+          'Tekniken förändras varje dag, och många använder mobilen för att läsa nyheter, titta på videor och skicka ' +
+          'meddelanden. En bra strategi är att kontrollera källan innan du delar en artikel eller en bild. Elpriser, ' +
+          'ekonomin och medellönen är populära ämnen på nätet. Någon lade ut ett långt meddelande på sidan igår, och ' +
+          'kommentarerna var fulla av starka åsikter. Ibland är det lätt att känna igen falska konton, eftersom de ' +
+          'skriver samma sak om och om igen.'
+      },
+      de: {
+        script: 'Latin',
+        sample: 'Ich glaube nicht, dass das eine gute Idee ist, aber das muss jeder für sich selbst entscheiden. Was haltet ' +
+          'ihr davon? Wir haben noch nichts von ihnen gehört, und das ist ziemlich seltsam. Sie sagte, dass sie morgen ' +
+          'zurückkommen würde, aber ich weiß nicht, ob sie es schafft. Das ist wirklich gut, danke, dass du es mit uns ' +
+          'geteilt hast! Es wird spannend zu sehen, wie es weitergeht. Vieles von dem, was hier steht, ist falsch, finde ich. ' +
+          'Jetzt müssen wir einfach abwarten, was danach passiert. Das ist Betrug, kauft nichts bei denen. Sie lügen seit ' +
+          'Jahren und alle wissen es, weil das Produkt nie funktioniert hat. ' +
+          'Wir freuen uns, unsere neue Partnerschaft mit einem führenden Unternehmen der Branche bekannt zu geben. ' +
+          'Unser Team hat hart gearbeitet, um ein besseres Produkt für Kunden auf der ganzen Welt zu entwickeln. Teilt ' +
+          'gerne eure Erfahrungen und sagt uns, was wir verbessern können. Die Ergebnisse sprechen für sich: mehr ' +
+          'Wachstum, besserer Service und zufriedenere Menschen. Folgt uns für weitere Neuigkeiten, Updates und ' +
+          'Chancen. Mit unserer Strategie schaffen wir echten Mehrwert und helfen Unternehmen, ihre Ziele zu erreichen. ' +
+          'Die Technik verändert sich jeden Tag, und viele Menschen nutzen ihr Handy, um Nachrichten zu lesen, Videos ' +
+          'anzusehen und Nachrichten zu verschicken. Eine gute Strategie ist es, die Quelle zu prüfen, bevor man einen ' +
+          'Artikel oder ein Bild teilt. Energiepreise, die Wirtschaft und das Durchschnittsgehalt sind beliebte Themen ' +
+          'im Netz. Jemand hat gestern eine lange Nachricht auf der Seite gepostet, und die Kommentare waren voller ' +
+          'starker Meinungen. Manchmal ist es leicht, falsche Konten zu erkennen, weil sie immer wieder dasselbe ' +
+          'schreiben.'
+      },
+      es: {
+        script: 'Latin',
+        sample: 'No creo que esta sea una buena idea, pero cada uno tiene que decidir por sí mismo. ¿Qué pensáis de esto? ' +
+          'Todavía no hemos sabido nada de ellos, y eso es bastante raro. Ella dijo que volvería mañana, pero no sé si ' +
+          'llegará a tiempo. Esto es realmente bueno, ¡gracias por compartirlo con nosotros! Va a ser interesante ver cómo ' +
+          'sale todo. Mucho de lo que está escrito aquí es falso, creo yo. Ahora solo tenemos que esperar y ver qué pasa ' +
+          'después. Esto es una estafa, no les compréis nada. Llevan años mintiendo y todo el mundo lo sabe, porque el ' +
+          'producto nunca funcionó. ' +
+          'Estamos encantados de anunciar nuestra nueva colaboración con una empresa líder del sector. Nuestro equipo ' +
+          'ha trabajado duro para crear un producto mejor para clientes de todo el mundo. Compartid vuestra experiencia ' +
+          'y decidnos qué se puede mejorar. Los resultados hablan por sí solos: más crecimiento, mejor servicio y ' +
+          'personas más felices. Síguenos para más noticias, novedades y oportunidades. Con nuestra estrategia ' +
+          'aportamos un valor real y ayudamos a las empresas a alcanzar sus objetivos. ' +
+          'La tecnología cambia cada día, y mucha gente usa el móvil para leer noticias, ver vídeos y enviar mensajes. ' +
+          'Una buena estrategia es comprobar la fuente antes de compartir un artículo o una imagen. Los precios de la ' +
+          'energía, la economía y el salario medio son temas populares en internet. Alguien publicó ayer un mensaje ' +
+          'largo en la página, y los comentarios estaban llenos de opiniones fuertes. A veces es fácil reconocer las ' +
+          'cuentas falsas, porque escriben lo mismo una y otra vez.'
+      },
+      fr: {
+        script: 'Latin',
+        sample: 'Je ne pense pas que ce soit une bonne idée, mais c\'est à chacun de décider pour lui-même. Qu\'est-ce que ' +
+          'vous en pensez ? Nous n\'avons encore rien entendu de leur part, et c\'est assez bizarre. Elle a dit qu\'elle ' +
+          'reviendrait demain, mais je ne sais pas si elle aura le temps. C\'est vraiment bien, merci de l\'avoir partagé ' +
+          'avec nous ! Ce sera intéressant de voir comment ça se passe. Beaucoup de ce qui est écrit ici est faux, je ' +
+          'trouve. Maintenant il faut juste attendre et voir ce qui se passe après. C\'est une arnaque, n\'achetez rien ' +
+          'chez eux. Ils mentent depuis des années et tout le monde le sait, parce que le produit n\'a jamais marché. ' +
+          'Nous sommes ravis d\'annoncer notre nouveau partenariat avec une entreprise leader du secteur. Notre équipe ' +
+          'a travaillé dur pour construire un meilleur produit pour les clients du monde entier. Partagez votre ' +
+          'expérience et dites-nous ce qui pourrait être amélioré. Les résultats parlent d\'eux-mêmes : plus de ' +
+          'croissance, un meilleur service et des gens plus heureux. Suivez-nous pour plus d\'actualités, de mises à ' +
+          'jour et d\'opportunités. Grâce à notre stratégie, nous apportons une vraie valeur et aidons les entreprises ' +
+          'à atteindre leurs objectifs. ' +
+          'La technologie change chaque jour, et beaucoup de gens utilisent leur téléphone pour lire les nouvelles, ' +
+          'regarder des vidéos et envoyer des messages. Une bonne stratégie consiste à vérifier la source avant de ' +
+          'partager un article ou une image. Les prix de l\'énergie, l\'économie et le salaire moyen sont des sujets ' +
+          'populaires en ligne. Quelqu\'un a publié hier un long message sur la page, et les commentaires étaient ' +
+          'pleins d\'opinions tranchées. Parfois, il est facile de reconnaître les faux comptes, parce qu\'ils écrivent ' +
+          'toujours la même chose.'
+      },
+      pt: {
+        script: 'Latin',
+        sample: 'Não acho que esta seja uma boa ideia, mas cada um tem que decidir por si mesmo. O que vocês acham disso? ' +
+          'Ainda não ouvimos nada deles, e isso é bastante estranho. Ela disse que voltaria amanhã, mas não sei se ela vai ' +
+          'conseguir. Isto é muito bom, obrigado por compartilhar com a gente! Vai ser interessante ver como tudo acontece. ' +
+          'Muito do que está escrito aqui é falso, na minha opinião. Agora só temos que esperar e ver o que acontece ' +
+          'depois. Isso é um golpe, não comprem nada deles. Eles mentem há anos e todo mundo sabe, porque o produto nunca ' +
+          'funcionou. ' +
+          'Temos o prazer de anunciar a nossa nova parceria com uma empresa líder do setor. A nossa equipe trabalhou ' +
+          'muito para criar um produto melhor para clientes de todo o mundo. Compartilhem a sua experiência e digam-nos ' +
+          'o que pode ser melhorado. Os resultados falam por si: mais crescimento, melhor serviço e pessoas mais ' +
+          'felizes. Sigam-nos para mais notícias, novidades e oportunidades. Com a nossa estratégia entregamos valor ' +
+          'real e ajudamos as empresas a alcançar os seus objetivos. ' +
+          'A tecnologia muda todos os dias, e muita gente usa o celular para ler notícias, ver vídeos e mandar ' +
+          'mensagens. Uma boa estratégia é verificar a fonte antes de compartilhar um artigo ou uma imagem. Os preços ' +
+          'da energia, a economia e o salário médio são temas populares na internet. Alguém publicou ontem uma mensagem ' +
+          'longa na página, e os comentários estavam cheios de opiniões fortes. Às vezes é fácil reconhecer contas ' +
+          'falsas, porque elas escrevem a mesma coisa várias vezes.'
+      },
+      se: {
+        script: 'Latin',
+        sample: 'Mun in jáhke ahte dát lea buorre jurdda, muhto juohkehaš ferte ieš mearridit. Maid dii oaivvildehpet dan ' +
+          'birra? Mii eat leat gullan maidege sis vel, ja dat lea hui ártet. Son celkkii ahte son boahtá ruovttoluotta ' +
+          'ihttin, muhto mun in dieđe joavdá go son. Dát lea duođai buorre, giitu go juogadit dan minguin! Lea somá oaidnit ' +
+          'mo dat manná. Ollu das mii dás čállojuvvo lea boasttu, mu mielas. Dál mii fertet dušše vuordit ja geahččat mii ' +
+          'dáhpáhuvvá dasto. Dát lea beahttit, allet oastte maidege sis. Sii leat gielistan máŋga jagi ja buohkat dihtet ' +
+          'dan, go buvttat ii leat goassege doaibman. ' +
+          'Mii leat ilus go sáhttit almmuhit ođđa ovttasbarggu jođiheaddji fitnodagain suorggis. Min joavku lea bargan ' +
+          'garrasit vai huksešii buoret buktaga áššehasaide miehtá máilmmi. Juogadehket iežadet vásáhusaid ja ' +
+          'muitalehket midjiide maid sáhttá buoridit. Bohtosat hupmet iežaset beales: eanet šaddan, buoret bálvalus ja ' +
+          'ilolaččat olbmot. Čuovvu min eanet ođđasiid, ođasmahttimiid ja vejolašvuođaid dihte. Min strategiijain mii ' +
+          'addit duohta árvvu ja veahkehit fitnodagaid olahit mihtuideaset. ' +
+          'Teknologiija rievdá juohke beaivvi, ja olusat geavahit telefovnna lohkat ođđasiid, geahččat videoid ja ' +
+          'sáddet dieđuid. Buorre strategiija lea dárkkistit gáldu ovdal go juogadat artihkkala dahje gova. Elrávdnji ' +
+          'haddi, ekonomiija ja gaskamearalaš bálká leat populára fáttát neahtas. Muhtun almmuhii ikte guhkes dieđu ' +
+          'siidui, ja kommeanttat ledje dievva garra oaiviliid. Muhtumin lea álki dovdát boasttu kontoid, danin go sii ' +
+          'čállet seamma ášši fas ja fas.'
+      },
+      ru: {
+        script: 'Cyrillic',
+        sample: 'Я не думаю, что это хорошая идея, но каждый должен решать сам. Что вы об этом думаете? Мы пока ничего ' +
+          'от них не слышали, и это довольно странно. Она сказала, что вернётся завтра, но я не знаю, успеет ли она. Это ' +
+          'действительно хорошо, спасибо, что поделились с нами! Будет интересно посмотреть, как всё пойдёт. Многое из ' +
+          'того, что здесь написано, неправда, по-моему. Теперь нам остаётся только ждать и смотреть, что будет дальше. ' +
+          'Это обман, ничего у них не покупайте. Они врут уже много лет, и все это знают, потому что продукт никогда не работал. ' +
+          'Мы рады объявить о нашем новом партнёрстве с ведущей компанией отрасли. Наша команда много работала, чтобы ' +
+          'создать лучший продукт для клиентов по всему миру. Поделитесь своим опытом и расскажите, что можно улучшить. ' +
+          'Результаты говорят сами за себя: больше роста, лучше сервис и счастливее люди. Подписывайтесь, чтобы ' +
+          'узнавать больше новостей, обновлений и возможностей. Благодаря нашей стратегии мы создаём реальную ценность ' +
+          'и помогаем компаниям достигать своих целей. ' +
+          'Технологии меняются каждый день, и многие люди используют телефон, чтобы читать новости, смотреть видео и ' +
+          'отправлять сообщения. Хорошая стратегия — проверить источник, прежде чем делиться статьёй или картинкой. ' +
+          'Цены на энергию, экономика и средняя зарплата — популярные темы в интернете. Вчера кто-то опубликовал на ' +
+          'странице длинное сообщение, и комментарии были полны резких мнений. Иногда фальшивые аккаунты легко узнать, ' +
+          'потому что они пишут одно и то же снова и снова.'
+      },
+      lv: {
+        script: 'Latin',
+        sample: 'Es nedomāju, ka tā ir laba ideja, bet katram pašam jāizlemj. Ko jūs par to domājat? Mēs vēl neko no ' +
+          'viņiem neesam dzirdējuši, un tas ir diezgan dīvaini. Viņa teica, ka rīt atgriezīsies, bet es nezinu, vai viņa ' +
+          'paspēs. Tas tiešām ir labi, paldies, ka dalījāties ar mums! Būs interesanti redzēt, kā viss izvērtīsies. Daudz ' +
+          'no tā, kas šeit rakstīts, nav patiesība, manuprāt. Tagad mums atliek tikai gaidīt un skatīties, kas notiks ' +
+          'tālāk. Tā ir krāpšana, nepērciet no viņiem neko. Viņi melo jau daudzus gadus, un visi to zina, jo produkts ' +
+          'nekad nav strādājis. ' +
+          'Mēs ar prieku paziņojam par mūsu jauno sadarbību ar vadošu nozares uzņēmumu. Mūsu komanda ir smagi ' +
+          'strādājusi, lai radītu labāku produktu klientiem visā pasaulē. Dalieties ar savu pieredzi un pastāstiet ' +
+          'mums, ko varētu uzlabot. Rezultāti runā paši par sevi: lielāka izaugsme, labāks serviss un laimīgāki ' +
+          'cilvēki. Sekojiet mums, lai uzzinātu vairāk jaunumu, atjauninājumu un iespēju. Ar mūsu stratēģiju mēs radām ' +
+          'patiesu vērtību un palīdzam uzņēmumiem sasniegt savus mērķus. ' +
+          'Tehnoloģijas mainās katru dienu, un daudzi cilvēki izmanto telefonu, lai lasītu ziņas, skatītos video un ' +
+          'sūtītu ziņojumus. Laba stratēģija ir pārbaudīt avotu, pirms dalies ar rakstu vai attēlu. Enerģijas cenas, ' +
+          'ekonomika un vidējā alga ir populāras tēmas internetā. Kāds vakar lapā publicēja garu ziņu, un komentāri ' +
+          'bija pilni ar asiem viedokļiem. Dažreiz viltus kontus ir viegli atpazīt, jo tie raksta vienu un to pašu ' +
+          'atkal un atkal.'
+      },
+      et: {
+        script: 'Latin',
+        sample: 'Ma ei usu, et see on hea mõte, aga igaüks peab ise otsustama. Mida te sellest arvate? Me ei ole neist ' +
+          'veel midagi kuulnud ja see on päris imelik. Ta ütles, et tuleb homme tagasi, aga ma ei tea, kas ta jõuab. See ' +
+          'on tõesti hea, aitäh, et jagasite seda meiega! Huvitav on näha, kuidas kõik läheb. Palju sellest, mis siin ' +
+          'kirjas on, on vale, minu arvates. Nüüd peame lihtsalt ootama ja vaatama, mis edasi saab. See on pettus, ärge ' +
+          'ostke neilt midagi. Nad on aastaid valetanud ja kõik teavad seda, sest toode pole kunagi töötanud. ' +
+          'Meil on hea meel teatada meie uuest koostööst juhtiva ettevõttega selles valdkonnas. Meie meeskond on ' +
+          'kõvasti tööd teinud, et luua parem toode klientidele üle kogu maailma. Jagage oma kogemusi ja andke meile ' +
+          'teada, mida saaks paremaks teha. Tulemused räägivad enda eest: rohkem kasvu, parem teenindus ja õnnelikumad ' +
+          'inimesed. Jälgige meid, et saada rohkem uudiseid, uuendusi ja võimalusi. Meie strateegiaga loome tõelist ' +
+          'väärtust ja aitame ettevõtetel oma eesmärke saavutada. ' +
+          'Tehnoloogia muutub iga päev ja paljud inimesed kasutavad telefoni, et lugeda uudiseid, vaadata videoid ja ' +
+          'saata sõnumeid. Hea strateegia on kontrollida allikat enne, kui jagad artiklit või pilti. Energiahinnad, ' +
+          'majandus ja keskmine palk on internetis populaarsed teemad. Keegi postitas eile lehele pika sõnumi ja ' +
+          'kommentaarid olid täis tugevaid arvamusi. Mõnikord on võltskontosid lihtne ära tunda, sest nad kirjutavad ' +
+          'ikka ja jälle sama asja.'
+      },
+      lt: {
+        script: 'Latin',
+        sample: 'Aš nemanau, kad tai gera idėja, bet kiekvienas turi nuspręsti pats. Ką jūs apie tai manote? Mes dar ' +
+          'nieko iš jų negirdėjome, ir tai gana keista. Ji sakė, kad grįš rytoj, bet aš nežinau, ar ji spės. Tai tikrai ' +
+          'gerai, ačiū, kad pasidalinote su mumis! Bus įdomu pamatyti, kaip viskas klostysis. Daug to, kas čia parašyta, ' +
+          'yra netiesa, mano nuomone. Dabar mums belieka laukti ir žiūrėti, kas bus toliau. Tai apgavystė, nieko iš jų ' +
+          'nepirkite. Jie meluoja jau daug metų ir visi tai žino, nes produktas niekada neveikė. ' +
+          'Džiaugiamės galėdami pranešti apie naują partnerystę su pirmaujančia šios srities įmone. Mūsų komanda ' +
+          'sunkiai dirbo, kad sukurtų geresnį produktą klientams visame pasaulyje. Pasidalinkite savo patirtimi ir ' +
+          'praneškite mums, ką būtų galima patobulinti. Rezultatai kalba patys už save: didesnis augimas, geresnės ' +
+          'paslaugos ir laimingesni žmonės. Sekite mus, kad sužinotumėte daugiau naujienų, atnaujinimų ir galimybių. Su ' +
+          'mūsų strategija kuriame tikrą vertę ir padedame įmonėms pasiekti savo tikslų. ' +
+          'Technologijos keičiasi kasdien, ir daugelis žmonių naudoja telefoną, kad skaitytų naujienas, žiūrėtų vaizdo ' +
+          'įrašus ir siųstų žinutes. Gera strategija yra patikrinti šaltinį prieš dalinantis straipsniu ar ' +
+          'paveikslėliu. Energijos kainos, ekonomika ir vidutinis atlyginimas yra populiarios temos internete. Kažkas ' +
+          'vakar puslapyje paskelbė ilgą žinutę, o komentarai buvo pilni griežtų nuomonių. Kartais netikras paskyras ' +
+          'lengva atpažinti, nes jos vis rašo tą patį.'
+      },
+      pl: {
+        script: 'Latin',
+        sample: 'Nie sądzę, żeby to był dobry pomysł, ale każdy musi sam zdecydować. Co o tym myślicie? Jeszcze nic od ' +
+          'nich nie słyszeliśmy i to jest dość dziwne. Powiedziała, że wróci jutro, ale nie wiem, czy zdąży. To jest ' +
+          'naprawdę dobre, dzięki, że się tym z nami podzieliliście! Będzie ciekawie zobaczyć, jak to wszystko się ' +
+          'potoczy. Wiele z tego, co tu jest napisane, to nieprawda, moim zdaniem. Teraz musimy tylko poczekać i zobaczyć, ' +
+          'co będzie dalej. To jest oszustwo, nic od nich nie kupujcie. Kłamią od lat i wszyscy o tym wiedzą, bo produkt ' +
+          'nigdy nie działał. ' +
+          'Z radością ogłaszamy nasze nowe partnerstwo z wiodącą firmą w branży. Nasz zespół ciężko pracował, aby ' +
+          'stworzyć lepszy produkt dla klientów na całym świecie. Podzielcie się swoimi doświadczeniami i dajcie nam ' +
+          'znać, co można poprawić. Wyniki mówią same za siebie: większy wzrost, lepsza obsługa i szczęśliwsi ludzie. ' +
+          'Obserwujcie nas, aby otrzymywać więcej wiadomości, aktualizacji i możliwości. Dzięki naszej strategii ' +
+          'tworzymy prawdziwą wartość i pomagamy firmom osiągać ich cele. ' +
+          'Technologia zmienia się każdego dnia, a wiele osób używa telefonu, aby czytać wiadomości, oglądać filmy i ' +
+          'wysyłać wiadomości. Dobrą strategią jest sprawdzenie źródła, zanim udostępnisz artykuł lub zdjęcie. Ceny ' +
+          'energii, gospodarka i średnia pensja to popularne tematy w internecie. Ktoś wczoraj opublikował na stronie ' +
+          'długi wpis, a komentarze były pełne ostrych opinii. Czasami łatwo rozpoznać fałszywe konta, bo piszą w kółko ' +
+          'to samo.'
+      }
+    };
+  }
+
+  /**
+   * Scripts recognized in text; languages are only compared with others in the same script
+   */
+  static get SCRIPTS() {
+    return {
+      Latin: /\p{Script=Latin}/u,
+      Cyrillic: /\p{Script=Cyrillic}/u,
+      Greek: /\p{Script=Greek}/u,
+      Arabic: /\p{Script=Arabic}/u,
+      Hebrew: /\p{Script=Hebrew}/u,
+      Devanagari: /\p{Script=Devanagari}/u,
+      Han: /\p{Script=Han}/u,
+      Kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+      Hangul: /\p{Script=Hangul}/u
+    };
+  }
+
+  constructor() {
+    this.profiles = null; // Built from the samples on first use
+    this.cache = new Map(); // Recent results; buzzword, AI pattern and sentiment analysis ask about the same text
+  }
+
+  /**
+   * Most recent results kept in the cache
+   */
+  static get CACHE_SIZE() {
+    return 200;
+  }
+
+  /**
+   * Settings from CONFIG.LANGUAGE_ID
+   */
+  static getConfig() {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      LANGUAGE_ID: { MIN_LETTERS: 12, MIN_CONFIDENCE: 0.5, MIN_COVERAGE: 0.5, MAX_TEXT_LENGTH: 1000 }
+    };
+    return config.LANGUAGE_ID;
+  }
+
+  /**
+   * Features of a text: character 2-3-grams of each word (padded with spaces) and the words themselves
+   */
+  static extractFeatures(text) {
+    const features = [];
+    TextPipeline.tokenize(text).forEach((word) => {
+      if (!/\p{L}/u.test(word)) return;
+
+      const padded = ` ${word} `;
+      for (let n = 2; n <= 3; n++) {
+        for (let i = 0; i <= padded.length - n; i++) {
+          const gram = padded.substring(i, i + n);
+          features.push(gram);
+        }
+      }
+      features.push(`w:${word}`);
+    });
+    return features;
+  }
+
+  /**
+   * Dominant script of the letters in a text
+   * @returns {Object} { script, letters } where script is null when there are no letters
+   */
+  static detectScript(text) {
+    const counts = {};
+    let letters = 0;
+
+    for (const char of text) {
+      if (!/\p{L}/u.test(char)) continue;
+      letters++;
+      const script = Object.keys(this.SCRIPTS).find(name => this.SCRIPTS[name].test(char)) || 'Other';
+      counts[script] = (counts[script] || 0) + 1;
+    }
+
+    const [script] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [null];
+    return { script, letters };
+  }
+
+  /**
+   * Build the feature counts of every language from its sample
+   */
+  buildProfiles() {
+    const vocabulary = new Set();
+    const profiles = {};
+
+    for (const [language, { script, sample }] of Object.entries(LanguageIdentifier.LANGUAGES)) {
+      const counts = new Map();
+      const features = LanguageIdentifier.extractFeatures(sample);
+      features.forEach((feature) => {
+        counts.set(feature, (counts.get(feature) || 0) + 1);
+        vocabulary.add(feature);
+      });
+      profiles[language] = { script, counts, total: features.length };
+    }
+
+    this.vocabularySize = vocabulary.size;
+    return profiles;
+  }
+
+  /**
+   * Identify the language of a text
+   * @returns {Object} { language, confidence, coverage, script, candidates: [{ language, confidence }] }
+   *   language is 'unknown' when the text is in an unsupported script, unlike every profile or too
+   *   short to choose between the languages of its script; a script with one language (Cyrillic)
+   *   needs no minimum length. Short text still lists its candidates, as weak evidence.
+   *   coverage is the share of the text's features known to the best candidate
+   */
+  identify(text) {
+    const settings = LanguageIdentifier.getConfig();
+    const input = TextPipeline.normalize(text || '').substring(0, settings.MAX_TEXT_LENGTH);
+    const { script, letters } = LanguageIdentifier.detectScript(input);
+    const unknown = { language: 'unknown', confidence: 0, coverage: 0, script, candidates: [] };
+
+    if (!this.profiles) {
+      this.profiles = this.buildProfiles();
+    }
+
+    const languages = Object.keys(this.profiles).filter(language => this.profiles[language].script === script);
+    if (languages.length === 0) return unknown;
+    if (languages.length === 1) {
+      return {
+        language: languages[0], confidence: 1, coverage: 1, script, candidates: [{ language: languages[0], confidence: 1 }]
+      };
+    }
+
+    // Naive Bayes log-likelihood with add-one smoothing
+    const features = LanguageIdentifier.extractFeatures(input);
+    const scores = languages.map((language) => {
+      const { counts, total } = this.profiles[language];
+      const denominator = Math.log(total + this.vocabularySize);
+      let logLikelihood = 0;
+      let seen = 0;
+
+      features.forEach((feature) => {
+        const count = counts.get(feature) || 0;
+        if (count > 0) seen++;
+        logLikelihood += Math.log(count + 1) - denominator;
+      });
+
+      return { language, logLikelihood, coverage: features.length > 0 ? seen / features.length : 0 };
+    });
+
+    // Posterior over the candidate languages (softmax of the log-likelihoods)
+    const best = Math.max(...scores.map(score => score.logLikelihood));
+    const sum = scores.reduce((total, score) => total + Math.exp(score.logLikelihood - best), 0);
+    const candidates = scores
+      .map(score => ({ ...score, confidence: Math.exp(score.logLikelihood - best) / sum }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const top = candidates[0];
+    const result = {
+      language: top.language,
+      confidence: top.confidence,
+      coverage: top.coverage,
+      script,
+      candidates: candidates.slice(0, 3).map(({ language, confidence }) => ({ language, confidence }))
+    };
+
+    // Text sharing few features with the best profile is likely another language
+    if (letters < settings.MIN_LETTERS || top.coverage < settings.MIN_COVERAGE || top.confidence < settings.MIN_CONFIDENCE) {
+      return { ...result, language: 'unknown' };
+    }
+    return result;
+  }
+
+  /**
+   * Language code of a text, or 'unknown'
+   */
+  detect(text) {
+    const key = text || '';
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const language = this.identify(key).language;
+    if (this.cache.size >= LanguageIdentifier.CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, language);
+    return language;
+  }
+
+  /**
+   * Best guess for a sentence too short or unclear to identify: its best candidate when that
+   * knows most of its n-grams and more than half of its words ("Dette er bra"), or null, since
+   * n-grams alone say little about a word or two ("Great", "lol")
+   */
+  guess(sentence) {
+    const { candidates, coverage } = this.identify(sentence);
+    if (candidates.length === 0 || coverage < LanguageIdentifier.getConfig().MIN_COVERAGE) return null;
+
+    const { language } = candidates[0];
+    const words = TextPipeline.tokenize(sentence).filter(word => /\p{L}/u.test(word));
+    const known = words.filter(word => this.profiles[language].counts.has(`w:${word}`)).length;
+    return known * 2 > words.length ? language : null;
+  }
+
+  /**
+   * Split code-switched text into runs of sentences in the same language
+   * Sentences too short to identify take their best low-confidence candidate, else the language
+   * of the previous (or next) identified sentence, else that of the whole text
+   * @returns {Array} [{ text, language }], whose texts join back into the input
+   */
+  segment(text) {
+    const sentences = TextPipeline.sentenceSpans(text);
+    const languages = sentences.map((sentence) => {
+      const language = this.detect(sentence);
+      return language === 'unknown' ? this.guess(sentence) : language;
+    });
+    const spans = [];
+    let fallback = null;
+
+    sentences.forEach((sentence, index) => {
+      let language = languages[index] ||
+        languages.slice(0, index).reverse().find(Boolean) ||
+        languages.slice(index + 1).find(Boolean);
+      if (!language) {
+        fallback = fallback || this.detect(text);
+        language = fallback;
+      }
+
+      const last = spans[spans.length - 1];
+      if (last && last.language === language) {
+        last.text += sentence;
+      } else {
+        spans.push({ text: sentence, language });
+      }
+    });
+
+    return spans;
+  }
+
+  /**
+   * Share of the words in each language, largest first ({ no: 0.6, en: 0.4 })
+   * @param {Array} spans - Spans from segment()
+   */
+  static mix(spans) {
+    const counts = {};
+    let total = 0;
+
+    spans.forEach(({ text, language }) => {
+      const words = TextPipeline.tokenize(text, language).length;
+      if (words === 0) return;
+      counts[language] = (counts[language] || 0) + words;
+      total += words;
+    });
+
+    return Object.fromEntries(Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([language, words]) => [language, words / total]));
+  }
+}
+
+// Shared identifier, so the profiles are built once
+const languageIdentifier = new LanguageIdentifier();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.LanguageIdentifier = LanguageIdentifier;
+  window.languageIdentifier = languageIdentifier;
+}
@@ -0,0 +1,134 @@
+/**
+ * phraseMatcher.js - Multi-word expression matching
+ * A token trie over lexicon entries, so phrases like "kind of", "move the needle" or "en colère"
+ * match whole tokens in every language instead of substrings ("agile" no longer matches "fragile").
+ * Phrases are also indexed by their stems (see lib/stemmer.js), so inflected forms match too
+ * ("loves", "thought leaders"); an exact match always wins over a stem match.
+ */
+
+class PhraseMatcher {
+  /**
+   * @param {Array} phrases - Entries to match; each is tokenized with TextPipeline like the text
+   * @param {string} lang - Language code, for lowercasing, elisions and stemming
+   */
+  constructor(phrases = [], lang) {
+    this.lang = lang;
+    this.root = { children: new Map(), phrase: null }; // Exact tokens
+    this.stemRoot = { children: new Map(), phrase: null }; // Stems of the tokens
+    phrases.forEach(phrase => this.add(phrase));
+  }
+
+  /**
+   * Add a phrase to the trie, by its tokens and by their stems
+   */
+  add(phrase) {
+    const tokens = TextPipeline.tokenize(phrase, this.lang);
+    if (tokens.length === 0) return;
+
+    PhraseMatcher.insert(this.root, tokens, phrase);
+    // Inflections share a stem ("love", "loved", "loving"); the first, base entry keeps it
+    PhraseMatcher.insert(this.stemRoot, tokens.map(token => stemmer.stem(token, this.lang)), phrase, false);
+  }
+
+  /**
+   * Add a key path to a trie; a later phrase with the same path replaces an earlier one unless
+   * replace is false
+   */
+  static insert(root, keys, phrase, replace = true) {
+    let node = root;
+    keys.forEach((key) => {
+      if (!node.children.has(key)) {
+        node.children.set(key, { children: new Map(), phrase: null });
+      }
+      node = node.children.get(key);
+    });
+    if (replace || node.phrase === null) {
+      node.phrase = phrase;
+    }
+  }
+
+  /**
+   * Longest path of a trie matching keys from a position
+   * @returns {Object|null} { phrase, length }
+   */
+  static walk(root, key, start, end) {
+    let node = root;
+    let match = null;
+
+    for (let i = start; i < end; i++) {
+      node = node.children.get(key(i));
+      if (!node) break;
+      if (node.phrase !== null) {
+        match = { phrase: node.phrase, length: i - start + 1 };
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Longest phrase starting at a token by exact tokens, or by stems when no phrase matches exactly
+   * @returns {Object|null} { phrase, start, length, stem } in tokens; stem is the matched stems
+   *   ("disappoint") when only the stems matched, otherwise null
+   */
+  matchAt(tokens, start) {
+    const exact = PhraseMatcher.walk(this.root, i => tokens[i], start, tokens.length);
+    if (exact) {
+      return { phrase: exact.phrase, start, length: exact.length, stem: null };
+    }
+
+    const stemmed = PhraseMatcher.walk(this.stemRoot, i => stemmer.stem(tokens[i], this.lang), start, tokens.length);
+    if (!stemmed) return null;
+
+    const stem = tokens.slice(start, start + stemmed.length).map(token => stemmer.stem(token, this.lang)).join(' ');
+    return { phrase: stemmed.phrase, start, length: stemmed.length, stem };
+  }
+
+  /**
+   * All phrases in a token list, left to right, longest first and without overlaps
+   * @returns {Array} [{ phrase, start, length, stem }]
+   */
+  match(tokens) {
+    const matches = [];
+
+    for (let i = 0; i < tokens.length;) {
+      const match = this.matchAt(tokens, i);
+      if (match) {
+        matches.push(match);
+        i += match.length;
+      } else {
+        i++;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Whether some phrase starts with this token
+   */
+  startsPhrase(token) {
+    return this.root.children.has(token);
+  }
+
+  /**
+   * Every token grouped into units: a matched phrase, or a single unmatched token
+   * @returns {Array} [{ phrase, start, length, stem }], phrase being the token itself when unmatched
+   */
+  units(tokens) {
+    const units = [];
+
+    for (let i = 0; i < tokens.length;) {
+      const match = this.matchAt(tokens, i) || { phrase: tokens[i], start: i, length: 1, stem: null };
+      units.push(match);
+      i += match.length;
+    }
+
+    return units;
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.PhraseMatcher = PhraseMatcher;
+}
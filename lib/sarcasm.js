@@ -0,0 +1,253 @@
+/**
+ * sarcasm.js - Sarcasm and irony cues that flip or neutralize positive sentiment
+ * Combines independent cues into a sarcasm probability: the "/s" tag, per-language markers
+ * ("yeah right", "na toll", "ну да, конечно"), positive words alongside eye-roll or clown emoji,
+ * positive words in scare quotes, boosted positive words in a negative context and positive
+ * replies to negative parents. SentimentAnalyzer scales the positive polarity by the result.
+ */
+
+class SarcasmDetector {
+  constructor() {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      SARCASM: {
+        NEUTRALIZE: 0.4,
+        INVERT: 0.7,
+        INVERTED_SCALE: 0.5,
+        CUES: { TAG: 0.95, MOCKING_EMOJI: 0.5, SCARE_QUOTES: 0.35, INTENSIFIER: 0.35, NEGATIVE_PARENT: 0.3 }
+      }
+    };
+    this.limits = config.SARCASM;
+    this.mocking = new Set(SarcasmDetector.MOCKING_EMOJI.map(emoji => EmojiAnalyzer.normalize(emoji)));
+
+    // Phrase matchers per language, built on first use
+    this.matchers = {};
+  }
+
+  /**
+   * Emoji that mock what they follow ("great job 🙄"); a narrower set than the sarcasm-leaning
+   * emoji in lib/emoji.js, which also holds ones used sincerely ("great job 👏")
+   */
+  static get MOCKING_EMOJI() {
+    return ['🙄', '🙃', '😏', '😒', '🤡', '💅', '🤥', '🧢'];
+  }
+
+  /**
+   * The "/s" sarcasm tag, on its own
+   */
+  static get TAG_PATTERN() {
+    return /(?:^|\s)\/s(?=\s|$)/u;
+  }
+
+  /**
+   * Text in double quotes or guillemets, for scare quotes ("such a “helpful” answer")
+   */
+  static get QUOTE_PATTERN() {
+    return /["“„«]([^"“”„«»\n]{1,40})["”“»]/gu;
+  }
+
+  /**
+   * Most words a quoted span can have and still be scare quotes rather than a citation
+   */
+  static get SCARE_QUOTE_WORDS() {
+    return 3;
+  }
+
+  /**
+   * Sarcasm markers per language with their weight (0-1), matched on token boundaries like the
+   * sentiment lexicons; punctuation inside a marker is ignored ("sure, because" = "sure because")
+   * English markers are matched in every language
+   */
+  static get MARKERS() {
+    return {
+      en: {
+        'yeah right': 0.8, 'yeah sure': 0.6, 'sure because': 0.7, 'sure thing buddy': 0.7,
+        'said no one ever': 0.9, 'thanks for nothing': 0.8, 'what could possibly go wrong': 0.8,
+        'oh great': 0.5, 'oh wonderful': 0.5, 'oh joy': 0.6, 'oh goody': 0.6, 'oh sure': 0.6,
+        'worked so well': 0.4, 'went so well': 0.4, 'big surprise': 0.5, 'color me shocked': 0.8,
+        'colour me shocked': 0.8, 'who would have thought': 0.5, 'how original': 0.6, 'slow clap': 0.6,
+        'well done genius': 0.7, 'nice going': 0.4
+      },
+      no: {
+        'ja sikkert': 0.6, 'ja visst': 0.5, 'takk for ingenting': 0.8,
+        'for en overraskelse': 0.5, 'gikk jo så bra': 0.5, 'så originalt': 0.6
+      },
+      de: {
+        'ja klar': 0.5, 'na toll': 0.7, 'na super': 0.7, 'na prima': 0.6, 'ja ne is klar': 0.8,
+        'danke für nichts': 0.8, 'was für eine überraschung': 0.5, 'wie originell': 0.6
+      },
+      es: {
+        'sí claro': 0.5, 'ya claro': 0.6, 'sí hombre': 0.5, 'qué sorpresa': 0.5,
+        'gracias por nada': 0.8, 'qué original': 0.6
+      },
+      fr: {
+        'mais bien sûr': 0.6, "c'est ça oui": 0.7, 'tu parles': 0.5, 'quelle surprise': 0.5,
+        'merci pour rien': 0.8, 'quelle originalité': 0.6
+      },
+      pt: {
+        'pois claro': 0.5, 'sim claro': 0.5, 'até parece': 0.7, 'que surpresa': 0.5,
+        'obrigado por nada': 0.8, 'que original': 0.6
+      },
+      sv: {
+        'ja visst': 0.5, 'ja säkert': 0.6, 'tack för ingenting': 0.8, 'vilken överraskning': 0.5,
+        'så originellt': 0.6
+      },
+      da: {
+        'ja sikkert': 0.6, 'tak for ingenting': 0.8, 'sikke en overraskelse': 0.5,
+        'hvor originalt': 0.6
+      },
+      ru: {
+        'ну да конечно': 0.8, 'ага конечно': 0.8, 'ага щас': 0.8, 'ну конечно': 0.5,
+        'какая неожиданность': 0.6, 'спасибо за ничего': 0.8, 'как оригинально': 0.6
+      },
+      lv: {
+        'jā protams': 0.5, 'kāds pārsteigums': 0.5, 'paldies par neko': 0.8
+      },
+      et: {
+        'jah muidugi': 0.5, 'milline üllatus': 0.5, 'aitäh mitte millegi eest': 0.8
+      },
+      lt: {
+        'jo jo': 0.5, 'kokia staigmena': 0.5, 'ačiū už nieką': 0.8
+      },
+      pl: {
+        'jasne jasne': 0.6, 'no jasne': 0.5, 'co za niespodzianka': 0.5,
+        'dzięki za nic': 0.8, 'jak oryginalnie': 0.6
+      }
+    };
+  }
+
+  /**
+   * Phrase matcher over a language's markers and the English ones
+   * @returns {Object} { matcher, weights } weights: matched phrase -> weight
+   */
+  getMatcher(lang) {
+    const key = SarcasmDetector.MARKERS[lang] ? lang : 'en';
+    if (!this.matchers[key]) {
+      const weights = new Map();
+      [SarcasmDetector.MARKERS.en, SarcasmDetector.MARKERS[key]].forEach((markers) => {
+        Object.entries(markers).forEach(([marker, weight]) => {
+          weights.set(TextPipeline.tokenize(marker, key).join(' '), weight);
+        });
+      });
+      this.matchers[key] = { matcher: new PhraseMatcher(Array.from(weights.keys()), key), weights };
+    }
+    return this.matchers[key];
+  }
+
+  /**
+   * Markers in each language span of a text
+   * @param {Array} spans - Language spans from languageIdentifier.segment()
+   * @returns {Array} [{ cue: 'marker', form, weight }]
+   */
+  matchMarkers(spans) {
+    return spans.flatMap(({ text, language }) => {
+      const { matcher, weights } = this.getMatcher(language);
+      const words = TextPipeline.tokens(text, language);
+      return matcher.match(words.map(({ token }) => token)).map(({ phrase, start, length }) => ({
+        cue: 'marker',
+        form: words.slice(start, start + length).map(({ original }) => original).join(' '),
+        weight: weights.get(phrase)
+      }));
+    });
+  }
+
+  /**
+   * Short quoted spans holding a positive word, when the quote is not the whole text
+   * @param {Array} positives - Positive sentiment words of the text
+   */
+  matchScareQuotes(text, positives) {
+    const cues = [];
+
+    for (const match of text.matchAll(SarcasmDetector.QUOTE_PATTERN)) {
+      const quoted = TextPipeline.tokenize(match[1]);
+      if (quoted.length === 0 || quoted.length > SarcasmDetector.SCARE_QUOTE_WORDS) continue;
+      if (match[0].length === text.trim().length) continue;
+
+      const quotesPositive = positives.some(({ form, language }) => TextPipeline.tokenize(form, language)
+        .every(token => quoted.includes(token)));
+      if (quotesPositive) {
+        cues.push({ cue: 'scareQuotes', form: match[0], weight: this.limits.CUES.SCARE_QUOTES });
+      }
+    }
+
+    return cues;
+  }
+
+  /**
+   * Estimate how likely a text is sarcastic from its cues, each an independent chance
+   * @param {Object} analysis - { spans (language spans), words (sentiment words before any
+   *   sarcasm adjustment), emojiScore, parentCompound (compound sentiment of the comment replied
+   *   to, or null) }
+   * @returns {Object} { probability, isSarcastic, effect ('none', 'neutralized' or 'inverted'),
+   *   factor (applied to positive polarity), cues: [{ cue, form, weight }] }
+   */
+  detect(text, { spans = [], words = [], emojiScore = 0, parentCompound = null } = {}) {
+    if (!text || typeof text !== 'string') return this.getDefaultResult();
+
+    const weights = this.limits.CUES;
+    const positives = words.filter(({ score }) => score > 0);
+    const cues = [];
+
+    const tag = text.match(SarcasmDetector.TAG_PATTERN);
+    if (tag) {
+      cues.push({ cue: 'tag', form: tag[0].trim(), weight: weights.TAG });
+    }
+
+    cues.push(...this.matchMarkers(spans));
+
+    // The rest only make sense with positive words to undercut
+    if (positives.length > 0) {
+      const mocking = emojiAnalyzer.extract(text).find(({ key }) => this.mocking.has(key));
+      if (mocking) {
+        cues.push({ cue: 'mockingEmoji', form: mocking.text, weight: weights.MOCKING_EMOJI });
+      }
+
+      cues.push(...this.matchScareQuotes(text, positives));
+
+      const negativeParent = parentCompound !== null && parentCompound <= -0.05;
+      const negativeContext = negativeParent || emojiScore < 0 || words.some(({ score }) => score < 0);
+      const boosted = positives.find(({ adjustments }) => adjustments
+        .some(({ rule, value }) => rule === 'modifier' && value > 0));
+      if (boosted && negativeContext) {
+        cues.push({ cue: 'intensifier', form: boosted.form, weight: weights.INTENSIFIER });
+      }
+
+      if (negativeParent) {
+        cues.push({ cue: 'negativeParent', form: null, weight: weights.NEGATIVE_PARENT });
+      }
+    }
+
+    const probability = 1 - cues.reduce((chance, { weight }) => chance * (1 - weight), 1);
+    return { probability, ...this.getEffect(probability), cues };
+  }
+
+  /**
+   * How a sarcasm probability changes positive polarity: scaled down by the probability from
+   * NEUTRALIZE, turned negative at INVERTED_SCALE from INVERT
+   * @returns {Object} { isSarcastic, effect, factor }
+   */
+  getEffect(probability) {
+    if (probability >= this.limits.INVERT) {
+      return { isSarcastic: true, effect: 'inverted', factor: -this.limits.INVERTED_SCALE };
+    }
+    if (probability >= this.limits.NEUTRALIZE) {
+      return { isSarcastic: true, effect: 'neutralized', factor: 1 - probability };
+    }
+    return { isSarcastic: false, effect: 'none', factor: 1 };
+  }
+
+  /**
+   * Result for empty text
+   */
+  getDefaultResult() {
+    return { probability: 0, ...this.getEffect(0), cues: [] };
+  }
+}
+
+// Shared instance, so each language's matcher is built once
+const sarcasmDetector = new SarcasmDetector();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.SarcasmDetector = SarcasmDetector;
+  window.sarcasmDetector = sarcasmDetector;
+}
@@ -15,19 +15,21 @@ class SentimentAnalyzer {
     // Current language (auto-detected or default to English)
     this.currentLanguage = 'en';
 
-    // Emoji sentiment (universal across languages)
-    this.emojiSentiment = {
-      '😊': 0.6, '😃': 0.7, '😄': 0.7, '😁': 0.7, '😆': 0.6,
-      '😍': 0.8, '🥰': 0.8, '😘': 0.7, '❤️': 0.8, '💕': 0.7,
-      '👍': 0.5, '👏': 0.6, '🎉': 0.7, '✨': 0.5, '💯': 0.7,
-      '😢': -0.6, '😭': -0.7, '😞': -0.6, '😔': -0.6, '😟': -0.6,
-      '😠': -0.7, '😡': -0.8, '🤬': -0.9, '💔': -0.7, '👎': -0.6,
-      '😐': 0, '😑': 0, '😶': 0, '🤔': 0, '🤷': 0
-    };
+    // Phrase matchers per language, built on first use
+    this.phraseMatchers = {};
 
     // Punctuation impact
     this.exclamationBoost = 0.292;
     this.questionNeutral = 0.18;
+
+    // VADER rules, scaled from VADER's -4..4 word scores to this library's -1..1
+    this.negationScalar = -0.74;
+    this.negationWindow = 3;            // Words before a word that can negate it (per language: negationWindow)
+    this.neverSoScalar = 1.25;          // "never so good" intensifies instead of negating
+    this.emphasisIncrement = 0.183;     // ALL-CAPS or stretched word ("GREAT", "goood"), VADER's 0.733 / 4
+    this.modifierDecay = [1, 0.95, 0.9]; // Booster/dampener weight 1, 2 and 3 words before the word
+    this.contrastScalars = { before: 0.5, after: 1.5 }; // Words before and after "but"
+    this.compoundAlpha = 15 / 16;       // Compound normalization: VADER's alpha 15, divided by 4² for the scaled scores
   }
 
   /**
@@ -40,7 +42,7 @@ class SentimentAnalyzer {
         positive: {
           'amazing': 0.9, 'awesome': 0.9, 'excellent': 0.8, 'fantastic': 0.9,
           'wonderful': 0.8, 'great': 0.7, 'good': 0.6, 'nice': 0.5,
-          'love': 0.8, 'loved': 0.8, 'loving': 0.8, 'like': 0.5,
+          'love': 0.8, 'loved': 0.8, 'loving': 0.8, 'lovely': 0.7, 'like': 0.5,
           'best': 0.8, 'brilliant': 0.8, 'perfect': 0.9, 'outstanding': 0.9,
           'superb': 0.8, 'impressive': 0.7, 'beautiful': 0.7, 'incredible': 0.8,
           'happy': 0.7, 'delighted': 0.8, 'pleased': 0.6, 'excited': 0.7,
@@ -69,11 +71,20 @@ class SentimentAnalyzer {
         },
         dampeners: {
           'barely': -0.3, 'hardly': -0.3, 'slightly': -0.2, 'somewhat': -0.2,
-          'kind of': -0.2, 'sort of': -0.2, 'a bit': -0.2, 'a little': -0.2
+          'kind of': -0.2, 'sort of': -0.2, 'a bit': -0.2, 'a little': -0.2,
+          'at least': -0.1
+        },
+        idioms: {
+          'over the moon': 0.8, 'piece of cake': 0.5, 'not bad': 0.4, 'thumbs up': 0.6,
+          'worked well': 0.5, 'worked so well': 0.6, 'went well': 0.5, 'went so well': 0.6,
+          'waste of time': -0.7, 'rip off': -0.7, 'fed up': -0.6, 'thumbs down': -0.6
         },
         negations: ['not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither',
                    'nowhere', 'cannot', "can't", "won't", "wouldn't", "shouldn't",
-                   "didn't", "doesn't", "don't", "isn't", "aren't", "wasn't", "weren't"]
+                   "didn't", "doesn't", "don't", "isn't", "aren't", "wasn't", "weren't"],
+        contrastives: ['but'],
+        least: ['least'],
+        neverSo: { never: ['never'], so: ['so', 'this'] }
       },
 
       // Norwegian (Norsk)
@@ -99,7 +110,14 @@ class SentimentAnalyzer {
         dampeners: {
           'knapt': -0.3, 'nesten ikke': -0.3, 'litt': -0.2, 'noe': -0.2
         },
-        negations: ['ikke', 'ingen', 'aldri', 'ingenting', 'ikkeno', 'nei']
+        idioms: {
+          'ikke verst': 0.4, 'helt rå': 0.7, 'i sjuende himmel': 0.8,
+          'bortkastet tid': -0.7, 'lei av': -0.6, 'rett i søpla': -0.7
+        },
+        negations: ['ikke', 'ingen', 'aldri', 'ingenting', 'ikkeno', 'nei'],
+        contrastives: ['men'],
+        least: ['minst'],
+        neverSo: { never: ['aldri'], so: ['så'] }
       },
 
       // German (Deutsch)
@@ -124,7 +142,14 @@ class SentimentAnalyzer {
         dampeners: {
           'kaum': -0.3, 'etwas': -0.2, 'ein bisschen': -0.2, 'leicht': -0.2
         },
-        negations: ['nicht', 'kein', 'keine', 'niemals', 'nie', 'nichts', 'nein']
+        idioms: {
+          'nicht schlecht': 0.4, 'auf wolke sieben': 0.8, 'erste sahne': 0.7,
+          'die nase voll': -0.6, 'unter aller kanone': -0.8, 'für die katz': -0.6
+        },
+        negations: ['nicht', 'kein', 'keine', 'niemals', 'nie', 'nichts', 'nein'],
+        contrastives: ['aber', 'jedoch'],
+        least: ['am wenigsten'],
+        neverSo: { never: ['nie', 'niemals'], so: ['so'] }
       },
 
       // Spanish (Español)
@@ -149,7 +174,14 @@ class SentimentAnalyzer {
         dampeners: {
           'apenas': -0.3, 'poco': -0.2, 'un poco': -0.2, 'levemente': -0.2
         },
-        negations: ['no', 'nunca', 'jamás', 'nada', 'nadie', 'ninguno', 'tampoco']
+        idioms: {
+          'no está mal': 0.4, 'de lujo': 0.6, 'pan comido': 0.5,
+          'pérdida de tiempo': -0.7, 'harto de': -0.6, 'una tomadura de pelo': -0.7
+        },
+        negations: ['no', 'nunca', 'jamás', 'nada', 'nadie', 'ninguno', 'tampoco'],
+        contrastives: ['pero'],
+        least: ['el menos', 'la menos', 'lo menos'],
+        neverSo: { never: ['nunca', 'jamás'], so: ['tan'] }
       },
 
       // French (Français)
@@ -174,7 +206,14 @@ class SentimentAnalyzer {
         dampeners: {
           'à peine': -0.3, 'un peu': -0.2, 'légèrement': -0.2, 'peu': -0.2
         },
-        negations: ['ne', 'pas', 'non', 'jamais', 'rien', 'personne', 'aucun']
+        idioms: {
+          'pas mal': 0.4, 'au top': 0.6, 'aux anges': 0.8,
+          'perte de temps': -0.7, 'ras le bol': -0.6, 'du grand n\'importe quoi': -0.7
+        },
+        negations: ['ne', 'pas', 'non', 'jamais', 'rien', 'personne', 'aucun'],
+        contrastives: ['mais'],
+        least: ['le moins', 'la moins'],
+        neverSo: { never: ['jamais'], so: ['aussi', 'si'] }
       },
 
       // Portuguese (Português)
@@ -199,7 +238,14 @@ class SentimentAnalyzer {
         dampeners: {
           'mal': -0.3, 'pouco': -0.2, 'um pouco': -0.2, 'levemente': -0.2
         },
-        negations: ['não', 'nunca', 'jamais', 'nada', 'ninguém', 'nenhum', 'nem']
+        idioms: {
+          'nada mal': 0.4, 'show de bola': 0.7, 'nas nuvens': 0.7,
+          'perda de tempo': -0.7, 'de saco cheio': -0.6, 'uma furada': -0.7
+        },
+        negations: ['não', 'nunca', 'jamais', 'nada', 'ninguém', 'nenhum', 'nem'],
+        contrastives: ['mas', 'porém'],
+        least: ['o menos', 'a menos'],
+        neverSo: { never: ['nunca', 'jamais'], so: ['tão'] }
       },
 
       // Swedish (Svenska)
@@ -224,7 +270,14 @@ class SentimentAnalyzer {
         dampeners: {
           'knappt': -0.3, 'lite': -0.2, 'något': -0.2, 'ganska': -0.2
         },
-        negations: ['inte', 'ingen', 'aldrig', 'inget', 'nej']
+        idioms: {
+          'inte illa': 0.4, 'på topp': 0.6, 'i sjunde himlen': 0.8,
+          'slöseri med tid': -0.7, 'trött på': -0.6, 'åt skogen': -0.7
+        },
+        negations: ['inte', 'ingen', 'aldrig', 'inget', 'nej'],
+        contrastives: ['men'],
+        least: ['minst'],
+        neverSo: { never: ['aldrig'], so: ['så'] }
       },
 
       // Danish (Dansk)
@@ -249,7 +302,14 @@ class SentimentAnalyzer {
         dampeners: {
           'knap': -0.3, 'lidt': -0.2, 'noget': -0.2, 'ret': -0.2
         },
-        negations: ['ikke', 'ingen', 'aldrig', 'intet', 'nej']
+        idioms: {
+          'ikke så ringe': 0.4, 'helt i top': 0.7, 'i den syvende himmel': 0.8,
+          'spild af tid': -0.7, 'træt af': -0.6, 'ad helvede til': -0.7
+        },
+        negations: ['ikke', 'ingen', 'aldrig', 'intet', 'nej'],
+        contrastives: ['men'],
+        least: ['mindst'],
+        neverSo: { never: ['aldrig'], so: ['så'] }
       },
 
       // Sami (Davvisámegiella - Northern Sami)
@@ -269,7 +329,12 @@ class SentimentAnalyzer {
         dampeners: {
           'veaháš': -0.2, 'unnán': -0.2
         },
-        negations: ['ii', 'eai', 'eaba', 'inge']
+        idioms: {
+          'ii leat heittot': 0.4,
+          'áiggi massin': -0.7
+        },
+        negations: ['ii', 'eai', 'eaba', 'inge'],
+        contrastives: ['muhto']
       },
 
       // Russian (Русский)
@@ -279,13 +344,15 @@ class SentimentAnalyzer {
           'хороший': 0.6, 'красивый': 0.7, 'совершенный': 0.9, 'невероятный': 0.8,
           'любовь': 0.8, 'любить': 0.8, 'счастливый': 0.7, 'довольный': 0.6,
           'спасибо': 0.5, 'благодарный': 0.7, 'лучший': 0.8, 'блестящий': 0.8,
-          'полезный': 0.5, 'ценный': 0.6, 'положительный': 0.6, 'да': 0.3
+          'полезный': 0.5, 'ценный': 0.6, 'положительный': 0.6, 'да': 0.3,
+          'люблю': 0.8, 'нравится': 0.6
         },
         negative: {
           'ужасный': -0.9, 'страшный': -0.9, 'плохой': -0.7, 'отвратительный': -0.9,
           'ненависть': -0.9, 'ненавидеть': -0.9, 'злой': -0.8, 'скучный': -0.6,
           'грустный': -0.6, 'глупый': -0.7, 'ложный': -0.7, 'ложь': -0.7,
-          'мошенничество': -0.9, 'разочарованный': -0.7, 'худший': -0.9
+          'мошенничество': -0.9, 'разочарованный': -0.7, 'худший': -0.9,
+          'ненавижу': -0.9
         },
         boosters: {
           'очень': 0.3, 'крайне': 0.4, 'весьма': 0.3, 'совершенно': 0.3,
@@ -294,7 +361,15 @@ class SentimentAnalyzer {
         dampeners: {
           'едва': -0.3, 'немного': -0.2, 'слегка': -0.2, 'чуть': -0.2
         },
-        negations: ['не', 'нет', 'никогда', 'ничто', 'никто', 'ни']
+        idioms: {
+          'на высоте': 0.6, 'на седьмом небе': 0.8, 'проще простого': 0.5,
+          'пустая трата времени': -0.7, 'сыт по горло': -0.6, 'ни в какие ворота': -0.7
+        },
+        negations: ['не', 'нет', 'никогда', 'ничто', 'никто', 'ни'],
+        contrastives: ['но', 'однако'],
+        least: ['наименее'],
+        neverSo: { never: ['никогда'], so: ['так', 'настолько'] },
+        negationWindow: 2 // "не" sits right before the word or its booster
       },
 
       // Latvian (Latviešu)
@@ -316,7 +391,14 @@ class SentimentAnalyzer {
         dampeners: {
           'nedaudz': -0.2, 'mazliet': -0.2, 'gandrīz': -0.2
         },
-        negations: ['ne', 'nē', 'nekad', 'nekas', 'neviens']
+        idioms: {
+          'nav slikti': 0.4, 'septītajās debesīs': 0.8,
+          'laika izšķiešana': -0.7, 'apnicis līdz kaklam': -0.6
+        },
+        negations: ['ne', 'nē', 'nekad', 'nekas', 'neviens'],
+        contrastives: ['bet'],
+        least: ['vismazāk'],
+        neverSo: { never: ['nekad'], so: ['tik'] }
       },
 
       // Estonian (Eesti)
@@ -338,7 +420,14 @@ class SentimentAnalyzer {
         dampeners: {
           'natuke': -0.2, 'veidi': -0.2, 'pisut': -0.2
         },
-        negations: ['ei', 'mitte', 'kunagi', 'miski', 'keegi']
+        idioms: {
+          'pole paha': 0.4, 'seitsmendas taevas': 0.8,
+          'aja raiskamine': -0.7, 'villand täis': -0.6
+        },
+        negations: ['ei', 'mitte', 'kunagi', 'miski', 'keegi'],
+        contrastives: ['aga', 'kuid'],
+        least: ['kõige vähem'],
+        neverSo: { never: ['kunagi'], so: ['nii'] }
       },
 
       // Lithuanian (Lietuvių)
@@ -360,7 +449,14 @@ class SentimentAnalyzer {
         dampeners: {
           'šiek tiek': -0.2, 'kiek': -0.2, 'truputį': -0.2
         },
-        negations: ['ne', 'nė', 'niekada', 'niekas', 'nei']
+        idioms: {
+          'visai neblogai': 0.4, 'septintame danguje': 0.8,
+          'laiko švaistymas': -0.7, 'iki gyvo kaulo': -0.6
+        },
+        negations: ['ne', 'nė', 'niekada', 'niekas', 'nei'],
+        contrastives: ['bet', 'tačiau'],
+        least: ['mažiausiai'],
+        neverSo: { never: ['niekada'], so: ['taip'] }
       },
 
       // Polish (Polski)
@@ -382,125 +478,159 @@ class SentimentAnalyzer {
         dampeners: {
           'trochę': -0.2, 'nieco': -0.2, 'lekko': -0.2
         },
-        negations: ['nie', 'nigdy', 'nic', 'nikt', 'żaden']
+        idioms: {
+          'nie najgorzej': 0.4, 'na medal': 0.7, 'w siódmym niebie': 0.8,
+          'strata czasu': -0.7, 'mam dość': -0.6, 'do niczego': -0.7
+        },
+        negations: ['nie', 'nigdy', 'nic', 'nikt', 'żaden'],
+        contrastives: ['ale', 'lecz'],
+        least: ['najmniej'],
+        neverSo: { never: ['nigdy'], so: ['tak'] },
+        negationWindow: 2 // "nie" sits right before the word or its booster
       }
     };
-
-    // Language detection patterns
-    this.languagePatterns = {
-      en: ['the', 'and', 'is', 'are', 'you', 'this', 'that', 'with', 'for', 'not', 'but', 'have', 'will', 'from', 'love', 'hate'],
-      no: ['og', 'er', 'jeg', 'det', 'ikke', 'en', 'for', 'på'],
-      de: ['und', 'der', 'die', 'das', 'ist', 'ich', 'nicht', 'mit'],
-      es: ['que', 'de', 'el', 'la', 'es', 'en', 'para', 'con'],
-      fr: ['que', 'de', 'le', 'la', 'est', 'dans', 'pour', 'avec'],
-      pt: ['que', 'de', 'o', 'a', 'é', 'em', 'para', 'com'],
-      sv: ['och', 'är', 'jag', 'det', 'inte', 'en', 'för', 'på'],
-      da: ['og', 'er', 'jeg', 'det', 'ikke', 'en', 'for', 'på'],
-      se: ['lea', 'go', 'ja', 'ii', 'mii', 'gii'],
-      ru: ['и', 'в', 'не', 'на', 'я', 'что', 'он', 'с'],
-      lv: ['un', 'ir', 'es', 'tas', 'nav', 'uz'],
-      et: ['ja', 'on', 'ei', 'ma', 'see', 'et'],
-      lt: ['ir', 'yra', 'ne', 'aš', 'tai', 'kad'],
-      pl: ['i', 'w', 'nie', 'na', 'jest', 'że', 'do']
-    };
   }
 
   /**
-   * Detect language from text
+   * Detect language from text with the shared n-gram identifier (see lib/languageId.js)
+   * @returns {string} Language code, or 'unknown' (scored with the English lexicon)
    */
   detectLanguage(text) {
-    const lowerText = text.toLowerCase();
-    const tokens = this.tokenize(text);
-    const scores = {};
-
-    // Score each language based on common words found
-    for (const [lang, patterns] of Object.entries(this.languagePatterns)) {
-      let score = 0;
-      for (const pattern of patterns) {
-        if (tokens.includes(pattern)) {
-          score += pattern.length <= 2 ? 0.5 : 1;
-        }
-      }
-      scores[lang] = score;
-    }
-
-    // Start with English as baseline preference
-    let detectedLang = 'en';
-    let maxScore = scores.en || 0;
+    return languageIdentifier.detect(text);
+  }
 
-    for (const [lang, score] of Object.entries(scores)) {
-      if (lang === 'en') continue;
-      if (score > maxScore) {
-        maxScore = score;
-        detectedLang = lang;
-      }
-    }
+  /**
+   * Get combined lexicon for a language, including idioms with their own scores
+   */
+  getLexicon(lang) {
+    const langData = this.lexicons[lang] || this.lexicons.en;
+    return { ...langData.positive, ...langData.negative, ...langData.idioms };
+  }
 
-    // Require stronger evidence before switching away from English
-    if (detectedLang !== 'en' && maxScore < 2) {
-      return 'en';
+  /**
+   * Phrase matcher over every lexicon, booster, dampener, negation and conjunction entry of a language
+   */
+  getPhraseMatcher(lang) {
+    const key = this.lexicons[lang] ? lang : 'en';
+    if (!this.phraseMatchers[key]) {
+      const langData = this.lexicons[key];
+      const neverSo = langData.neverSo || { never: [], so: [] };
+      const phrases = [
+        ...Object.keys(this.getLexicon(key)),
+        ...Object.keys(langData.boosters),
+        ...Object.keys(langData.dampeners),
+        ...langData.negations,
+        ...langData.contrastives,
+        ...(langData.least || []),
+        ...neverSo.never,
+        ...neverSo.so
+      ];
+      this.phraseMatchers[key] = new PhraseMatcher(phrases, key);
     }
+    return this.phraseMatchers[key];
+  }
 
-    return maxScore > 0 ? detectedLang : 'en';
+  /**
+   * Tokenize text into lowercase words (see TextPipeline)
+   * @param {string} lang - Language code, when known, for locale-aware lowercasing
+   */
+  tokenize(text, lang) {
+    return TextPipeline.tokenize(text, lang);
   }
 
   /**
-   * Get combined lexicon for a language
+   * Words in the negation window before a word, nearest first, stopping at a contrastive
+   * conjunction ("not bad but good" doesn't negate "good")
+   * Windows count units from getPhraseMatcher().units(), so "kind of" or "nesten ikke" is one word
    */
-  getLexicon(lang) {
+  getNegationWindow(tokens, index, lang) {
     const langData = this.lexicons[lang] || this.lexicons.en;
-    return { ...langData.positive, ...langData.negative };
+    const size = langData.negationWindow || this.negationWindow;
+    const window = [];
+
+    for (let i = index - 1; i >= Math.max(0, index - size); i--) {
+      if (langData.contrastives.includes(tokens[i])) break;
+      window.push(tokens[i]);
+    }
+    return window;
   }
 
   /**
-   * Tokenize text into words and clean
+   * Check if word is in negation window
    */
-  tokenize(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^\p{L}\s!?]/gu, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 0);
+  isNegated(tokens, index, lang) {
+    const langData = this.lexicons[lang] || this.lexicons.en;
+    return this.getNegationWindow(tokens, index, lang).some(token => langData.negations.includes(token));
   }
 
   /**
-   * Check if word is in negation window (3 words before)
+   * Check for "never so good" / "aldri så bra": a "never" word followed by a "so" word before the word
    */
-  isNegated(tokens, index, lang) {
+  isNeverSo(tokens, index, lang) {
     const langData = this.lexicons[lang] || this.lexicons.en;
-    const negations = langData.negations;
-    const window = 3;
+    if (!langData.neverSo) return false;
 
-    for (let i = Math.max(0, index - window); i < index; i++) {
-      if (negations.includes(tokens[i])) {
-        return true;
-      }
-    }
-    return false;
+    const window = this.getNegationWindow(tokens, index, lang);
+    const so = window.findIndex(token => langData.neverSo.so.includes(token));
+    return so !== -1 && window.slice(so + 1).some(token => langData.neverSo.never.includes(token));
   }
 
   /**
-   * Get booster/dampener value in window before word
+   * Get booster/dampener value in window before word, weighted less the further away it is
+   * @param {Array} emphasis - Per token, whether it is ALL-CAPS or stretched ("VERY", "sooo"),
+   *   which strengthens a booster or dampener
    */
-  getModifier(tokens, index, lang) {
+  getModifier(tokens, index, lang, emphasis = []) {
     const langData = this.lexicons[lang] || this.lexicons.en;
     const boosters = langData.boosters;
     const dampeners = langData.dampeners;
     let modifier = 0;
-    const window = 2;
 
-    for (let i = Math.max(0, index - window); i < index; i++) {
+    this.modifierDecay.forEach((decay, distance) => {
+      const i = index - distance - 1;
+      if (i < 0) return;
+
       const token = tokens[i];
-      if (boosters[token]) {
-        modifier += boosters[token];
-      } else if (dampeners[token]) {
-        modifier += dampeners[token];
+      let value = boosters[token] || dampeners[token] || 0;
+      if (value !== 0 && emphasis[i]) {
+        value += value > 0 ? this.emphasisIncrement : -this.emphasisIncrement;
       }
-    }
+      modifier += value * decay;
+    });
 
     return modifier;
   }
 
+  /**
+   * Whether a word is written in capitals ("GREAT"); single letters like "I" don't count
+   */
+  isAllCaps(word) {
+    return word.length > 1 && word === word.toUpperCase() && word !== word.toLowerCase();
+  }
+
+  /**
+   * Whether some words, but not all, are in capitals; only then is ALL-CAPS emphasis
+   * (text that is all capitals has no emphasis left)
+   */
+  hasCapsDifferential(words) {
+    const caps = words.filter(({ original }) => this.isAllCaps(original)).length;
+    return caps > 0 && caps < words.length;
+  }
+
+  /**
+   * Base form of a word with letters stretched for emphasis ("goood" -> "good", "sooo" -> "so"),
+   * or the word itself when no base form is in the lexicons
+   */
+  resolveElongation(token, matcher) {
+    if (!/(\p{L})\1{2,}/u.test(token)) return token;
+
+    const double = token.replace(/(\p{L})\1{2,}/gu, '$1$1');
+    if (matcher.startsPhrase(double)) return double;
+
+    const single = token.replace(/(\p{L})\1{2,}/gu, '$1');
+    return matcher.startsPhrase(single) ? single : token;
+  }
+
   /**
    * Count punctuation emphasis
    */
@@ -516,78 +646,186 @@ class SentimentAnalyzer {
   }
 
   /**
-   * Extract and score emojis
+   * Score emoji and emoticons (universal across languages), see lib/emoji.js
+   * @returns {Object} { emojiScore, emojiCount, emojiEmotions, emojiStats }
+   */
+  scoreEmojis(text, wordCount) {
+    const { score, count, emotions, stats } = emojiAnalyzer.analyze(text, wordCount);
+    return { emojiScore: score, emojiCount: count, emojiEmotions: emotions, emojiStats: stats };
+  }
+
+  /**
+   * Score the lexicon words of one language's words with VADER's rules and that language's
+   * negations, boosters and conjunctions
+   * Multi-word entries (idioms, "kind of") are matched first and scored as one word
+   * @param {Array} words - Words from TextPipeline.tokens()
+   * @param {boolean} capsDifferential - Whether ALL-CAPS words are emphasized (see hasCapsDifferential)
+   * @returns {Object} { score, positive, negative, words, emotions, emotionWords }, each word with
+   *   the text it matched (form), the stem it matched by (null for an exact match), its lexicon
+   *   score (base) and the adjustments applied in order: { rule, factor } or { rule, value };
+   *   emotions counts the words carrying each emotion (see lib/emotions.js), negated ones left out
    */
-  scoreEmojis(text) {
-    let emojiScore = 0;
-    let emojiCount = 0;
-
-    for (const [emoji, score] of Object.entries(this.emojiSentiment)) {
-      const count = (text.match(new RegExp(emoji, 'g')) || []).length;
-      if (count > 0) {
-        emojiScore += score * count;
-        emojiCount += count;
+  scoreTokens(words, lang, capsDifferential = false) {
+    const langData = this.lexicons[lang] || this.lexicons.en;
+    const lexicon = this.getLexicon(lang);
+    const matcher = this.getPhraseMatcher(lang);
+    const tokens = words.map(({ token }) => this.resolveElongation(token, matcher));
+    const units = matcher.units(tokens);
+    const phrases = units.map(({ phrase }) => phrase);
+    const emphasis = units.map(({ start, length }) => {
+      const unitWords = words.slice(start, start + length);
+      if (capsDifferential && unitWords.every(({ original }) => this.isAllCaps(original))) return 'caps';
+      if (unitWords.some(({ token }, i) => token !== tokens[start + i])) return 'elongation';
+      return null;
+    });
+    const contrast = phrases.findIndex(phrase => langData.contrastives.includes(phrase));
+    const result = {
+      score: 0, positive: 0, negative: 0, words: [], emotions: EmotionAnalyzer.emptyCounts(), emotionWords: []
+    };
+
+    phrases.forEach((phrase, index) => {
+      const base = lexicon[phrase];
+      if (!base) return;
+
+      let score = base;
+      const adjustments = [];
+      const scale = (rule, factor) => {
+        score *= factor;
+        adjustments.push({ rule, factor });
+      };
+      const add = (rule, value) => {
+        const delta = score > 0 ? value : -value; // Away from zero, towards the word's direction
+        score += delta;
+        adjustments.push({ rule, value: delta });
+      };
+
+      // Negation flips and dampens; "never so good" intensifies instead
+      if (this.isNeverSo(phrases, index, lang)) {
+        scale('never-so', this.neverSoScalar);
+      } else if (this.isNegated(phrases, index, lang)) {
+        scale('negation', this.negationScalar);
+      }
+
+      // "the least helpful" flips like a negation
+      if (index > 0 && (langData.least || []).includes(phrases[index - 1])) {
+        scale('least', this.negationScalar);
+      }
+
+      // Apply booster/dampener
+      const modifier = this.getModifier(phrases, index, lang, emphasis);
+      if (modifier !== 0) {
+        add('modifier', modifier);
+      }
+
+      // ALL-CAPS or stretched word
+      if (emphasis[index]) {
+        add(emphasis[index], this.emphasisIncrement);
       }
-    }
 
-    return { emojiScore, emojiCount };
+      // What follows a contrastive conjunction ("but") outweighs what precedes it
+      if (contrast !== -1 && index !== contrast) {
+        scale('contrast', index < contrast ? this.contrastScalars.before : this.contrastScalars.after);
+      }
+
+      result.score += score;
+      const { start, length, stem } = units[index];
+      const form = words.slice(start, start + length).map(({ original }) => original).join(' ');
+      result.words.push({ word: phrase, form, stem, score, base, adjustments, language: lang });
+
+      if (score > 0) result.positive++;
+      if (score < 0) result.negative++;
+    });
+
+    // Emotion words, unless negated ("not afraid"); the window is counted in the units above
+    const unitAt = [];
+    units.forEach(({ start, length }, index) => {
+      for (let i = start; i < start + length; i++) unitAt[i] = index;
+    });
+    emotionAnalyzer.match(tokens, lang).forEach(({ word, start, length, stem, emotions }) => {
+      const index = unitAt[start];
+      if (!this.isNeverSo(phrases, index, lang) && this.isNegated(phrases, index, lang)) return;
+
+      emotions.forEach((emotion) => {
+        result.emotions[emotion]++;
+      });
+      const form = words.slice(start, start + length).map(({ original }) => original).join(' ');
+      result.emotionWords.push({ word, form, stem, emotions, language: lang });
+    });
+
+    return result;
   }
 
   /**
    * Analyze sentiment of text (with auto language detection)
+   * Code-switched text is split into runs of sentences per language, each scored with its own lexicon
+   * @param {Object} options - { parent: text of the comment this one replies to, for sarcasm cues }
    */
-  analyze(text) {
+  analyze(text, options = {}) {
     if (!text || text.trim().length === 0) {
       return this.getDefaultResult();
     }
 
-    // Detect language
-    const lang = this.detectLanguage(text);
-    const lexicon = this.getLexicon(lang);
+    // Detect the language of each sentence
+    const spans = languageIdentifier.segment(text);
+    const languageMix = LanguageIdentifier.mix(spans);
+    const lang = Object.keys(languageMix)[0] || 'unknown';
 
-    const tokens = this.tokenize(text);
     const punctuation = this.countPunctuation(text);
-    const emojiData = this.scoreEmojis(text);
 
     let sentimentScore = 0;
     let positiveCount = 0;
     let negativeCount = 0;
+    let tokenCount = 0;
     const sentimentWords = [];
-
-    // Analyze each token
-    tokens.forEach((token, index) => {
-      if (lexicon[token]) {
-        let score = lexicon[token];
-        const isNeg = this.isNegated(tokens, index, lang);
-        const modifier = this.getModifier(tokens, index, lang);
-
-        // Apply negation (flip and dampen)
-        if (isNeg) {
-          score *= -0.74;
-        }
-
-        // Apply booster/dampener
-        if (modifier !== 0) {
-          if (score > 0) {
-            score += modifier;
-          } else {
-            score -= modifier;
-          }
-        }
-
-        // Clamp between -1 and 1
-        score = Math.max(-1, Math.min(1, score));
-
-        sentimentScore += score;
-        sentimentWords.push({ word: token, score });
-
-        if (score > 0) positiveCount++;
-        if (score < 0) negativeCount++;
-      }
+    const emotionCounts = EmotionAnalyzer.emptyCounts();
+    const emotionWords = [];
+
+    // Analyze each span's words
+    const spanWords = spans.map(span => TextPipeline.tokens(span.text, span.language));
+    const capsDifferential = this.hasCapsDifferential(spanWords.flat());
+
+    spans.forEach((span, index) => {
+      const spanResult = this.scoreTokens(spanWords[index], span.language, capsDifferential);
+
+      sentimentScore += spanResult.score;
+      positiveCount += spanResult.positive;
+      negativeCount += spanResult.negative;
+      tokenCount += spanWords[index].length;
+      sentimentWords.push(...spanResult.words);
+      emotionWords.push(...spanResult.emotionWords);
+      Object.entries(spanResult.emotions).forEach(([emotion, count]) => {
+        emotionCounts[emotion] += count;
+      });
     });
 
     // Add emoji sentiment
+    const emojiData = this.scoreEmojis(text, tokenCount);
     sentimentScore += emojiData.emojiScore;
+    Object.entries(emojiData.emojiEmotions).forEach(([emotion, count]) => {
+      emotionCounts[emotion] += count;
+    });
+
+    // Sarcasm down-weights or inverts the positive words and emoji (see lib/sarcasm.js)
+    const sarcasm = sarcasmDetector.detect(text, {
+      spans,
+      words: sentimentWords,
+      emojiScore: emojiData.emojiScore,
+      parentCompound: options.parent ? this.analyze(options.parent).compound : null
+    });
+    if (sarcasm.factor !== 1) {
+      sentimentWords.filter(word => word.score > 0).forEach((word) => {
+        sentimentScore += word.score * (sarcasm.factor - 1);
+        word.score *= sarcasm.factor;
+        word.adjustments.push({ rule: 'sarcasm', factor: sarcasm.factor });
+        if (word.score < 0) {
+          positiveCount--;
+          negativeCount++;
+        }
+      });
+      if (emojiData.emojiScore > 0) {
+        sentimentScore += emojiData.emojiScore * (sarcasm.factor - 1);
+      }
+    }
 
     // Apply punctuation emphasis
     if (sentimentScore > 0) {
@@ -597,13 +835,12 @@ class SentimentAnalyzer {
     }
 
     // Normalize score to -1 to 1 range
-    const wordCount = tokens.length || 1;
+    const wordCount = tokenCount || 1;
     const normalizedScore = sentimentScore / Math.sqrt(wordCount);
     const finalScore = Math.max(-1, Math.min(1, normalizedScore));
 
-    // Calculate compound score (VADER-style)
-    const alpha = 15;
-    const compound = finalScore / Math.sqrt((finalScore * finalScore) + alpha);
+    // Calculate compound score (VADER-style), from the valence sum before normalizing
+    const compound = sentimentScore / Math.sqrt((sentimentScore * sentimentScore) + this.compoundAlpha);
 
     // Determine classification
     let classification = 'neutral';
@@ -616,6 +853,9 @@ class SentimentAnalyzer {
     // Detect extreme sentiment
     const isExtreme = Math.abs(compound) > 0.7;
 
+    // Emotions from words and emoji
+    const emotions = emotionAnalyzer.summarize(emotionCounts, tokenCount + emojiData.emojiCount);
+
     return {
       score: finalScore,
       compound,
@@ -626,9 +866,14 @@ class SentimentAnalyzer {
       neutral: wordCount - positiveCount - negativeCount,
       wordCount,
       sentimentWords,
+      ...emotions,
+      emotionWords,
       emojiCount: emojiData.emojiCount,
+      emojiStats: emojiData.emojiStats,
+      sarcasm,
       exclamationCount: punctuation.exclamations,
-      detectedLanguage: lang
+      detectedLanguage: lang,
+      languageMix
     };
   }
 
@@ -646,9 +891,14 @@ class SentimentAnalyzer {
       neutral: 0,
       wordCount: 0,
       sentimentWords: [],
+      ...emotionAnalyzer.summarize(EmotionAnalyzer.emptyCounts(), 0),
+      emotionWords: [],
       emojiCount: 0,
+      emojiStats: emojiAnalyzer.getDefaultResult().stats,
+      sarcasm: sarcasmDetector.getDefaultResult(),
       exclamationCount: 0,
-      detectedLanguage: 'en'
+      detectedLanguage: 'unknown',
+      languageMix: {}
     };
   }
 
@@ -690,6 +940,7 @@ class SentimentAnalyzer {
       neutralPercent: (neutral / total) * 100,
       extremePercent: (extreme / total) * 100,
       averageCompound: avgCompound,
+      emotions: EmotionAnalyzer.distribution(analyses),
       languages
     };
   }
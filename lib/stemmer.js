@@ -0,0 +1,296 @@
+/**
+ * stemmer.js - Lightweight per-language stemming
+ * Snowball-style suffix rules for every lexicon language, so inflected forms ("loves", "hates",
+ * "disappointed", "skuffende", "хорошей") match the lexicon entry they come from.
+ * Only inflections are removed: derivational suffixes (-ly, -ness, -lig, -lich, -mente) make a
+ * different word, so "lovely" and "badly" don't become "love" and "bad".
+ * English follows Porter2's first step; the other languages strip the longest listed suffix in R1 per step.
+ */
+
+class Stemmer {
+  /**
+   * Suffix rules per language: vowels for the R1 region, and steps that each remove (or replace,
+   * "suffix>replacement") the longest listed suffix lying in R1; "suffix<letters" is only removed
+   * after one of the letters, which stay
+   */
+  static get RULES() {
+    return {
+      no: {
+        vowels: 'aeiouyæåø',
+        steps: [
+          ['hetenes', 'hetene', 'hetens', 'heter', 'heten', 'endes', 'ande', 'ende', 'edes', 'enes',
+            'erte>er', 'ede', 'ane', 'ene', 'ens', 'ers', 'ets', 'het', 'ast', 'ert>er', 'en', 'ar',
+            'er', 'as', 'es', 'et', 'a', 'e', 's'],
+          ['dt>d', 'vt>v']
+        ]
+      },
+      da: {
+        vowels: 'aeiouyæåø',
+        steps: [
+          ['hedernes', 'hederne', 'hedens', 'heden', 'heder', 'erendes', 'erende', 'endes', 'ernes',
+            'erens', 'erets', 'erede', 'ered', 'ende', 'erne', 'eres', 'ens', 'ere', 'ers', 'ets', 'ene',
+            'et', 'er', 'es', 'en', 'e', 's'],
+          ['gd>g', 'dt>d', 'gt>g', 'kt>k', 'løst>løs']
+        ]
+      },
+      sv: {
+        vowels: 'aeiouyäåö',
+        steps: [
+          ['heterna', 'hetens', 'anden', 'heten', 'heter', 'arnas', 'ernas', 'ornas', 'andes', 'arens',
+            'andet', 'arna', 'erna', 'orna', 'ande', 'arne', 'aste', 'aren', 'ades', 'erns', 'ade', 'are',
+            'ern', 'ens', 'het', 'ast', 'ad', 'en', 'ar', 'er', 'or', 'as', 'es', 'at', 'a', 'e', 's'],
+          ['dd>d', 'gd>g', 'nn>n', 'dt>d', 'gt>g', 'kt>k', 'tt>t', 'fullt>full', 'löst>lös']
+        ]
+      },
+      de: {
+        vowels: 'aeiouyäöü',
+        steps: [
+          ['ern', 'em', 'er', 'en', 'es', 'e', 's'],
+          ['est', 'en', 'er', 'st']
+        ]
+      },
+      es: {
+        vowels: 'aeiouü',
+        foldAccents: true, // "increíble" and "increible" are the same stem
+        steps: [
+          ['ariamos', 'eriamos', 'iriamos', 'abamos', 'aremos', 'eremos', 'iremos', 'ando', 'iendo', 'aban',
+            'aron', 'ieron', 'aran', 'eran', 'iran', 'aria', 'eria', 'iria', 'ados', 'idos', 'adas', 'idas',
+            'aba', 'ado', 'ido', 'ada', 'ida', 'amos', 'emos', 'imos', 'ar', 'er', 'ir', 'an', 'en', 'as',
+            'es', 'os', 'a', 'e', 'o']
+        ]
+      },
+      pt: {
+        vowels: 'aeiouáéíóúâêôãõ',
+        steps: [
+          ['áveis>ável', 'íveis>ível', 'aríamos', 'eríamos', 'iríamos', 'ávamos', 'aremos', 'eremos',
+            'iremos', 'ando', 'endo', 'indo', 'avam', 'aram', 'eram', 'iram', 'ados', 'idos', 'adas', 'idas',
+            'ava', 'ado', 'ido', 'ada', 'ida', 'amos', 'emos', 'imos', 'ar', 'er', 'ir', 'ou', 'am', 'em',
+            'as', 'es', 'os', 'a', 'e', 'o']
+        ]
+      },
+      fr: {
+        vowels: 'aeiouyâàëéêèïîôûù',
+        steps: [
+          ['euses', 'euse', 'eux', 'ives', 'ive', 'ifs', 'if', 'eraient', 'erions', 'eriez', 'erait', 'erais',
+            'erons', 'eront', 'aient', 'erez', 'ions', 'era', 'erai', 'iez', 'ait', 'ais', 'ant', 'ées', 'ée',
+            'és', 'é', 'er', 'ez', 'es', 'e', 's', 'x']
+        ]
+      },
+      se: {
+        vowels: 'aáeiou',
+        steps: [
+          ['iiguin', 'iguin', 'iidda', 'ide', 'iid', 'iin', 'ain', 'ii', 'id', 'in', 'as', 'at']
+        ]
+      },
+      ru: {
+        vowels: 'аеиоуыэюяё',
+        steps: [
+          ['ся', 'сь'],
+          ['ившись', 'ывшись', 'вшись<ая', 'ивши', 'ывши', 'вши<ая', 'ив', 'ыв', 'ими', 'ыми', 'его', 'ого',
+            'ему', 'ому', 'ее', 'ие', 'ые', 'ое', 'ей', 'ий', 'ый', 'ой', 'ем', 'им', 'ым', 'ом', 'их',
+            'ых', 'ую', 'юю', 'ая', 'яя', 'ою', 'ею',
+            // Verb endings: Snowball's group 2, then group 1, which only follows а or я ("знала", not "ужасно")
+            'ила', 'ыла', 'ена', 'ейте', 'уйте', 'ите', 'или', 'ыли', 'ил', 'ыл', 'ен', 'ило', 'ыло', 'ено',
+            'ят', 'ует', 'уют', 'ит', 'ыт', 'ены', 'ить', 'ыть', 'ишь',
+            'ла<ая', 'на<ая', 'ете<ая', 'йте<ая', 'ли<ая', 'ло<ая', 'но<ая', 'ет<ая', 'ют<ая', 'ны<ая',
+            'ть<ая', 'ешь<ая', 'нно<ая',
+            'иями', 'ями', 'ами', 'ией', 'иям', 'ям', 'ием', 'ам', 'ах', 'иях', 'ях', 'ию', 'ью', 'ия',
+            'ья', 'ев', 'ов', 'ье', 'еи', 'ии', 'а', 'е', 'и', 'й', 'о', 'у', 'ы', 'ь', 'ю', 'я'],
+          ['и'],
+          ['нн>н', 'ь']
+        ]
+      },
+      lv: {
+        vowels: 'aāeēiīouū',
+        steps: [
+          ['ākiem', 'ajiem', 'ajām', 'ajam', 'ajās', 'ajos', 'iem', 'ām', 'ās', 'os', 'ai', 'am', 'as',
+            'es', 'is', 'us', 'ēm', 'ēs', 'ij', 'a', 'e', 'i', 'u', 's', 'š', 'ā', 'ē', 'ī', 'ū']
+        ]
+      },
+      et: {
+        vowels: 'aeiouõäöü',
+        steps: [
+          ['dega', 'tega', 'dele', 'tele', 'dest', 'test', 'sse', 'sid', 'ga', 'ta', 'na', 'ks', 'ni',
+            'st', 'le', 'lt', 'de', 'te', 'id', 'ed', 'd', 't', 'l']
+        ]
+      },
+      lt: {
+        vowels: 'aąeęėiįyouųū',
+        steps: [
+          ['iausias', 'iausia', 'iuose', 'esnis', 'esnė', 'iems', 'ioms', 'uose', 'omis', 'ėms', 'ėje',
+            'ams', 'ame', 'ose', 'oms', 'ais', 'iai', 'ių', 'ės', 'us', 'ai', 'as', 'is', 'ys', 'ų', 'ą',
+            'ę', 'į', 'ū', 'ė', 'a', 'e', 'i', 'o', 'u', 's', 'y']
+        ]
+      },
+      pl: {
+        vowels: 'aąeęioóuy',
+        steps: [
+          ['owaniami', 'owaniach', 'ościach', 'ościami', 'owanie', 'owania', 'owaniu', 'iejszy', 'owany',
+            'owana', 'owane', 'ejszy', 'nych', 'ości', 'ość', 'ami', 'ach', 'ego', 'emu', 'ymi', 'imi',
+            'ych', 'ich', 'owi', 'nej', 'nym', 'ów', 'om', 'ej', 'ym', 'im', 'ie', 'ia', 'iu', 'ią', 'ę',
+            'ą', 'a', 'e', 'i', 'y', 'o', 'u']
+        ]
+      }
+    };
+  }
+
+  /**
+   * Most recent stems kept in the cache
+   */
+  static get CACHE_SIZE() {
+    return 5000;
+  }
+
+  constructor() {
+    this.rules = null; // Compiled from RULES on first use
+    this.cache = new Map(); // Recent stems; the same words recur across comments
+  }
+
+  /**
+   * Start of the region after the first non-vowel following a vowel (Snowball's R1; R2 when
+   * started from R1)
+   */
+  static regionStart(word, vowels, from = 0) {
+    for (let i = from + 1; i < word.length; i++) {
+      if (!vowels.includes(word[i]) && vowels.includes(word[i - 1])) return i + 1;
+    }
+    return word.length;
+  }
+
+  /**
+   * Compile the suffix lists: parse replacements and preceding letters and sort each step longest first
+   */
+  compileRules() {
+    const compiled = {};
+
+    for (const [language, { vowels, foldAccents, steps }] of Object.entries(Stemmer.RULES)) {
+      compiled[language] = {
+        vowels,
+        foldAccents: !!foldAccents,
+        steps: steps.map(step => step
+          .map((entry) => {
+            const [rule, after = ''] = entry.split('<');
+            const [suffix, replacement = ''] = rule.split('>');
+            return { suffix, replacement, after };
+          })
+          .sort((a, b) => b.suffix.length - a.suffix.length))
+      };
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Stem of a lowercase word, or the word itself for unsupported languages
+   */
+  stem(word, lang) {
+    if (!word || word.length <= 2) return word;
+
+    const key = `${lang}:${word}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    let stem = word;
+    if (lang === 'en') {
+      stem = this.stemEnglish(word);
+    } else {
+      if (!this.rules) {
+        this.rules = this.compileRules();
+      }
+      if (this.rules[lang]) {
+        stem = this.applyRules(word, this.rules[lang]);
+      }
+    }
+
+    if (this.cache.size >= Stemmer.CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, stem);
+    return stem;
+  }
+
+  /**
+   * Remove the longest suffix in R1 per step (R1 starts at the third letter at the earliest)
+   */
+  applyRules(word, { vowels, foldAccents, steps }) {
+    let stem = foldAccents ? word.normalize('NFD').replace(/[\u0300\u0301\u0302]/g, '').normalize('NFC') : word;
+    const r1 = Math.max(Stemmer.regionStart(stem, vowels), 3);
+
+    steps.forEach((step) => {
+      const match = step.find(({ suffix, after }) => stem.endsWith(suffix) && stem.length - suffix.length >= r1 &&
+        (!after || after.includes(stem[stem.length - suffix.length - 1])));
+      if (match) {
+        stem = stem.slice(0, stem.length - match.suffix.length) + match.replacement;
+      }
+    });
+
+    return stem;
+  }
+
+  /**
+   * English stem: Porter2's step 1 (plurals, -ed and -ing, final y); its derivational steps are left out
+   */
+  stemEnglish(input) {
+    // Words that only look inflected ("goods" isn't "good")
+    const exceptions = {
+      skis: 'ski', skies: 'sky', dying: 'die', lying: 'lie', tying: 'tie', news: 'news', bias: 'bias',
+      goods: 'goods'
+    };
+    if (exceptions[input]) return exceptions[input];
+
+    const vowels = 'aeiouy';
+    const isVowel = char => vowels.includes(char);
+    let word = input.replace(/'s'?$|'$/, '');
+    if (word.length <= 2) return word;
+
+    const prefix = /^(gener|commun|arsen)/.exec(word);
+    const r1 = prefix ? prefix[0].length : Stemmer.regionStart(word, vowels);
+    const endsInShortSyllable = (w) => {
+      const n = w.length;
+      if (n === 2) return isVowel(w[0]) && !isVowel(w[1]);
+      return n > 2 && !isVowel(w[n - 3]) && isVowel(w[n - 2]) && !isVowel(w[n - 1]) && !'wx'.includes(w[n - 1]);
+    };
+    const replace = (suffix, replacement) => {
+      word = word.slice(0, word.length - suffix.length) + replacement;
+    };
+
+    // Step 1a: plurals
+    if (word.endsWith('sses')) {
+      replace('sses', 'ss');
+    } else if (word.endsWith('ied') || word.endsWith('ies')) {
+      replace(word.slice(-3), word.length > 4 ? 'i' : 'ie');
+    } else if (word.endsWith('s') && !word.endsWith('us') && !word.endsWith('ss') && /[aeiouy]/.test(word.slice(0, -2))) {
+      replace('s', '');
+    }
+
+    // Step 1b: -ed and -ing (Porter2's -edly and -ingly are adverbs, so they stay)
+    const step1b = ['eed', 'ing', 'ed'].find(suffix => word.endsWith(suffix));
+    if (step1b === 'eed') {
+      if (word.length - 3 >= r1) replace('eed', 'ee');
+    } else if (step1b && /[aeiouy]/.test(word.slice(0, -step1b.length))) {
+      replace(step1b, '');
+      if (/(at|bl|iz)$/.test(word)) {
+        word += 'e';
+      } else if (/(bb|dd|ff|gg|mm|nn|pp|rr|tt)$/.test(word)) {
+        word = word.slice(0, -1);
+      } else if (endsInShortSyllable(word) && r1 >= word.length) {
+        word += 'e';
+      }
+    }
+
+    // Step 1c: final y after a consonant
+    if (word.length > 2 && /y$/.test(word) && !isVowel(word[word.length - 2])) {
+      replace('y', 'i');
+    }
+
+    return word;
+  }
+}
+
+// Shared stemmer, so rules are compiled and stems cached once
+const stemmer = new Stemmer();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Stemmer = Stemmer;
+  window.stemmer = stemmer;
+}
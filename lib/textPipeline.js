@@ -0,0 +1,157 @@
+/**
+ * textPipeline.js - Shared Unicode-aware text pipeline
+ * Normalization, locale-aware lowercasing, tokenization and sentence splitting used by every
+ * detector, so letters outside ASCII (æøå, umlauts, Cyrillic, Sami, Polish) are handled the same way everywhere.
+ */
+
+class TextPipeline {
+  /**
+   * Characters used as apostrophes, normalized to "'"
+   */
+  static get APOSTROPHES() {
+    return /[‘’ʼ′＇]/g;
+  }
+
+  /**
+   * A word: letters, combining marks and numbers, with inner apostrophes kept ("don't", "aujourd'hui")
+   */
+  static get WORD_PATTERN() {
+    return /[\p{L}\p{M}\p{N}]+(?:'[\p{L}\p{M}\p{N}]+)*/gu;
+  }
+
+  /**
+   * Sentence-ending punctuation, including ellipsis and full-width forms
+   */
+  static get SENTENCE_PATTERN() {
+    return /[.!?…。！？]+/u;
+  }
+
+  /**
+   * Emoji sequences (flags, keycaps, modifiers, ZWJ joins) or else one character with its
+   * combining marks, for splitting graphemes without Intl.Segmenter
+   */
+  static get GRAPHEME_FALLBACK() {
+    return /\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}[\uFE0E\uFE0F\u{1F3FB}-\u{1F3FF}]*(?:\u200D\p{Extended_Pictographic}[\uFE0E\uFE0F\u{1F3FB}-\u{1F3FF}]*)*|\r\n|[\s\S]\p{M}*/gu;
+  }
+
+  /**
+   * Elided articles and pronouns split off their word ("l'homme" -> "le homme"), per language
+   */
+  static get ELISIONS() {
+    return {
+      fr: { c: 'ce', d: 'de', j: 'je', l: 'le', m: 'me', n: 'ne', qu: 'que', s: 'se', t: 'te' }
+    };
+  }
+
+  /**
+   * Unicode-normalize text and unify apostrophes
+   * @param {string} form - 'NFC' keeps the text as written; 'NFKC' also folds compatibility
+   *   forms (full-width letters, ligatures, superscripts) for matching
+   */
+  static normalize(text, form = 'NFC') {
+    if (!text || typeof text !== 'string') return '';
+    return text.normalize(form).replace(this.APOSTROPHES, '\'');
+  }
+
+  /**
+   * Lowercase with the language's rules (e.g. Lithuanian dotted i), or the locale-independent
+   * rules when the language is unknown, so results don't depend on the browser's locale
+   */
+  static lowercase(text, lang) {
+    if (!lang || lang === 'unknown') return text.toLowerCase();
+    try {
+      return text.toLocaleLowerCase(lang);
+    } catch (error) {
+      return text.toLowerCase();
+    }
+  }
+
+  /**
+   * Normalized (NFKC) and lowercased text for matching words and phrases
+   */
+  static prepare(text, lang) {
+    return this.lowercase(this.normalize(text, 'NFKC'), lang);
+  }
+
+  /**
+   * Split text into words, lowercased (token) and as written (original), for rules that
+   * depend on case such as ALL-CAPS emphasis
+   * @param {string} lang - Language code for lowercasing and elision rules, when known
+   * @returns {Array} [{ token, original }]
+   */
+  static tokens(text, lang) {
+    const words = this.normalize(text, 'NFKC').match(this.WORD_PATTERN) || [];
+    const elisions = this.ELISIONS[lang] || {};
+
+    return words.flatMap((original) => {
+      const token = this.lowercase(original, lang);
+      const apostrophe = token.indexOf('\'');
+      const prefix = apostrophe > 0 ? elisions[token.slice(0, apostrophe)] : null;
+      if (!prefix) return [{ token, original }];
+
+      const split = original.indexOf('\'');
+      return [
+        { token: prefix, original: original.slice(0, split) },
+        { token: token.slice(apostrophe + 1), original: original.slice(split + 1) }
+      ];
+    });
+  }
+
+  /**
+   * Split text into lowercase words
+   * @param {string} lang - Language code for lowercasing and elision rules, when known
+   */
+  static tokenize(text, lang) {
+    return this.tokens(text, lang).map(({ token }) => token);
+  }
+
+  /**
+   * Split text into trimmed, non-empty sentences
+   */
+  static sentences(text) {
+    return this.normalize(text)
+      .split(this.SENTENCE_PATTERN)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length > 0);
+  }
+
+  /**
+   * Split text after sentence-ending punctuation followed by whitespace, keeping both, so the
+   * sentences join back into the text ("Bra. Great!" -> ["Bra. ", "Great!"])
+   */
+  static sentenceSpans(text) {
+    if (!text || typeof text !== 'string') return [];
+    return text.split(/(?<=[.!?…。！？]\s+)/u);
+  }
+
+  /**
+   * Split text into user-perceived characters, so an emoji with its skin tone, variation
+   * selector or ZWJ sequence ("👍🏽", "❤️", "👨‍👩‍👧") stays one unit
+   * Falls back to a pattern covering emoji sequences where Intl.Segmenter is unavailable
+   */
+  static graphemes(text) {
+    if (!text || typeof text !== 'string') return [];
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+      if (!this.graphemeSegmenter) {
+        this.graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+      }
+      return Array.from(this.graphemeSegmenter.segment(text), ({ segment }) => segment);
+    }
+    return text.match(this.GRAPHEME_FALLBACK) || [];
+  }
+
+  /**
+   * Text reduced to lowercase letters, numbers and single spaces, for comparing texts
+   */
+  static normalizeForComparison(text, lang) {
+    return this.prepare(text, lang)
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.TextPipeline = TextPipeline;
+}
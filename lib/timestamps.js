@@ -0,0 +1,450 @@
+/**
+ * timestamps.js - Multilingual timestamp normalization
+ * Turns absolute and relative platform dates ("2d", "3 hours ago", "for 2 timer siden",
+ * "vor 5 Minuten", "il y a 3 jours", "1 нед. назад") into epoch values with a precision estimate
+ *
+ * Supported languages match lib/sentiment.js:
+ * - English, Norwegian, German, Spanish, French, Portuguese
+ * - Swedish, Danish, Sami, Russian, Latvian, Estonian, Lithuanian, Polish
+ */
+
+class TimestampParser {
+  /**
+   * Milliseconds per unit (months and years use the Gregorian average)
+   */
+  static get UNIT_MS() {
+    return {
+      second: 1000,
+      minute: 60 * 1000,
+      hour: 60 * 60 * 1000,
+      day: 24 * 60 * 60 * 1000,
+      week: 7 * 24 * 60 * 60 * 1000,
+      month: 2629746000,
+      year: 31556952000
+    };
+  }
+
+  /**
+   * Unit words and abbreviations per unit, across all supported languages
+   * Single letters other than the English compact forms are resolved in getUnit()
+   */
+  static get UNIT_WORDS() {
+    return {
+      second: [
+        's', 'sec', 'secs', 'second', 'seconds',                          // en
+        'sek', 'sekund', 'sekunder', 'sekundet', 'sekunden', 'sekunde',   // no, da, sv, de
+        'seg', 'segundo', 'segundos', 'seconde', 'secondes',              // es, pt, fr
+        'с', 'сек', 'секунда', 'секунду', 'секунды', 'секунд',            // ru
+        'sekundę', 'sekundy', 'sekunda',                                  // pl
+        'sekundes', 'sekundēm', 'sekundi',                                // lv
+        'sekundit',                                                       // et
+        'sekundė', 'sekundžių',                                           // lt
+        'sekundda'                                                        // se
+      ],
+      minute: [
+        'm', 'min', 'mins', 'minute', 'minutes',
+        'minutt', 'minutter', 'minuttet', 'minut', 'minuter', 'minuten',
+        'minuto', 'minutos',
+        'мин', 'минута', 'минуту', 'минуты', 'минут',
+        'minutę', 'minuty', 'minuta',
+        'minūte', 'minūtes', 'minūtēm', 'minūti',
+        'minutit', 'minuti',
+        'minutė', 'minučių',
+        'minuhtta', 'minuhta'
+      ],
+      hour: [
+        'h', 'hr', 'hrs', 'hour', 'hours',
+        'time', 'timer', 'timen', 'tim', 'timme', 'timmar', 'timmen',
+        'std', 'stunde', 'stunden',
+        'hora', 'horas', 'heure', 'heures',
+        'ч', 'час', 'часа', 'часов',
+        'godz', 'godzina', 'godzinę', 'godziny', 'godzin',
+        'st', 'stunda', 'stundas', 'stundām', 'stundu',
+        'tund', 'tundi', 'tunni',
+        'val', 'valanda', 'valandą', 'valandas', 'valandų',
+        'diibmu', 'diimmu', 'diimmuid'
+      ],
+      day: [
+        'd', 'day', 'days',
+        'dag', 'dager', 'dage', 'dagen', 'dagar', 'døgn',
+        'tg', 'tag', 'tage', 'tagen',
+        'día', 'días', 'dia', 'dias', 'j', 'jour', 'jours',
+        'д', 'дн', 'день', 'дня', 'дней',
+        'dzień', 'dni',
+        'diena', 'dienas', 'dienām', 'dienu',
+        'päev', 'päeva', 'päevad',
+        'dieną', 'dienų',
+        'beaivi', 'beaivvi', 'beaivvit'
+      ],
+      week: [
+        'w', 'wk', 'wks', 'week', 'weeks',
+        'u', 'uke', 'uker', 'uken', 'uge', 'uger', 'ugen',
+        'v', 'vecka', 'veckor', 'veckan',
+        'wo', 'woche', 'wochen',
+        'sem', 'semana', 'semanas', 'semaine', 'semaines',
+        'нед', 'неделя', 'неделю', 'недели', 'недель',
+        'tydz', 'tydzień', 'tygodnie', 'tygodni',
+        'ned', 'nedēļa', 'nedēļas', 'nedēļām', 'nedēļu',
+        'näd', 'nädal', 'nädalat', 'nädala',
+        'sav', 'savaitė', 'savaitę', 'savaites', 'savaičių',
+        'vahkku', 'vahku'
+      ],
+      month: [
+        'mo', 'mos', 'mth', 'month', 'months',
+        'mnd', 'md', 'mdr', 'måned', 'måneder', 'måneden',
+        'mån', 'månad', 'månader', 'månaden',
+        'mon', 'monat', 'monate', 'monaten',
+        'mes', 'meses', 'mois', 'mês',
+        'мес', 'месяц', 'месяца', 'месяцев',
+        'mies', 'miesiąc', 'miesiące', 'miesięcy',
+        'mēn', 'mēnesis', 'mēneša', 'mēnešiem', 'mēnesi',
+        'kuu', 'kuud',
+        'mėn', 'mėnuo', 'mėnesį', 'mėnesius', 'mėnesių',
+        'mánnu', 'mánu'
+      ],
+      year: [
+        'y', 'yr', 'yrs', 'year', 'years',
+        'år', 'året', 'årene',
+        'j', 'jahr', 'jahre', 'jahren',
+        'año', 'años', 'an', 'ans', 'année', 'années', 'ano', 'anos',
+        'г', 'год', 'года', 'лет',
+        'r', 'rok', 'roku', 'lata', 'lat',
+        'g', 'gads', 'gada', 'gadu', 'gadus', 'gadiem',
+        'aasta', 'aastat',
+        'metai', 'metus', 'metų',
+        'jahki', 'jagi', 'jagit'
+      ]
+    };
+  }
+
+  /**
+   * Words marking a relative time as being in the past ("ago", "siden", "vor", "назад", ...)
+   */
+  static get AGO_MARKERS() {
+    return [
+      'ago', 'siden', 'sedan', 'vor', 'hace', 'il', 'há', 'ha', 'назад', 'temu',
+      'pirms', 'tagasi', 'prieš', 'áigi', 'dassái'
+    ];
+  }
+
+  /**
+   * Articles and number words meaning "one" ("an hour ago", "vor einem Tag", "il y a un an")
+   */
+  static get ONE_WORDS() {
+    return [
+      'a', 'an', 'one', 'en', 'ett', 'et', 'ei', 'ein', 'eine', 'einem', 'einer', 'einen',
+      'un', 'una', 'une', 'um', 'uma', 'один', 'одна', 'одну', 'jeden', 'jedna', 'jedno',
+      'viens', 'viena', 'üks', 'ühe', 'vienas', 'vieną', 'okta'
+    ];
+  }
+
+  /**
+   * Phrases for "just now" and "yesterday"
+   */
+  static get SPECIAL_PHRASES() {
+    return {
+      now: [
+        'now', 'just now', 'nå', 'akkurat nå', 'nettopp', 'nu', 'lige nu', 'just nu', 'jetzt',
+        'gerade eben', 'ahora', 'ahora mismo', 'maintenant', "à l'instant", 'agora', 'сейчас',
+        'только что', 'teraz', 'przed chwilą', 'tikko', 'just nüüd', 'nüüd', 'ką tik', 'dál'
+      ],
+      yesterday: [
+        'yesterday', 'i går', 'igår', 'gestern', 'ayer', 'hier', 'ontem', 'вчера', 'wczoraj',
+        'vakar', 'eile', 'ikte'
+      ]
+    };
+  }
+
+  /**
+   * Month names (index 0-11) across all supported languages
+   */
+  static get MONTH_NAMES() {
+    return [
+      ['january', 'januar', 'januari', 'enero', 'janvier', 'janeiro', 'января', 'январь', 'stycznia', 'styczeń', 'janvāris', 'jaanuar', 'sausio', 'sausis', 'ođđajagemánnu'],
+      ['february', 'februar', 'februari', 'febrero', 'février', 'fevereiro', 'февраля', 'февраль', 'lutego', 'luty', 'februāris', 'veebruar', 'vasario', 'vasaris', 'guovvamánnu'],
+      ['march', 'mars', 'marts', 'märz', 'marzo', 'março', 'марта', 'март', 'marca', 'marzec', 'märts', 'kovo', 'kovas', 'njukčamánnu'],
+      ['april', 'abril', 'avril', 'апреля', 'апрель', 'kwietnia', 'kwiecień', 'aprīlis', 'aprill', 'balandžio', 'balandis', 'cuoŋománnu'],
+      ['may', 'mai', 'maj', 'mayo', 'maio', 'мая', 'май', 'maja', 'maijs', 'gegužės', 'gegužė', 'miessemánnu'],
+      ['june', 'juni', 'junio', 'juin', 'junho', 'июня', 'июнь', 'czerwca', 'czerwiec', 'jūnijs', 'juuni', 'birželio', 'birželis', 'geassemánnu'],
+      ['july', 'juli', 'julio', 'juillet', 'julho', 'июля', 'июль', 'lipca', 'lipiec', 'jūlijs', 'juuli', 'liepos', 'liepa', 'suoidnemánnu'],
+      ['august', 'augusti', 'agosto', 'août', 'августа', 'август', 'sierpnia', 'sierpień', 'augusts', 'rugpjūčio', 'rugpjūtis', 'borgemánnu'],
+      ['september', 'septiembre', 'setiembre', 'septembre', 'setembro', 'сентября', 'сентябрь', 'września', 'wrzesień', 'septembris', 'rugsėjo', 'rugsėjis', 'čakčamánnu'],
+      ['october', 'oktober', 'octubre', 'octobre', 'outubro', 'октября', 'октябрь', 'października', 'październik', 'oktobris', 'oktoober', 'spalio', 'spalis', 'golggotmánnu'],
+      ['november', 'noviembre', 'novembre', 'novembro', 'ноября', 'ноябрь', 'listopada', 'listopad', 'novembris', 'lapkričio', 'lapkritis', 'skábmamánnu'],
+      ['december', 'desember', 'dezember', 'diciembre', 'décembre', 'dezembro', 'декабря', 'декабрь', 'grudnia', 'grudzień', 'decembris', 'detsember', 'gruodžio', 'gruodis', 'juovlamánnu']
+    ];
+  }
+
+  /**
+   * Build (once) the token -> unit lookup
+   */
+  static getUnitLookup() {
+    if (!this.unitLookup) {
+      this.unitLookup = new Map();
+      for (const [unit, words] of Object.entries(this.UNIT_WORDS)) {
+        words.forEach((word) => {
+          if (!this.unitLookup.has(word)) {
+            this.unitLookup.set(word, unit);
+          }
+        });
+      }
+    }
+    return this.unitLookup;
+  }
+
+  /**
+   * Build (once) the month prefixes: every name plus its shortest prefix (3+ letters)
+   * that no month name of a different month shares
+   */
+  static getMonthPrefixes() {
+    if (!this.monthPrefixes) {
+      const names = this.MONTH_NAMES.flatMap((list, month) => list.map(name => ({ name, month })));
+      const reserved = new Set([...this.AGO_MARKERS, ...this.getUnitLookup().keys()]);
+      this.monthPrefixes = [];
+
+      names.forEach(({ name, month }) => {
+        for (let length = 3; length <= name.length; length++) {
+          const prefix = name.slice(0, length);
+          const ambiguous = names.some(other => other.month !== month && other.name.startsWith(prefix));
+          if (!ambiguous && !reserved.has(prefix)) {
+            this.monthPrefixes.push({ prefix, month });
+            break;
+          }
+        }
+      });
+    }
+    return this.monthPrefixes;
+  }
+
+  /**
+   * Resolve a token to a time unit, using the language hint for ambiguous letters
+   * ("t" is an hour in Norwegian/Danish/Estonian but a day in German, "j" a day in French but a year in German)
+   */
+  static getUnit(token, lang) {
+    if (token === 't') return lang === 'de' ? 'day' : 'hour';
+    if (token === 'j') return lang === 'de' ? 'year' : 'day';
+    if (token === 'm' && lang === 'lt') return 'year';
+    return this.getUnitLookup().get(token) || null;
+  }
+
+  /**
+   * Resolve a token to a month index (0-11) or -1
+   */
+  static getMonth(token) {
+    if (token.length < 3) return -1;
+    const entry = this.getMonthPrefixes().find(({ prefix }) => token.startsWith(prefix));
+    return entry ? entry.month : -1;
+  }
+
+  /**
+   * Split a time string into lowercase tokens, separating compact forms like "2d" or "3hr"
+   */
+  static tokenize(text) {
+    return text
+      .toLowerCase()
+      .replace(/(\d)(\p{L})/gu, '$1 $2')
+      .replace(/[^\p{L}\p{N}':\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(token => token.length > 0);
+  }
+
+  /**
+   * Parse a single time value
+   * @param {string|number} value - Raw value (datetime attribute, title tooltip or visible text)
+   * @param {Object} options - { now, lang }
+   * @returns {Object|null} { timestamp, precision, kind, raw } where precision is the uncertainty in ms
+   */
+  static parse(value, options = {}) {
+    if (value === null || value === undefined) return null;
+
+    const raw = String(value).trim();
+    if (raw.length === 0) return null;
+
+    const now = options.now || Date.now();
+
+    return this.parseEpoch(raw) ||
+           this.parseIso(raw) ||
+           this.parseRelative(raw, now, options.lang) ||
+           this.parseAbsolute(raw, now, options.lang);
+  }
+
+  /**
+   * Parse several candidate values and keep the most precise result
+   */
+  static parseBest(values, options = {}) {
+    return values
+      .map(value => this.parse(value, options))
+      .filter(Boolean)
+      .reduce((best, result) => (!best || result.precision < best.precision) ? result : best, null);
+  }
+
+  /**
+   * Parse the time shown inside an element, preferring <time datetime> attributes and title tooltips
+   */
+  static fromElement(element, options = {}) {
+    if (!element || !element.querySelectorAll) return null;
+
+    const candidates = [];
+    const timeElements = [element, ...element.querySelectorAll('time, [datetime], [title]')];
+
+    timeElements.forEach((el) => {
+      ['datetime', 'title'].forEach((attr) => {
+        const value = el.getAttribute && el.getAttribute(attr);
+        if (value) candidates.push(value);
+      });
+      if (el.tagName === 'TIME') {
+        candidates.push(el.textContent);
+      }
+    });
+
+    return this.parseBest(candidates, options);
+  }
+
+  /**
+   * Epoch seconds or milliseconds
+   */
+  static parseEpoch(raw) {
+    if (!/^\d{9,13}(\.\d+)?$/.test(raw)) return null;
+
+    const number = parseFloat(raw);
+    const timestamp = number < 1e12 ? number * 1000 : number;
+    return { timestamp, precision: this.UNIT_MS.second, kind: 'absolute', raw };
+  }
+
+  /**
+   * ISO 8601 / RFC 2822 style machine dates (datetime attributes, data attributes)
+   */
+  static parseIso(raw) {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(raw) && !/^\w{3}, \d{1,2} \w{3} \d{4}/.test(raw)) return null;
+
+    const timestamp = Date.parse(raw);
+    if (isNaN(timestamp)) return null;
+
+    const hasTime = /\d{1,2}:\d{2}/.test(raw);
+    const hasSeconds = /\d{1,2}:\d{2}:\d{2}/.test(raw);
+    const precision = hasSeconds ? this.UNIT_MS.second : (hasTime ? this.UNIT_MS.minute : this.UNIT_MS.day);
+    return { timestamp, precision, kind: 'absolute', raw };
+  }
+
+  /**
+   * Relative times: "2d", "3 hours ago", "for 2 timer siden", "vor 5 Minuten", "il y a 3 jours",
+   * "1 нед. назад", "month ago", "just now", "yesterday"
+   */
+  static parseRelative(raw, now, lang) {
+    const lower = raw.toLowerCase().replace(/\s+/g, ' ').trim();
+    const phrases = this.SPECIAL_PHRASES;
+
+    if (phrases.now.some(phrase => lower === phrase || lower.startsWith(`${phrase} `))) {
+      return { timestamp: now, precision: this.UNIT_MS.minute, kind: 'relative', raw };
+    }
+    if (phrases.yesterday.some(phrase => lower === phrase || lower.startsWith(`${phrase} `))) {
+      return { timestamp: now - this.UNIT_MS.day, precision: this.UNIT_MS.day, kind: 'relative', raw };
+    }
+
+    const tokens = this.tokenize(raw);
+    const hasAgoMarker = tokens.some(token => this.AGO_MARKERS.includes(token));
+    const isCompact = tokens.length <= 3;
+    if (!hasAgoMarker && !isCompact) return null;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const unit = this.getUnit(tokens[i], lang);
+      if (!unit) continue;
+
+      const previous = tokens[i - 1];
+      let count = null;
+
+      if (previous !== undefined && /^\d+$/.test(previous)) {
+        count = parseInt(previous, 10);
+      } else if (previous !== undefined && this.ONE_WORDS.includes(previous)) {
+        count = 1;
+      } else if (tokens[i].length > 1 && [previous, tokens[i + 1]].some(token => this.AGO_MARKERS.includes(token))) {
+        // Implied one next to the marker: "месяц назад", "год назад"
+        count = 1;
+      }
+
+      if (count === null) continue;
+
+      const unitMs = this.UNIT_MS[unit];
+      return { timestamp: now - count * unitMs, precision: unitMs, kind: 'relative', raw };
+    }
+
+    return null;
+  }
+
+  /**
+   * Absolute human dates: "5. januar 2024", "Jan 5, 2024", "5 de enero de 2024", "12.03.2024 14:05",
+   * "03/12/2024" (month first only for English)
+   */
+  static parseAbsolute(raw, now, lang) {
+    const timeMatch = raw.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?/i);
+    let hours = 0;
+    let minutes = 0;
+    let seconds = 0;
+    if (timeMatch) {
+      hours = parseInt(timeMatch[1], 10) % 24;
+      minutes = parseInt(timeMatch[2], 10);
+      seconds = timeMatch[3] ? parseInt(timeMatch[3], 10) : 0;
+      const meridiem = timeMatch[4] && timeMatch[4].toLowerCase();
+      if (meridiem === 'pm' && hours < 12) hours += 12;
+      if (meridiem === 'am' && hours === 12) hours = 0;
+    }
+    const withoutTime = timeMatch ? raw.replace(timeMatch[0], ' ') : raw;
+    const timePrecision = timeMatch
+      ? (timeMatch[3] ? this.UNIT_MS.second : this.UNIT_MS.minute)
+      : this.UNIT_MS.day;
+
+    const build = (year, month, day, precision) => {
+      if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+      const date = new Date(year, month, day, hours, minutes, seconds);
+      if (isNaN(date.getTime()) || date.getDate() !== day) return null;
+      return { timestamp: date.getTime(), precision, kind: 'absolute', raw };
+    };
+
+    // Numeric dates
+    const numeric = withoutTime.match(/(\d{1,4})[./-](\d{1,2})[./-](\d{2,4})/);
+    if (numeric) {
+      let [, first, second, third] = numeric.map(Number);
+      if (String(numeric[1]).length === 4) {
+        return build(first, second - 1, third, timePrecision);
+      }
+      if (third < 100) third += 2000;
+      const monthFirst = lang === 'en' && numeric[0].includes('/');
+      return monthFirst
+        ? build(third, first - 1, second, timePrecision)
+        : build(third, second - 1, first, timePrecision);
+    }
+
+    // Dates with month names
+    const tokens = this.tokenize(withoutTime);
+    const monthIndex = tokens.findIndex(token => this.getMonth(token) !== -1);
+    if (monthIndex === -1) return null;
+
+    const month = this.getMonth(tokens[monthIndex]);
+    const numbers = tokens
+      .map((token, index) => ({ value: /^\d+$/.test(token) ? parseInt(token, 10) : null, index }))
+      .filter(entry => entry.value !== null);
+    const yearEntry = numbers.find(entry => entry.value >= 1000);
+    const dayEntry = numbers
+      .filter(entry => entry.value >= 1 && entry.value <= 31)
+      .sort((a, b) => Math.abs(a.index - monthIndex) - Math.abs(b.index - monthIndex))[0];
+
+    const currentYear = new Date(now).getFullYear();
+    const year = yearEntry ? yearEntry.value : currentYear;
+
+    if (!dayEntry) {
+      return yearEntry ? build(year, month, 1, this.UNIT_MS.month) : null;
+    }
+
+    const result = build(year, month, dayEntry.value, timePrecision);
+    // Dates without a year that would lie in the future belong to last year
+    if (result && !yearEntry && result.timestamp > now + this.UNIT_MS.day) {
+      return build(year - 1, month, dayEntry.value, timePrecision);
+    }
+    return result;
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.TimestampParser = TimestampParser;
+}
@@ -0,0 +1,513 @@
+/**
+ * toxicity.js - Insult, identity attack, profanity, threat and sexual harassment detection
+ * Per-language lexicons with a severity tier per entry (1 mild, 2 moderate, 3 severe), matched by
+ * token and stem like the sentiment lexicons. Terms aimed at another commenter ("you are an idiot",
+ * "du er en idiot") weigh more, threat verbs only count when aimed at someone ("I'll kill you"),
+ * and masked or leetspeak spellings ("f*ck", "sh!t", "id10t") are resolved before matching; masks
+ * hiding too much to tell the word ("s***") count as mild profanity.
+ */
+
+class ToxicityAnalyzer {
+  constructor() {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      TOXICITY: { TARGET_WINDOW: 3, TARGET_MULTIPLIER: 1.5, SCORE_SCALE: 4.5, MODERATE: 0.4, SEVERE: 0.8 }
+    };
+    this.limits = config.TOXICITY;
+
+    // Phrase matchers per language, built on first use
+    this.matchers = {};
+  }
+
+  /**
+   * Categories reported, in display order
+   */
+  static get CATEGORIES() {
+    return ['insult', 'identityAttack', 'profanity', 'threat', 'sexual'];
+  }
+
+  /**
+   * Categories whose English entries are also matched in every other language, since English
+   * swearing is common in comments written in other languages ("du er en fucking idiot")
+   */
+  static get SHARED_CATEGORIES() {
+    return ['profanity'];
+  }
+
+  /**
+   * Leetspeak characters and the letters they stand for
+   */
+  static get LEET() {
+    return { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 6: 'g', 7: 't', 8: 'b', 9: 'g', '@': 'a', $: 's', '!': 'i', '|': 'l' };
+  }
+
+  /**
+   * Characters used to mask letters ("f***", "f#ck")
+   */
+  static get MASK_PATTERN() {
+    return /[*#]/u;
+  }
+
+  /**
+   * Entry for a masked word that could be several lexicon words, or has too few letters visible
+   * to tell which ("s***" could be "shit", "slut" or "scum")
+   */
+  static get AMBIGUOUS_MASK() {
+    return { category: 'profanity', tier: 1, needsTarget: false };
+  }
+
+  /**
+   * Per language: second-person words that aim a term at someone, and the terms of each
+   * category with their tier. threatVerbs are threats only when a second-person word follows
+   * them ("kill you"), or also precedes them where object pronouns come first (objectBefore:
+   * "te voy a matar", "je vais te tuer")
+   */
+  static get LEXICONS() {
+    return {
+      // English
+      en: {
+        secondPerson: ['you', 'your', 'yours', 'yourself', 'yourselves', 'you\'re', 'youre', 'u', 'ur', 'ya', 'y\'all', 'yall'],
+        insult: {
+          'idiot': 2, 'moron': 2, 'imbecile': 2, 'stupid': 1, 'dumb': 1, 'dumbass': 2, 'loser': 2, 'clown': 1,
+          'pathetic': 1, 'jerk': 1, 'scum': 2, 'trash': 1, 'worthless': 2, 'retard': 3, 'asshole': 2,
+          'piece of shit': 3, 'waste of space': 2, 'shut up': 1
+        },
+        identityAttack: {
+          'subhuman': 3, 'vermin': 3, 'parasites': 2, 'cockroaches': 3, 'degenerates': 2, 'invaders': 2,
+          'inferior race': 3, 'go back to your country': 3, 'go back where you came from': 3, 'your kind': 2,
+          'should be deported': 2, 'faggot': 3, 'nigger': 3, 'tranny': 3, 'kike': 3, 'chink': 3, 'wetback': 3,
+          'raghead': 3, 'towelhead': 3
+        },
+        profanity: {
+          'fuck': 2, 'fucking': 2, 'motherfucker': 3, 'shit': 1, 'bullshit': 1, 'damn': 1, 'crap': 1,
+          'bitch': 2, 'bastard': 2, 'dick': 2, 'cunt': 3, 'piss': 1, 'wtf': 1, 'stfu': 2
+        },
+        threat: {
+          'kill yourself': 3, 'kys': 3, 'i know where you live': 3, 'watch your back': 2, 'you will pay': 2,
+          'you should die': 3, 'hope you die': 3, 'deserve to die': 3
+        },
+        threatVerbs: {
+          'kill': 3, 'murder': 3, 'shoot': 3, 'stab': 3, 'strangle': 3, 'rape': 3, 'hurt': 2, 'beat up': 2, 'punch': 2
+        },
+        sexual: {
+          'slut': 3, 'whore': 3, 'send nudes': 2, 'suck my': 3, 'dick pic': 2, 'tits': 2, 'horny': 1
+        }
+      },
+      // Norwegian (Bokmål)
+      no: {
+        secondPerson: ['du', 'deg', 'din', 'ditt', 'dine', 'dere', 'deres'],
+        insult: {
+          'idiot': 2, 'dust': 2, 'tosk': 1, 'dum': 1, 'taper': 2, 'kødd': 2, 'evneveik': 3, 'drittsekk': 3,
+          'søppel': 1, 'hold kjeft': 1
+        },
+        identityAttack: {
+          'undermennesker': 3, 'parasitter': 2, 'kakerlakker': 3, 'reis hjem til ditt eget land': 3, 'sånne som deg': 2
+        },
+        profanity: { 'faen': 2, 'jævla': 2, 'helvete': 1, 'dritt': 1, 'satan': 1, 'fitte': 3, 'kuk': 2, 'pikk': 2 },
+        threat: { 'jeg vet hvor du bor': 3, 'ta livet av deg selv': 3, 'drep deg selv': 3, 'du skal få betale': 2 },
+        threatVerbs: { 'drepe': 3, 'skyte': 3, 'knivstikke': 3, 'voldta': 3, 'banke': 2, 'skade': 2 },
+        sexual: { 'hore': 3, 'ludder': 3, 'send nakenbilder': 2 }
+      },
+      // German
+      de: {
+        secondPerson: ['du', 'dich', 'dir', 'dein', 'deine', 'deinen', 'deiner', 'ihr', 'euch', 'euer'],
+        insult: {
+          'idiot': 2, 'vollidiot': 3, 'depp': 1, 'dumm': 1, 'blöd': 1, 'trottel': 2, 'arschloch': 3, 'wichser': 3,
+          'missgeburt': 3, 'spast': 3, 'versager': 2, 'halt die klappe': 1
+        },
+        identityAttack: {
+          'untermenschen': 3, 'ungeziefer': 3, 'parasiten': 2, 'kakerlaken': 3, 'abschaum': 3,
+          'geh zurück in dein land': 3, 'leute wie du': 2
+        },
+        profanity: { 'scheiße': 1, 'scheisse': 1, 'verdammt': 1, 'kacke': 1, 'fick': 2, 'ficken': 2, 'fotze': 3, 'schwanz': 2 },
+        threat: { 'ich weiß wo du wohnst': 3, 'bring dich um': 3, 'du wirst bezahlen': 2 },
+        threatVerbs: { 'töten': 3, 'umbringen': 3, 'erschießen': 3, 'abstechen': 3, 'vergewaltigen': 3, 'schlagen': 2, 'verprügeln': 2 },
+        sexual: { 'hure': 3, 'schlampe': 3, 'nutte': 3, 'nacktbilder': 2 }
+      },
+      // Spanish
+      es: {
+        secondPerson: ['tú', 'tu', 'te', 'ti', 'tus', 'eres', 'estás', 'usted', 'vosotros', 'ustedes'],
+        objectBefore: true,
+        insult: {
+          'idiota': 2, 'imbécil': 2, 'estúpido': 1, 'tonto': 1, 'pendejo': 2, 'gilipollas': 3, 'cabrón': 2,
+          'subnormal': 3, 'inútil': 1, 'basura': 1, 'cállate': 1
+        },
+        identityAttack: {
+          'subhumanos': 3, 'parásitos': 2, 'cucarachas': 3, 'alimañas': 3, 'escoria': 3, 'vuelve a tu país': 3,
+          'los de tu calaña': 2
+        },
+        profanity: { 'mierda': 1, 'joder': 2, 'coño': 2, 'carajo': 1, 'hostia': 1, 'verga': 2, 'puta': 2 },
+        threat: { 'sé dónde vives': 3, 'mátate': 3, 'vas a pagar': 2 },
+        threatVerbs: { 'matar': 3, 'disparar': 3, 'apuñalar': 3, 'violar': 3, 'golpear': 2 },
+        sexual: { 'puta': 3, 'zorra': 3, 'manda nudes': 2 }
+      },
+      // French
+      fr: {
+        secondPerson: ['tu', 'toi', 'te', 'ton', 'ta', 'tes', 'vous', 'votre', 'vos'],
+        objectBefore: true,
+        insult: {
+          'idiot': 2, 'imbécile': 2, 'crétin': 2, 'débile': 2, 'connard': 3, 'conne': 3, 'con': 2, 'abruti': 2,
+          'nul': 1, 'bouffon': 1, 'ta gueule': 2
+        },
+        identityAttack: {
+          'sous-hommes': 3, 'vermine': 3, 'parasites': 2, 'cafards': 3, 'racaille': 2, 'rentre dans ton pays': 3,
+          'les gens comme toi': 2
+        },
+        profanity: { 'merde': 1, 'putain': 2, 'bordel': 1, 'chier': 1, 'foutre': 2, 'enculé': 3 },
+        threat: { 'je sais où tu habites': 3, 'crève': 3, 'tu vas payer': 2 },
+        threatVerbs: { 'tuer': 3, 'buter': 3, 'égorger': 3, 'poignarder': 3, 'violer': 3, 'frapper': 2 },
+        sexual: { 'salope': 3, 'pute': 3, 'envoie des nudes': 2 }
+      },
+      // Portuguese
+      pt: {
+        secondPerson: ['tu', 'te', 'ti', 'teu', 'tua', 'você', 'vocês', 'és', 'seu', 'sua'],
+        objectBefore: true,
+        insult: {
+          'idiota': 2, 'imbecil': 2, 'estúpido': 1, 'burro': 1, 'otário': 2, 'babaca': 2, 'cretino': 2,
+          'retardado': 3, 'lixo': 1, 'cala a boca': 1
+        },
+        identityAttack: {
+          'sub-humanos': 3, 'parasitas': 2, 'baratas': 3, 'escória': 3, 'volta para o teu país': 3,
+          'gente como você': 2
+        },
+        profanity: { 'merda': 1, 'porra': 2, 'caralho': 2, 'foda-se': 2, 'cacete': 1, 'puta': 2 },
+        threat: { 'sei onde moras': 3, 'sei onde você mora': 3, 'mata-te': 3, 'vais pagar': 2 },
+        threatVerbs: { 'matar': 3, 'esfaquear': 3, 'estuprar': 3, 'atirar': 3, 'bater': 2 },
+        sexual: { 'puta': 3, 'vadia': 3, 'manda nudes': 2 }
+      },
+      // Swedish
+      sv: {
+        secondPerson: ['du', 'dig', 'din', 'ditt', 'dina', 'ni', 'er', 'era'],
+        insult: {
+          'idiot': 2, 'dumskalle': 2, 'dum': 1, 'korkad': 1, 'pucko': 2, 'mongo': 3, 'förlorare': 2, 'rövhål': 3,
+          'håll käften': 1
+        },
+        identityAttack: { 'undermänniskor': 3, 'parasiter': 2, 'kackerlackor': 3, 'åk hem till ditt land': 3, 'sådana som du': 2 },
+        profanity: { 'fan': 2, 'jävla': 2, 'helvete': 1, 'skit': 1, 'kuk': 2, 'fitta': 3 },
+        threat: { 'jag vet var du bor': 3, 'ta livet av dig': 3, 'du ska få betala': 2 },
+        threatVerbs: { 'döda': 3, 'skjuta': 3, 'knivhugga': 3, 'våldta': 3, 'slå': 2 },
+        sexual: { 'hora': 3, 'slampa': 3, 'skicka nakenbilder': 2 }
+      },
+      // Danish
+      da: {
+        secondPerson: ['du', 'dig', 'din', 'dit', 'dine', 'jer', 'jeres'],
+        insult: {
+          'idiot': 2, 'dum': 1, 'tåbe': 2, 'fjols': 1, 'spasser': 3, 'taber': 2, 'røvhul': 3, 'hold kæft': 1
+        },
+        identityAttack: { 'undermennesker': 3, 'parasitter': 2, 'kakerlakker': 3, 'tag hjem til dit eget land': 3, 'sådan nogle som dig': 2 },
+        profanity: { 'fanden': 2, 'fandme': 2, 'lort': 1, 'pis': 1, 'helvede': 1, 'kneppe': 2, 'fisse': 3, 'pik': 2 },
+        threat: { 'jeg ved hvor du bor': 3, 'slå dig selv ihjel': 3, 'du skal få betalt': 2 },
+        threatVerbs: { 'dræbe': 3, 'skyde': 3, 'knivstikke': 3, 'voldtage': 3, 'tæve': 2 },
+        sexual: { 'luder': 3, 'send nøgenbilleder': 2 }
+      },
+      // Northern Sami (Davvisámegiella)
+      se: {
+        secondPerson: ['don', 'du', 'dus', 'dutnje', 'dii', 'din', 'didjiide'],
+        insult: { 'jalla': 2, 'jallas': 2 },
+        identityAttack: {},
+        profanity: { 'bearggalas': 1 },
+        threat: {},
+        threatVerbs: { 'goddit': 3, 'časkit': 2 },
+        sexual: {}
+      },
+      // Russian
+      ru: {
+        secondPerson: ['ты', 'тебя', 'тебе', 'тобой', 'твой', 'твоя', 'твои', 'вы', 'вас', 'вам', 'ваш'],
+        objectBefore: true,
+        insult: {
+          'идиот': 2, 'дурак': 1, 'дебил': 2, 'тупой': 1, 'кретин': 2, 'придурок': 2, 'урод': 3, 'ничтожество': 2,
+          'мразь': 3, 'чмо': 3, 'заткнись': 1
+        },
+        identityAttack: {
+          'недочеловеки': 3, 'нелюди': 3, 'паразиты': 2, 'тараканы': 3, 'убирайся в свою страну': 3, 'такие как ты': 2,
+          'пидор': 3, 'пидорас': 3, 'хач': 3, 'жид': 3
+        },
+        profanity: { 'блять': 2, 'бля': 2, 'сука': 2, 'хуй': 3, 'нахуй': 3, 'пиздец': 2, 'ебать': 3, 'говно': 1 },
+        threat: { 'я знаю где ты живешь': 3, 'убей себя': 3, 'ты заплатишь': 2 },
+        threatVerbs: { 'убить': 3, 'убью': 3, 'зарежу': 3, 'застрелить': 3, 'изнасиловать': 3, 'избить': 2 },
+        sexual: { 'шлюха': 3, 'проститутка': 2, 'скинь нюдсы': 2 }
+      },
+      // Latvian (Latviešu)
+      lv: {
+        secondPerson: ['tu', 'tevi', 'tev', 'tavs', 'tava', 'jūs', 'jūsu'],
+        insult: { 'idiots': 2, 'muļķis': 1, 'dumjš': 1, 'stulbs': 1, 'kretīns': 2, 'debils': 2, 'mērglis': 2, 'nelietis': 2 },
+        identityAttack: { 'parazīti': 2, 'prusaki': 3, 'brauc atpakaļ uz savu valsti': 3 },
+        profanity: { 'sūds': 1, 'dirsa': 2, 'pimpis': 2, 'bļaģ': 2, 'pizģec': 2 },
+        threat: { 'es zinu kur tu dzīvo': 3, 'nogalini sevi': 3 },
+        threatVerbs: { 'nogalināt': 3, 'nošaut': 3, 'nosist': 3, 'izvarot': 3, 'sist': 2 },
+        sexual: { 'mauka': 3, 'prostitūta': 2 }
+      },
+      // Estonian (Eesti)
+      et: {
+        secondPerson: ['sa', 'sina', 'sind', 'sinu', 'sulle', 'te', 'teie', 'teid'],
+        insult: { 'idioot': 2, 'loll': 1, 'rumal': 1, 'debiilik': 2, 'kretiin': 2, 'tola': 1, 'luuser': 2, 'mölakas': 2 },
+        identityAttack: { 'alaminimesed': 3, 'parasiidid': 2, 'prussakad': 3, 'mine tagasi oma riiki': 3 },
+        profanity: { 'perse': 2, 'kurat': 1, 'raisk': 1, 'sitt': 1, 'türa': 3 },
+        threat: { 'ma tean kus sa elad': 3, 'tapa ennast': 3 },
+        threatVerbs: { 'tappa': 3, 'tapan': 3, 'vägistada': 3, 'peksta': 2 },
+        sexual: { 'lits': 3, 'hoor': 3 }
+      },
+      // Lithuanian (Lietuvių)
+      lt: {
+        secondPerson: ['tu', 'tave', 'tau', 'tavo', 'jūs', 'jus', 'jūsų'],
+        insult: { 'idiotas': 2, 'kvailys': 1, 'durnius': 2, 'debilas': 2, 'kretinas': 2, 'asilas': 1, 'nevykėlis': 2 },
+        identityAttack: { 'nežmonės': 3, 'parazitai': 2, 'tarakonai': 3, 'grįžk į savo šalį': 3 },
+        profanity: { 'šūdas': 1, 'blet': 2, 'bybis': 3, 'pyzda': 3 },
+        threat: { 'žinau kur tu gyveni': 3, 'nusižudyk': 3 },
+        threatVerbs: { 'nužudyti': 3, 'užmušti': 3, 'nušauti': 3, 'išprievartauti': 3, 'sumušti': 2 },
+        sexual: { 'kekšė': 3, 'prostitutė': 2 }
+      },
+      // Polish (Polski)
+      pl: {
+        secondPerson: ['ty', 'ciebie', 'cię', 'tobie', 'ci', 'twój', 'twoja', 'twoje', 'wy', 'was', 'jesteś'],
+        insult: {
+          'idiota': 2, 'debil': 2, 'kretyn': 2, 'głupi': 1, 'dureń': 1, 'palant': 2, 'śmieć': 2, 'gnida': 3,
+          'zamknij się': 1
+        },
+        identityAttack: { 'podludzie': 3, 'pasożyty': 2, 'karaluchy': 3, 'robactwo': 3, 'wracaj do swojego kraju': 3 },
+        profanity: { 'kurwa': 2, 'cholera': 1, 'chuj': 3, 'pierdolić': 3, 'jebać': 3, 'gówno': 1, 'kutas': 2 },
+        threat: { 'wiem gdzie mieszkasz': 3, 'zabij się': 3, 'zapłacisz za to': 2 },
+        threatVerbs: { 'zabić': 3, 'zabiję': 3, 'zastrzelić': 3, 'zgwałcić': 3, 'dźgnąć': 3, 'pobić': 2 },
+        sexual: { 'dziwka': 3, 'szmata': 3, 'wyślij nudesy': 2 }
+      }
+    };
+  }
+
+  /**
+   * Phrase matcher over a language's terms, plus the shared English categories
+   * Unknown languages use the English lexicon
+   * @returns {Object} { matcher, entries: Map phrase -> [{ category, tier, needsTarget }],
+   *   words: single-word phrases (for unmasking), secondPerson: Set, objectBefore }
+   */
+  getMatcher(lang) {
+    const key = ToxicityAnalyzer.LEXICONS[lang] ? lang : 'en';
+    if (!this.matchers[key]) {
+      const lexicon = ToxicityAnalyzer.LEXICONS[key];
+      const entries = new Map();
+      const add = (terms, category, needsTarget) => {
+        Object.entries(terms).forEach(([term, tier]) => {
+          const phrase = TextPipeline.tokenize(term, key).join(' ');
+          entries.set(phrase, [...(entries.get(phrase) || []), { category, tier, needsTarget }]);
+        });
+      };
+
+      ToxicityAnalyzer.CATEGORIES.forEach(category => add(lexicon[category] || {}, category, false));
+      add(lexicon.threatVerbs || {}, 'threat', true);
+      if (key !== 'en') {
+        ToxicityAnalyzer.SHARED_CATEGORIES.forEach(category => add(ToxicityAnalyzer.LEXICONS.en[category], category, false));
+      }
+
+      this.matchers[key] = {
+        matcher: new PhraseMatcher(Array.from(entries.keys()), key),
+        entries,
+        words: Array.from(entries.keys()).filter(phrase => !phrase.includes(' ')),
+        secondPerson: new Set(lexicon.secondPerson.map(word => TextPipeline.prepare(word, key))),
+        objectBefore: Boolean(lexicon.objectBefore)
+      };
+    }
+    return this.matchers[key];
+  }
+
+  /**
+   * A masked or leetspeak word as the lexicon word it spells, or null
+   * "f*ck" and "sh*t" match a word of the same length sharing the visible letters, when it is the
+   * only such word and at least half of the letters are visible; otherwise the word stays as
+   * written and is marked ambiguous. "id10t" and "$h!t" are read with the LEET table
+   * @returns {Object|null} { token, ambiguous }
+   */
+  unmask(word, words) {
+    const leet = ToxicityAnalyzer.LEET;
+    const decoded = Array.from(word).map(char => leet[char] || char).join('');
+    if (!ToxicityAnalyzer.MASK_PATTERN.test(decoded)) {
+      return /^\p{L}+$/u.test(decoded) && decoded !== word ? { token: decoded, ambiguous: false } : null;
+    }
+
+    const chars = Array.from(decoded);
+    if (!/^\p{L}/u.test(decoded)) return null;
+    const candidates = words.filter((candidate) => {
+      const letters = Array.from(candidate);
+      return letters.length === chars.length &&
+        chars.every((char, i) => ToxicityAnalyzer.MASK_PATTERN.test(char) || char === letters[i]);
+    });
+    if (candidates.length === 0) return null;
+
+    const visible = chars.filter(char => !ToxicityAnalyzer.MASK_PATTERN.test(char)).length;
+    return candidates.length === 1 && visible * 2 >= chars.length
+      ? { token: candidates[0], ambiguous: false }
+      : { token: word, ambiguous: true };
+  }
+
+  /**
+   * Split text into lowercase words, keeping masked and leetspeak words together and reading
+   * them as the words they spell
+   * @returns {Array} [{ token, original, obfuscated, ambiguous }]
+   */
+  tokens(text, lang, words) {
+    return TextPipeline.normalize(text, 'NFKC').split(/\s+/u).flatMap((chunk) => {
+      // Edge punctuation is dropped; masks and leetspeak symbols stay where they can spell a word
+      const trimmed = chunk.replace(/^[^\p{L}\p{N}$]+|[^\p{L}\p{N}*#]+$/gu, '');
+      const lower = TextPipeline.lowercase(trimmed, lang);
+
+      if (/\p{L}/u.test(lower) && /[^\p{L}\p{M}']/u.test(lower)) {
+        const unmasked = this.unmask(lower, words);
+        if (unmasked) return [{ ...unmasked, original: trimmed, obfuscated: true }];
+      }
+      return TextPipeline.tokens(chunk, lang).map(word => ({ ...word, obfuscated: false, ambiguous: false }));
+    });
+  }
+
+  /**
+   * Whether a second-person word is at most the target window's words away after a match, or
+   * around it
+   * @param {boolean} before - Whether a second-person word before the match counts too
+   */
+  isTargeted(tokens, start, length, secondPerson, before = true) {
+    const window = this.limits.TARGET_WINDOW;
+    const from = before ? Math.max(0, start - window - 1) : start;
+    const to = Math.min(tokens.length, start + length + window + 1);
+
+    for (let i = from; i < to; i++) {
+      if (secondPerson.has(tokens[i])) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Toxic terms in one sentence of one language
+   * A term right after a targeted one is targeted too ("you are such a stupid moron"); ambiguous
+   * masked words are matched as AMBIGUOUS_MASK
+   * @returns {Array} [{ term, form, stem, categories, tier, targeted, obfuscated, weight, language }]
+   */
+  matchSentence(sentence, lang) {
+    const { matcher, entries, words, secondPerson, objectBefore } = this.getMatcher(lang);
+    const sentenceWords = this.tokens(sentence, lang, words);
+    const tokens = sentenceWords.map(({ token }) => token);
+    const matches = [];
+    let targetedEnd = -1;
+
+    const masked = sentenceWords
+      .map(({ token, ambiguous }, start) => ({ phrase: token, start, length: 1, ambiguous }))
+      .filter(({ ambiguous }) => ambiguous);
+
+    const found = [...matcher.match(tokens), ...masked].sort((a, b) => a.start - b.start);
+
+    found.forEach(({ phrase, start, length, stem, ambiguous }) => {
+      const targeted = start === targetedEnd || this.isTargeted(tokens, start, length, secondPerson);
+      const threatens = this.isTargeted(tokens, start, length, secondPerson, objectBefore);
+      const terms = (ambiguous ? [ToxicityAnalyzer.AMBIGUOUS_MASK] : entries.get(phrase))
+        .filter(({ needsTarget }) => !needsTarget || threatens);
+      if (terms.length === 0) return;
+
+      const tier = Math.max(...terms.map(entry => entry.tier));
+      const matched = sentenceWords.slice(start, start + length);
+      if (targeted) targetedEnd = start + length;
+      matches.push({
+        term: phrase,
+        form: matched.map(({ original }) => original).join(' '),
+        stem,
+        categories: Array.from(new Set(terms.map(({ category }) => category))),
+        tier,
+        targeted,
+        obfuscated: matched.some(({ obfuscated }) => obfuscated),
+        weight: tier * (targeted ? this.limits.TARGET_MULTIPLIER : 1),
+        language: lang
+      });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Toxic terms in a sentence of unidentified language, checked with every lexicon of its
+   * script (short comments are often unidentified); the language with the heaviest matches wins,
+   * English on a tie
+   */
+  matchUnknown(sentence) {
+    const { script } = LanguageIdentifier.detectScript(sentence);
+    const languages = Object.keys(ToxicityAnalyzer.LEXICONS).filter((lang) => {
+      const profile = LanguageIdentifier.LANGUAGES[lang];
+      return profile && profile.script === script;
+    });
+
+    let best = [];
+    let bestWeight = 0;
+    languages.forEach((lang) => {
+      const matches = this.matchSentence(sentence, lang);
+      const weight = matches.reduce((sum, match) => sum + match.weight, 0);
+      if (weight > bestWeight) {
+        best = matches;
+        bestWeight = weight;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Severity tier for a score
+   */
+  getSeverity(score) {
+    if (score >= this.limits.SEVERE) return 'severe';
+    if (score >= this.limits.MODERATE) return 'moderate';
+    if (score > 0) return 'mild';
+    return 'none';
+  }
+
+  /**
+   * Analyze a text's toxicity; code-switched text is checked per run of sentences in each language
+   * @returns {Object} { score (0-1), severity ('none', 'mild', 'moderate', 'severe'), isToxic,
+   *   categories: { category: matches }, targeted (matches aimed at someone), obfuscated, matches }
+   */
+  analyze(text) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return this.getDefaultResult();
+    }
+
+    const matches = languageIdentifier.segment(text).flatMap(span =>
+      TextPipeline.sentenceSpans(span.text).flatMap(sentence => (span.language === 'unknown'
+        ? this.matchUnknown(sentence)
+        : this.matchSentence(sentence, span.language))));
+    if (matches.length === 0) return this.getDefaultResult();
+
+    const categories = Object.fromEntries(ToxicityAnalyzer.CATEGORIES.map(category => [category, 0]));
+    matches.forEach(({ categories: matched }) => matched.forEach((category) => {
+      categories[category]++;
+    }));
+
+    const weight = matches.reduce((sum, match) => sum + match.weight, 0);
+    const score = Math.min(1, weight / this.limits.SCORE_SCALE);
+    const severity = this.getSeverity(score);
+
+    return {
+      score,
+      severity,
+      isToxic: severity === 'moderate' || severity === 'severe',
+      categories,
+      targeted: matches.filter(match => match.targeted).length,
+      obfuscated: matches.filter(match => match.obfuscated).length,
+      matches
+    };
+  }
+
+  /**
+   * Get default result for text without toxic terms
+   */
+  getDefaultResult() {
+    return {
+      score: 0,
+      severity: 'none',
+      isToxic: false,
+      categories: Object.fromEntries(ToxicityAnalyzer.CATEGORIES.map(category => [category, 0])),
+      targeted: 0,
+      obfuscated: 0,
+      matches: []
+    };
+  }
+}
+
+// Shared instance, so each language's matcher is built once
+const toxicityAnalyzer = new ToxicityAnalyzer();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ToxicityAnalyzer = ToxicityAnalyzer;
+  window.toxicityAnalyzer = toxicityAnalyzer;
+}
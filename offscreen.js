@@ -0,0 +1,67 @@
+/**
+ * offscreen.js - Offscreen document hosting the analysis worker
+ * Relays engine requests from the background service worker to analysisWorker.js
+ */
+
+class WorkerHost {
+  constructor() {
+    this.pending = new Map(); // Request id -> { resolve, reject }
+    this.nextId = 1;
+    this.startWorker();
+  }
+
+  /**
+   * Create the worker and route its replies to the pending requests
+   */
+  startWorker() {
+    this.worker = new Worker('analysisWorker.js');
+
+    this.worker.onmessage = (event) => {
+      const { id, result, error } = event.data;
+      const pending = this.pending.get(id);
+      if (!pending) return;
+
+      this.pending.delete(id);
+      if (error) {
+        pending.reject(new Error(error));
+      } else {
+        pending.resolve(result);
+      }
+    };
+
+    // A crashed worker fails every request in flight and is replaced
+    this.worker.onerror = (event) => {
+      logger.error('Analysis worker error:', event.message);
+      this.pending.forEach(({ reject }) => reject(new Error(event.message || 'Analysis worker crashed')));
+      this.pending.clear();
+      this.worker.terminate();
+      this.startWorker();
+    };
+  }
+
+  /**
+   * Send a request to the worker
+   * @returns {Promise} Resolves with the worker's result
+   */
+  request({ type, payload }) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, payload });
+    });
+  }
+}
+
+const workerHost = new WorkerHost();
+
+// Only handle messages addressed to this document; everything else is for the background script
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen' || message.action !== 'engineRequest') {
+    return false;
+  }
+
+  workerHost.request(message.request)
+    .then(result => sendResponse({ result }))
+    .catch(error => sendResponse({ error: error.message }));
+  return true; // Keep channel open for async response
+});
@@ -0,0 +1,552 @@
+/**
+ * options.js - Options page logic
+ * Lets users override, validate, import and export platform selectors,
+ * enable or disable detectors per platform and edit custom rules
+ */
+
+class OptionsController {
+  constructor() {
+    this.bundled = {};
+    this.overrides = {};
+    this.disabledDetectors = {}; // Platform -> ids of disabled detectors
+    this.rules = [];
+
+    this.init();
+  }
+
+  async init() {
+    // Load bundled selectors and stored overrides
+    await this.loadBundled();
+    this.overrides = await SelectorPacks.load();
+    this.disabledDetectors = await this.loadDisabledDetectors();
+    this.rules = await RuleEngine.load();
+
+    this.renderDetectors();
+    this.renderRules();
+    this.render();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Load the bundled platformSelectors.json
+   */
+  async loadBundled() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('platformSelectors.json'));
+      this.bundled = await response.json();
+    } catch (error) {
+      logger.error('Error loading platform selectors:', error);
+      this.showStatus('Could not load bundled selectors', 'error');
+    }
+  }
+
+  /**
+   * Load the per-platform disabled detectors setting
+   */
+  async loadDisabledDetectors() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(['disabledDetectors'], (result) => {
+        resolve(result.disabledDetectors || {});
+      });
+    });
+  }
+
+  /**
+   * Render the detector table: one row per detector, one checkbox per platform
+   */
+  renderDetectors() {
+    const table = document.getElementById('detectors');
+    table.textContent = '';
+    const platforms = Object.keys(this.bundled);
+
+    const header = table.insertRow();
+    header.appendChild(document.createElement('th')).textContent = 'Detector';
+    platforms.forEach((platform) => {
+      header.appendChild(document.createElement('th')).textContent = this.bundled[platform].name || platform;
+    });
+
+    detectorRegistry.list().forEach((detector) => {
+      const row = table.insertRow();
+      const name = row.insertCell();
+      name.textContent = detector.name;
+      name.appendChild(document.createElement('small')).textContent = detector.scopes.join(', ');
+
+      platforms.forEach((platform) => {
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = !(this.disabledDetectors[platform] || []).includes(detector.id);
+        input.addEventListener('change', () => this.setDetectorEnabled(platform, detector.id, input.checked));
+        row.insertCell().appendChild(input);
+      });
+    });
+  }
+
+  /**
+   * Enable or disable a detector on one platform and save right away
+   */
+  async setDetectorEnabled(platform, id, enabled) {
+    const disabled = (this.disabledDetectors[platform] || []).filter(other => other !== id);
+    if (!enabled) disabled.push(id);
+
+    if (disabled.length > 0) {
+      this.disabledDetectors[platform] = disabled;
+    } else {
+      delete this.disabledDetectors[platform];
+    }
+
+    await new Promise((resolve) => {
+      chrome.storage.sync.set({ disabledDetectors: this.disabledDetectors }, () => resolve());
+    });
+    this.showStatus(`${detectorRegistry.get(id).name} ${enabled ? 'enabled' : 'disabled'} on ${this.bundled[platform].name || platform}`, 'success', 'detector-status');
+  }
+
+  /**
+   * Render one editable card per custom rule
+   */
+  renderRules() {
+    const container = document.getElementById('rules');
+    container.textContent = '';
+    this.rules.forEach(rule => container.appendChild(this.renderRule(rule)));
+  }
+
+  /**
+   * Render the editable fields for one rule
+   */
+  renderRule(rule) {
+    const card = document.createElement('div');
+    card.className = 'platform-card rule-card';
+    card.dataset.id = rule.id;
+
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'rule-label';
+    labelInput.placeholder = 'Label shown in flags and indicators';
+    labelInput.value = rule.label || '';
+    card.appendChild(this.renderField('Label', labelInput, null));
+
+    const grid = document.createElement('div');
+    grid.className = 'rule-grid';
+
+    const weightInput = document.createElement('input');
+    weightInput.type = 'number';
+    weightInput.className = 'rule-weight';
+    weightInput.min = '0';
+    weightInput.max = '1';
+    weightInput.step = '0.05';
+    weightInput.value = rule.weight === undefined ? 0.5 : rule.weight;
+    grid.appendChild(this.renderField('Weight (0-1)', weightInput, null));
+
+    const styleSelect = this.renderSelect('rule-style', rule.style || 'warning',
+      Object.entries(RuleEngine.STYLES).map(([style, emoji]) => [style, `${emoji} ${style}`]));
+    grid.appendChild(this.renderField('Indicator style', styleSelect, null));
+
+    const combineSelect = this.renderSelect('rule-combine', rule.combine || 'any',
+      [['any', 'Any condition (OR)'], ['all', 'All conditions (AND)']]);
+    grid.appendChild(this.renderField('Match', combineSelect, null));
+
+    const conditions = {
+      keywords: 'Keywords or phrases',
+      patterns: 'Regular expressions (case-insensitive)',
+      domains: 'Linked domains',
+      authors: 'Author handles',
+      languages: 'Languages (en, de, ...)'
+    };
+    Object.entries(conditions).forEach(([condition, labelText]) => {
+      const input = document.createElement('textarea');
+      input.className = `rule-${condition}`;
+      input.value = (rule[condition] || []).join('\n');
+      const validate = condition === 'patterns' ? pattern => RuleEngine.validatePattern(pattern) : null;
+      grid.appendChild(this.renderField(labelText, input, validate));
+    });
+    card.appendChild(grid);
+
+    const footer = document.createElement('div');
+    footer.className = 'rule-footer';
+
+    const enabledRow = document.createElement('label');
+    enabledRow.className = 'checkbox-row';
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.className = 'rule-enabled';
+    enabledInput.checked = rule.enabled !== false;
+    enabledRow.appendChild(enabledInput);
+    enabledRow.appendChild(document.createTextNode('Enabled'));
+    footer.appendChild(enabledRow);
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'button secondary';
+    removeButton.textContent = '🗑️ Remove';
+    removeButton.addEventListener('click', () => card.remove());
+    footer.appendChild(removeButton);
+
+    card.appendChild(footer);
+    return card;
+  }
+
+  /**
+   * Create a select element from [value, text] options
+   */
+  renderSelect(className, value, options) {
+    const select = document.createElement('select');
+    select.className = className;
+    options.forEach(([optionValue, text]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+  }
+
+  /**
+   * Read the rules from the form
+   */
+  readRules() {
+    return Array.from(document.querySelectorAll('.rule-card')).map((card) => {
+      const value = className => card.querySelector(`.${className}`).value;
+      const rule = {
+        id: card.dataset.id,
+        label: value('rule-label').trim(),
+        enabled: card.querySelector('.rule-enabled').checked,
+        weight: parseFloat(value('rule-weight')),
+        style: value('rule-style'),
+        combine: value('rule-combine')
+      };
+      RuleEngine.CONDITIONS.forEach((condition) => {
+        rule[condition] = this.getLines(value(`rule-${condition}`));
+      });
+      return rule;
+    });
+  }
+
+  /**
+   * Validate and save the form's rules
+   */
+  async saveRules() {
+    const validation = RuleEngine.validatePack(this.readRules());
+
+    if (!validation.valid) {
+      this.showStatus(`Not saved, fix these rules first:\n${validation.errors.join('\n')}`, 'error', 'rule-status');
+      return;
+    }
+
+    this.rules = validation.rules;
+    await RuleEngine.save(this.rules);
+    this.showStatus(`${this.rules.length} rule${this.rules.length === 1 ? '' : 's'} saved`, 'success', 'rule-status');
+  }
+
+  /**
+   * Download the saved rules as a rule pack
+   */
+  exportRules() {
+    const pack = RuleEngine.createPack(this.rules);
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'rule-pack.json';
+    link.click();
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Import, validate and save a rule pack file, replacing the current rules
+   */
+  async importRules(file) {
+    let pack;
+    try {
+      pack = JSON.parse(await file.text());
+    } catch (error) {
+      this.showStatus(`Import failed: ${error.message}`, 'error', 'rule-status');
+      return;
+    }
+
+    const validation = RuleEngine.validatePack(pack);
+    if (!validation.valid) {
+      this.showStatus(`Import failed:\n${validation.errors.join('\n')}`, 'error', 'rule-status');
+      return;
+    }
+
+    this.rules = validation.rules;
+    await RuleEngine.save(this.rules);
+    this.renderRules();
+    this.showStatus('Rule pack imported and saved', 'success', 'rule-status');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('rule-save-btn').addEventListener('click', () => {
+      this.saveRules();
+    });
+
+    document.getElementById('rule-add-btn').addEventListener('click', () => {
+      const rule = { id: `rule-${Date.now().toString(36)}`, label: '', weight: 0.5 };
+      document.getElementById('rules').appendChild(this.renderRule(rule));
+    });
+
+    document.getElementById('rule-export-btn').addEventListener('click', () => {
+      this.exportRules();
+    });
+
+    const ruleImportFile = document.getElementById('rule-import-file');
+    document.getElementById('rule-import-btn').addEventListener('click', () => {
+      ruleImportFile.click();
+    });
+    ruleImportFile.addEventListener('change', (e) => {
+      if (e.target.files[0]) {
+        this.importRules(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+
+    document.getElementById('save-btn').addEventListener('click', () => {
+      this.save();
+    });
+
+    document.getElementById('export-btn').addEventListener('click', () => {
+      this.exportPack();
+    });
+
+    const importFile = document.getElementById('import-file');
+    document.getElementById('import-btn').addEventListener('click', () => {
+      importFile.click();
+    });
+    importFile.addEventListener('change', (e) => {
+      if (e.target.files[0]) {
+        this.importPack(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+
+    document.getElementById('reset-btn').addEventListener('click', async () => {
+      this.overrides = {};
+      await SelectorPacks.save(this.overrides);
+      this.render();
+      this.showStatus('Overrides cleared, bundled selectors restored', 'success');
+    });
+  }
+
+  /**
+   * Render one card per platform with its container-based sections
+   */
+  render() {
+    const container = document.getElementById('platforms');
+    container.textContent = '';
+
+    for (const [platform, definition] of Object.entries(this.bundled)) {
+      const card = document.createElement('div');
+      card.className = 'platform-card';
+
+      const title = document.createElement('h2');
+      title.textContent = definition.name || platform;
+      card.appendChild(title);
+
+      for (const [name, section] of Object.entries(definition)) {
+        if (!section || typeof section.container !== 'string') continue;
+        card.appendChild(this.renderSection(platform, name, section));
+      }
+
+      container.appendChild(card);
+    }
+  }
+
+  /**
+   * Render the editable fields for one section
+   */
+  renderSection(platform, name, section) {
+    const override = (this.overrides[platform] && this.overrides[platform][name]) || {};
+    const wrapper = document.createElement('div');
+    wrapper.className = 'selector-section';
+    wrapper.dataset.platform = platform;
+    wrapper.dataset.section = name;
+
+    const heading = document.createElement('h3');
+    heading.textContent = name;
+    wrapper.appendChild(heading);
+
+    const containerInput = document.createElement('input');
+    containerInput.type = 'text';
+    containerInput.className = 'container-input';
+    containerInput.placeholder = section.container;
+    containerInput.value = override.container || '';
+    wrapper.appendChild(this.renderField('Container selector', containerInput));
+
+    const contentInput = document.createElement('textarea');
+    contentInput.className = 'content-input';
+    contentInput.placeholder = SelectorPacks.toSelectorList(section.content).join('\n') ||
+      '(uses the container text)';
+    contentInput.value = SelectorPacks.toSelectorList(override.content).join('\n');
+    wrapper.appendChild(this.renderField('Content selectors (one per line, tried in order)', contentInput));
+
+    const replaceRow = document.createElement('label');
+    replaceRow.className = 'checkbox-row';
+    const replaceInput = document.createElement('input');
+    replaceInput.type = 'checkbox';
+    replaceInput.className = 'replace-input';
+    replaceInput.checked = override.replace === true;
+    replaceRow.appendChild(replaceInput);
+    replaceRow.appendChild(document.createTextNode('Replace bundled selectors'));
+    wrapper.appendChild(replaceRow);
+
+    return wrapper;
+  }
+
+  /**
+   * Wrap an input with a label and live validation of each line
+   * @param {Function|null} validate - line -> { valid, error }; selectors by default, null for no validation
+   */
+  renderField(labelText, input, validate = selector => SelectorPacks.validateSelector(selector)) {
+    const field = document.createElement('div');
+    field.className = 'field';
+
+    const label = document.createElement('label');
+    label.textContent = labelText;
+
+    const error = document.createElement('div');
+    error.className = 'field-error';
+
+    field.appendChild(label);
+    field.appendChild(input);
+    field.appendChild(error);
+
+    if (validate) {
+      input.addEventListener('input', () => this.validateInput(input, error, validate));
+      this.validateInput(input, error, validate);
+    }
+    return field;
+  }
+
+  /**
+   * Validate every line of an input and show the errors inline
+   */
+  validateInput(input, errorEl, validate) {
+    const errors = this.getLines(input.value)
+      .map(line => ({ line, result: validate(line) }))
+      .filter(({ result }) => !result.valid)
+      .map(({ line, result }) => `${line}: ${result.error}`);
+
+    input.classList.toggle('invalid', errors.length > 0);
+    errorEl.textContent = errors.join('\n');
+    return errors.length === 0;
+  }
+
+  /**
+   * Split a field value into trimmed, non-empty lines
+   */
+  getLines(value) {
+    return value.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  }
+
+  /**
+   * Read overrides from the form, keeping only sections the user changed
+   * Fields the form does not edit (type, length bounds, extra platforms) are preserved
+   */
+  readForm() {
+    const overrides = JSON.parse(JSON.stringify(this.overrides));
+
+    document.querySelectorAll('.selector-section').forEach((wrapper) => {
+      const { platform, section } = wrapper.dataset;
+      const container = wrapper.querySelector('.container-input').value.trim();
+      const content = this.getLines(wrapper.querySelector('.content-input').value);
+      const replace = wrapper.querySelector('.replace-input').checked;
+
+      const { container: _container, content: _content, replace: _replace, ...extra } =
+        (overrides[platform] && overrides[platform][section]) || {};
+
+      if (!container && content.length === 0 && Object.keys(extra).length === 0) {
+        if (overrides[platform]) {
+          delete overrides[platform][section];
+          if (Object.keys(overrides[platform]).length === 0) {
+            delete overrides[platform];
+          }
+        }
+        return;
+      }
+
+      overrides[platform] = overrides[platform] || {};
+      overrides[platform][section] = {
+        ...extra,
+        ...(container && { container }),
+        ...(content.length > 0 && { content }),
+        replace
+      };
+    });
+
+    return overrides;
+  }
+
+  /**
+   * Validate and save the form's overrides
+   */
+  async save() {
+    const validation = SelectorPacks.validatePack({ platforms: this.readForm() });
+
+    if (!validation.valid) {
+      this.showStatus(`Not saved, fix these selectors first:\n${validation.errors.join('\n')}`, 'error');
+      return;
+    }
+
+    this.overrides = validation.platforms;
+    await SelectorPacks.save(this.overrides);
+    this.showStatus('Overrides saved', 'success');
+  }
+
+  /**
+   * Download the saved overrides as a selector pack
+   */
+  exportPack() {
+    const pack = SelectorPacks.createPack(this.overrides);
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'selector-pack.json';
+    link.click();
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Import, validate and save a selector pack file
+   */
+  async importPack(file) {
+    let pack;
+    try {
+      pack = JSON.parse(await file.text());
+    } catch (error) {
+      this.showStatus(`Import failed: ${error.message}`, 'error');
+      return;
+    }
+
+    const validation = SelectorPacks.validatePack(pack);
+    if (!validation.valid) {
+      this.showStatus(`Import failed:\n${validation.errors.join('\n')}`, 'error');
+      return;
+    }
+
+    this.overrides = validation.platforms;
+    await SelectorPacks.save(this.overrides);
+    this.render();
+    this.showStatus('Selector pack imported and saved', 'success');
+  }
+
+  /**
+   * Show a status message
+   */
+  showStatus(message, type, elementId = 'status') {
+    const status = document.getElementById(elementId);
+    status.textContent = message;
+    status.className = `status ${type}`;
+  }
+}
+
+// Initialize options page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
@@ -40,10 +40,12 @@ class PopupController {
             analyzeBtn.disabled = false;
           }
         });
+      } else if (request.action === 'analysisProgress') {
+        this.showProgress(request.progress);
       }
     };
 
-    // Listen for analysis completion messages
+    // Listen for analysis progress and completion messages
     chrome.runtime.onMessage.addListener(this.messageListener);
 
     // Store reference to storage listener for cleanup
@@ -84,13 +86,17 @@ class PopupController {
    * Load settings from Chrome storage
    */
   async loadSettings() {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      THRESHOLDS: { FLAG_THRESHOLD: 0.5 }
+    };
+
     return new Promise((resolve) => {
       chrome.storage.sync.get(['autoAnalyze', 'showIndicators', 'showCleanIndicators', 'flagThreshold'], (result) => {
         this.settings = {
           autoAnalyze: result.autoAnalyze !== false,
           showIndicators: result.showIndicators !== false,
           showCleanIndicators: result.showCleanIndicators !== false,
-          flagThreshold: result.flagThreshold || 0.5
+          flagThreshold: typeof result.flagThreshold === 'number' ? result.flagThreshold : config.THRESHOLDS.FLAG_THRESHOLD
         };
         resolve();
       });
@@ -173,6 +179,17 @@ class PopupController {
     analyzeBtn.addEventListener('click', () => {
       this.triggerAnalysis();
     });
+
+    // Custom rule tester
+    document.getElementById('rule-test-btn').addEventListener('click', () => {
+      this.testRules();
+    });
+
+    // Options page link
+    document.getElementById('options-link').addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
   }
 
   /**
@@ -222,6 +239,63 @@ class PopupController {
     });
   }
 
+  /**
+   * Show scheduler progress on the analyze button while a manual analysis runs
+   * @param {Object} progress - { status, processed, total, remaining }
+   */
+  showProgress(progress) {
+    const analyzeBtn = document.getElementById('analyze-btn');
+    if (!analyzeBtn || !analyzeBtn.disabled || !progress) return;
+
+    if (progress.status === 'running') {
+      analyzeBtn.textContent = `⏳ Analyzing... ${progress.processed}/${progress.total}`;
+    } else if (progress.status === 'cancelled') {
+      // Navigation interrupted the run; no completion message will follow
+      analyzeBtn.textContent = '🔍 Analyze Page Now';
+      analyzeBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Run the saved custom rules against the sample text and list the matches
+   */
+  async testRules() {
+    const text = document.getElementById('rule-test-text').value;
+    const author = document.getElementById('rule-test-author').value.trim();
+    const resultsList = document.getElementById('rule-test-results');
+    resultsList.textContent = '';
+
+    const addResult = (message) => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      resultsList.appendChild(item);
+    };
+
+    const rules = await RuleEngine.load();
+    const enabled = rules.filter(rule => rule.enabled !== false);
+    if (enabled.length === 0) {
+      addResult('No enabled rules - add rules in the options page');
+      return;
+    }
+
+    const result = RuleEngine.evaluate(rules, {
+      text,
+      authors: author ? [author] : [],
+      language: TextAnalysisUtils.detectLanguage(text)
+    });
+
+    if (result.matches.length === 0) {
+      addResult(`None of ${enabled.length} enabled rule${enabled.length === 1 ? '' : 's'} matched`);
+      return;
+    }
+
+    result.matches.forEach((id) => {
+      const signal = `RULE_${id}`;
+      const { emoji } = result.indicators[signal];
+      addResult(`${emoji} ${result.labels[signal]} (+${Math.round(result.weights[signal] * 100)}%)`);
+    });
+  }
+
   /**
    * Update UI with current results
    */
@@ -273,6 +347,8 @@ class PopupController {
       suspiciousCard.classList.add('success');
     }
 
+    this.updateHealthStatus(this.results.results.diagnostics);
+
     // Update sentiment bars
     if (stats.sentimentDistribution) {
       const total = stats.totalAnalyzed;
@@ -302,6 +378,110 @@ class PopupController {
       negativeBar.style.display = negativePercent === 0 ? 'none' : 'flex';
       neutralBar.style.display = neutralPercent === 0 ? 'none' : 'flex';
     }
+
+    this.updateEmotions(stats.emotionDistribution);
+  }
+
+  /**
+   * Emotions shown in the popup, in display order
+   */
+  static get EMOTION_LABELS() {
+    return {
+      anger: '😠 Anger',
+      fear: '😨 Fear',
+      joy: '😊 Joy',
+      disgust: '🤢 Disgust',
+      sadness: '😢 Sadness',
+      surprise: '😮 Surprise',
+      trust: '🤝 Trust'
+    };
+  }
+
+  /**
+   * Show each emotion's share of the emotion words on the page
+   */
+  updateEmotions(distribution) {
+    const section = document.getElementById('emotion-section');
+    const list = document.getElementById('emotion-list');
+    const shares = distribution && distribution.shares;
+
+    if (!shares || !Object.values(shares).some(share => share > 0)) {
+      section.style.display = 'none';
+      return;
+    }
+
+    section.style.display = 'block';
+    list.textContent = '';
+
+    for (const [emotion, label] of Object.entries(PopupController.EMOTION_LABELS)) {
+      const percent = (shares[emotion] || 0) * 100;
+      const dominated = (distribution.dominant && distribution.dominant[emotion]) || 0;
+
+      const row = document.createElement('div');
+      row.className = 'emotion-row';
+      row.title = `${dominated} comment${dominated === 1 ? '' : 's'} dominated by ${emotion}`;
+
+      const name = document.createElement('span');
+      name.className = 'emotion-label';
+      name.textContent = label;
+
+      const track = document.createElement('div');
+      track.className = 'emotion-track';
+      const fill = document.createElement('div');
+      fill.className = `emotion-fill ${emotion}`;
+      fill.style.width = `${percent}%`;
+      track.appendChild(fill);
+
+      const value = document.createElement('span');
+      value.className = 'emotion-value';
+      value.textContent = `${Math.round(percent)}%`;
+
+      row.append(name, track, value);
+      list.appendChild(row);
+    }
+  }
+
+  /**
+   * Show the selector health self-check for the latest run
+   */
+  updateHealthStatus(diagnostics) {
+    const healthStatus = document.getElementById('health-status');
+    const summary = document.getElementById('health-summary');
+    const details = document.getElementById('health-details');
+
+    if (!diagnostics) {
+      healthStatus.style.display = 'none';
+      return;
+    }
+
+    healthStatus.style.display = 'block';
+    healthStatus.classList.remove('ok', 'degraded', 'broken');
+    healthStatus.classList.add(diagnostics.status);
+    details.textContent = '';
+
+    const addDetail = (text) => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      details.appendChild(item);
+    };
+
+    if (diagnostics.status === 'broken') {
+      summary.textContent = '❌ Extraction likely broken - update selectors instead of trusting empty results';
+    } else if (diagnostics.status === 'degraded') {
+      summary.textContent = '⚠️ Extraction partially failing - some selectors may be outdated';
+    } else {
+      summary.textContent = '✅ Selectors healthy';
+    }
+
+    (diagnostics.reasons || []).forEach(addDetail);
+
+    for (const [name, section] of Object.entries(diagnostics.sections || {})) {
+      const winner = section.winningFallback;
+      const via = winner
+        ? ` via fallback #${winner.index + 1}${winner.source ? ` (${winner.source})` : ''}`
+        : '';
+      addDetail(`${name}: ${section.containersMatched} containers, ${section.textNodes} texts${via}`);
+    }
   }
 }
 
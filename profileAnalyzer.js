@@ -4,9 +4,13 @@
  */
 
 class ProfileAnalyzer {
-  constructor() {
+  /**
+   * @param {Object} options - { detectors } registry to run; the default registry when omitted
+   */
+  constructor(options = {}) {
     this.sentimentAnalyzer = new SentimentAnalyzer();
     this.utils = TextAnalysisUtils;
+    this.detectors = options.detectors || detectorRegistry;
 
     // Load thresholds from centralized config or use defaults
     const config = typeof CONFIG !== 'undefined' ? CONFIG : {
@@ -16,7 +20,9 @@ class ProfileAnalyzer {
         REPETITION_SCORE: 0.4,
         EXTREME_SENTIMENT_RATIO: 0.5,
         POSTING_SIMILARITY: 0.7,
-        MIN_POSTS_FOR_ANALYSIS: 3
+        MIN_POSTS_FOR_ANALYSIS: 3,
+        EMOTION_INTENSITY: 0.2,
+        FLAG_THRESHOLD: 0.5
       }
     };
 
@@ -26,10 +32,51 @@ class ProfileAnalyzer {
       repetitionScore: config.THRESHOLDS.REPETITION_SCORE,
       extremeSentimentRatio: config.THRESHOLDS.EXTREME_SENTIMENT_RATIO,
       postingSimilarity: config.THRESHOLDS.POSTING_SIMILARITY,
-      minPostsForAnalysis: config.THRESHOLDS.MIN_POSTS_FOR_ANALYSIS
+      minPostsForAnalysis: config.THRESHOLDS.MIN_POSTS_FOR_ANALYSIS,
+      emotionIntensity: config.THRESHOLDS.EMOTION_INTENSITY,
+      flag: config.THRESHOLDS.FLAG_THRESHOLD // The content script re-applies the user's flagThreshold
     };
   }
 
+  /**
+   * Whether a score reaches the flag threshold
+   * Compared in whole percent, as the popup shows both; a zero score is never flagged
+   */
+  static isFlagged(score, threshold) {
+    return score > 0 && Math.round(score * 100) >= Math.round(threshold * 100);
+  }
+
+  /**
+   * Risk classification for a profile score; the threshold separates suspicious from genuine
+   */
+  static classifyProfile(score, threshold) {
+    if (ProfileAnalyzer.isFlagged(score, threshold)) {
+      return score > 0.7 ? 'High Risk' : 'Suspicious';
+    }
+    return score > 0.3 ? 'Potentially Suspicious' : 'Likely Genuine';
+  }
+
+  /**
+   * Apply a flag threshold to an analyzeContent() or analyzeProfile() result in place
+   * Scores don't depend on the threshold, so results can be re-classified without re-analyzing
+   * @returns {Object} The same analysis
+   */
+  static applyThreshold(analysis, threshold) {
+    if (!analysis) return analysis;
+
+    if ('suspicionScore' in analysis) {
+      analysis.isSuspicious = ProfileAnalyzer.isFlagged(analysis.suspicionScore, threshold);
+    } else if ('overallScore' in analysis) {
+      analysis.isLikelySuspicious = ProfileAnalyzer.isFlagged(analysis.overallScore, threshold);
+
+      // Results that couldn't be analyzed keep their classification
+      if (analysis.classification && analysis.classification !== 'Unable to Analyze') {
+        analysis.classification = ProfileAnalyzer.classifyProfile(analysis.overallScore, threshold);
+      }
+    }
+    return analysis;
+  }
+
   /**
    * Get default analysis result for error cases
    */
@@ -41,6 +88,7 @@ class ProfileAnalyzer {
       isAIGenerated: false,
       confidence: 0,
       flags: [reason],
+      contributions: [],
       details: {},
       classification: 'Unable to Analyze'
     };
@@ -49,9 +97,10 @@ class ProfileAnalyzer {
   /**
    * Analyze a user profile for signs of AI generation or troll behavior
    * @param {Object} profileData - Contains bio, posts, and metadata
+   * @param {Object} options - { platform, disabledDetectors }
    * @returns {Object} Analysis results with scores and flags
    */
-  analyzeProfile(profileData) {
+  analyzeProfile(profileData, options = {}) {
     // Input validation
     if (!profileData || typeof profileData !== 'object') {
       return this.getDefaultAnalysisResult('Invalid profile data');
@@ -81,6 +130,7 @@ class ProfileAnalyzer {
       isAIGenerated: false,
       confidence: 0,
       flags: [],
+      contributions: [],
       details: {}
     };
 
@@ -92,81 +142,47 @@ class ProfileAnalyzer {
       return results;
     }
 
-    // 1. Analyze bio/headline for AI patterns
-    const bioAnalysis = this.analyzeBioText(bio + ' ' + headline + ' ' + about);
-    results.details.bioAnalysis = bioAnalysis;
-
-    if (bioAnalysis.aiScore > this.thresholds.aiPatternScore) {
-      results.flags.push('Bio shows AI-generated patterns');
-      results.overallScore += 0.2;
-    }
-
-    if (bioAnalysis.buzzwordDensity > this.thresholds.buzzwordDensity) {
-      results.flags.push('Excessive buzzwords in bio');
-      results.overallScore += 0.15;
-    }
-
-    // 2. Analyze posts for patterns
+    const bioText = bio + ' ' + headline + ' ' + about;
+    const context = DetectorRegistry.createContext(this, options, {
+      language: () => this.utils.detectLanguage(allText),
+      bioAnalysis: () => this.analyzeBioText(bioText),
+      usernameAnalysis: () => this.analyzeUsername(username),
+      postAnalysis: () => this.analyzePostPatterns(posts),
+      frequencyAnalysis: () => this.analyzePostingFrequency(posts)
+    });
+
+    // 1. Bio/headline and username
+    const detections = [this.detectors.run('profile', { bio: bioText, username }, context)];
+    results.details.bioAnalysis = context.get('bioAnalysis');
+    results.details.usernameAnalysis = context.get('usernameAnalysis');
+
+    // 2. Patterns across the posts
     if (posts.length >= this.thresholds.minPostsForAnalysis) {
-      const postAnalysis = this.analyzePostPatterns(posts);
-      results.details.postAnalysis = postAnalysis;
-
-      // Check for repetitive posting
-      if (postAnalysis.repetitionScore > this.thresholds.repetitionScore) {
-        results.flags.push('Posts are suspiciously similar');
-        results.overallScore += 0.25;
-      }
+      const thread = this.detectors.run('thread', { posts }, context);
+      detections.push(thread);
+      results.details.postAnalysis = context.get('postAnalysis');
+      results.details.frequencyAnalysis = context.get('frequencyAnalysis');
 
-      // Check for coordinated sentiment (troll behavior)
-      if (postAnalysis.extremeSentimentRatio > this.thresholds.extremeSentimentRatio) {
-        results.flags.push('Unusual sentiment patterns detected');
-        results.overallScore += 0.2;
-        results.isTroll = true;
-      }
-
-      // Check for AI writing patterns
-      if (postAnalysis.avgAIScore > this.thresholds.aiPatternScore) {
-        results.flags.push('Posts show AI-like writing patterns');
-        results.overallScore += 0.25;
-        results.isAIGenerated = true;
-      }
-
-      // Check posting frequency patterns
-      const frequencyAnalysis = this.analyzePostingFrequency(posts);
-      results.details.frequencyAnalysis = frequencyAnalysis;
-
-      if (frequencyAnalysis.isSuspicious) {
-        results.flags.push(frequencyAnalysis.reason);
-        results.overallScore += 0.15;
-      }
+      results.isTroll = thread.flagged.has('sentiment'); // Coordinated sentiment (troll behavior)
+      results.isAIGenerated = thread.flagged.has('aiPatterns');
     } else {
       results.flags.push('Insufficient posts for pattern analysis');
     }
 
-    // 3. Username analysis
-    const usernameAnalysis = this.analyzeUsername(username);
-    results.details.usernameAnalysis = usernameAnalysis;
-
-    if (usernameAnalysis.isSuspicious) {
-      results.flags.push('Suspicious username pattern');
-      results.overallScore += 0.1;
-    }
-
-    // 4. Overall classification
-    results.overallScore = Math.min(results.overallScore, 1);
+    detections.forEach(detection => results.flags.push(...detection.flags));
+
+    // 3. Weighted score and overall classification
+    const merge = key => Object.assign({}, ...detections.map(detection => detection[key]));
+    const scoring = ScoringModel.combine(
+      merge('signals'),
+      { ...merge('weights'), ...ScoringModel.getWeights('PROFILE_ANALYSIS', options.platform) },
+      merge('labels')
+    );
+    results.overallScore = scoring.score;
+    results.contributions = scoring.contributions;
     results.confidence = results.overallScore;
-    results.isLikelySuspicious = results.overallScore > 0.5;
-
-    // Determine primary classification
-    if (results.overallScore > 0.7) {
-      results.classification = 'High Risk';
-    } else if (results.overallScore > 0.5) {
-      results.classification = 'Suspicious';
-    } else if (results.overallScore > 0.3) {
-      results.classification = 'Potentially Suspicious';
-    } else {
-      results.classification = 'Likely Genuine';
-    }
+    results.isLikelySuspicious = ProfileAnalyzer.isFlagged(results.overallScore, this.thresholds.flag);
+    results.classification = ProfileAnalyzer.classifyProfile(results.overallScore, this.thresholds.flag);
 
     return results;
   }
@@ -234,35 +250,31 @@ class ProfileAnalyzer {
     const textsToAnalyze = validTexts.slice(0, config.PERFORMANCE.MAX_POSTS_TO_ANALYZE);
 
     // Check similarity between posts
-    let totalSimilarity = 0;
-    let comparisons = 0;
-
-    // Optimize O(n²) comparison
-    const threshold = config.PERFORMANCE?.LARGE_DATASET_THRESHOLD || 20;
-    const windowSize = config.PERFORMANCE?.COMPARISON_WINDOW_LARGE || 6;
-
-    if (textsToAnalyze.length > threshold) {
-      // For many posts, only compare each with next few posts
-      for (let i = 0; i < textsToAnalyze.length - 1; i++) {
-        const maxJ = Math.min(i + windowSize, textsToAnalyze.length);
-        for (let j = i + 1; j < maxJ; j++) {
-          const similarity = this.utils.cosineSimilarity(textsToAnalyze[i], textsToAnalyze[j]);
-          totalSimilarity += similarity;
-          comparisons++;
-        }
-      }
+    let repetitionScore = 0;
+    const largeThreshold = config.PERFORMANCE?.LARGE_DATASET_THRESHOLD || 20;
+
+    if (textsToAnalyze.length > largeThreshold) {
+      // For many posts, score the share of posts that near-duplicate another post (MinHash/LSH)
+      const pairs = this.utils.findNearDuplicatePairs(textsToAnalyze, {
+        verify: 'cosine',
+        verifyThreshold: this.thresholds.postingSimilarity
+      });
+      const duplicated = new Set(pairs.flatMap(pair => [pair.index1, pair.index2]));
+      repetitionScore = duplicated.size / textsToAnalyze.length;
     } else {
-      // For fewer posts, compare all pairs
+      // For fewer posts, average the similarity of all pairs
+      let totalSimilarity = 0;
+      let comparisons = 0;
+
       for (let i = 0; i < textsToAnalyze.length - 1; i++) {
         for (let j = i + 1; j < textsToAnalyze.length; j++) {
-          const similarity = this.utils.cosineSimilarity(textsToAnalyze[i], textsToAnalyze[j]);
-          totalSimilarity += similarity;
+          totalSimilarity += this.utils.cosineSimilarity(textsToAnalyze[i], textsToAnalyze[j]);
           comparisons++;
         }
       }
-    }
 
-    const repetitionScore = comparisons > 0 ? totalSimilarity / comparisons : 0;
+      repetitionScore = comparisons > 0 ? totalSimilarity / comparisons : 0;
+    }
 
     // Analyze AI patterns in each post
     const aiScores = textsToAnalyze.map(text => this.utils.detectAIPatterns(text).score);
@@ -305,35 +317,46 @@ class ProfileAnalyzer {
     const postsWithTime = posts.filter(p => p.timestamp || p.date);
 
     if (postsWithTime.length >= 3) {
-      const timestamps = postsWithTime.map(p => {
+      // Precision is the uncertainty of each time in ms ("5m" -> a minute, "2y" -> a year)
+      const times = postsWithTime.map(p => {
         const time = p.timestamp || p.date;
-        return typeof time === 'number' ? time : new Date(time).getTime();
-      }).sort();
+        return {
+          timestamp: typeof time === 'number' ? time : new Date(time).getTime(),
+          precision: p.timestampPrecision || 0
+        };
+      }).filter(t => !isNaN(t.timestamp)).sort((a, b) => a.timestamp - b.timestamp);
 
-      // Calculate intervals between posts
+      // Calculate intervals between posts, each uncertain by both posts' precision
       const intervals = [];
-      for (let i = 1; i < timestamps.length; i++) {
-        intervals.push(timestamps[i] - timestamps[i - 1]);
+      for (let i = 1; i < times.length; i++) {
+        intervals.push({
+          value: times[i].timestamp - times[i - 1].timestamp,
+          uncertainty: times[i].precision + times[i - 1].precision
+        });
       }
 
       // Check for suspiciously regular intervals (bot behavior)
-      const avgInterval = intervals.reduce((sum, i) => sum + i, 0) / intervals.length;
-      const variance = intervals.reduce((sum, i) => sum + Math.pow(i - avgInterval, 2), 0) / intervals.length;
-      const stdDev = Math.sqrt(variance);
-
-      // Very low variance suggests automated posting
-      if (stdDev < avgInterval * 0.1 && intervals.length > 5) {
-        return {
-          isSuspicious: true,
-          reason: 'Posts made at suspiciously regular intervals'
-        };
+      // Only intervals measured more precisely than their length say anything about regularity
+      const measurable = intervals.filter(i => i.value > 0 && i.uncertainty < i.value * 0.1);
+      if (measurable.length > 5) {
+        const avgInterval = measurable.reduce((sum, i) => sum + i.value, 0) / measurable.length;
+        const variance = measurable.reduce((sum, i) => sum + Math.pow(i.value - avgInterval, 2), 0) / measurable.length;
+        const stdDev = Math.sqrt(variance);
+
+        // Very low variance suggests automated posting
+        if (stdDev < avgInterval * 0.1) {
+          return {
+            isSuspicious: true,
+            reason: 'Posts made at suspiciously regular intervals'
+          };
+        }
       }
 
       // Check for burst posting (many posts in short time)
-      const recentPosts = timestamps.filter(t => {
-        const dayAgo = Date.now() - (24 * 60 * 60 * 1000);
-        return t > dayAgo;
-      });
+      // Posts whose time is too coarse to place within the last day are not counted
+      const dayMs = 24 * 60 * 60 * 1000;
+      const dayAgo = Date.now() - dayMs;
+      const recentPosts = times.filter(t => t.timestamp > dayAgo && t.precision < dayMs);
 
       if (recentPosts.length > 10) {
         return {
@@ -356,32 +379,34 @@ class ProfileAnalyzer {
 
     const flags = [];
     let suspicionScore = 0;
+    const name = TextPipeline.prepare(username);
 
     // Check for random character patterns
-    const randomPattern = /^[a-z]+\d{4,}$/i;  // name followed by many numbers
-    if (randomPattern.test(username)) {
+    const randomPattern = /^\p{L}+\p{N}{4,}$/u;  // name followed by many numbers
+    if (randomPattern.test(name)) {
       flags.push('Username follows random pattern (name + numbers)');
       suspicionScore += 0.3;
     }
 
     // Check for excessive numbers
-    const numberCount = (username.match(/\d/g) || []).length;
-    if (numberCount > username.length * 0.4) {
+    const numberCount = (name.match(/\p{N}/gu) || []).length;
+    if (numberCount > name.length * 0.4) {
       flags.push('Excessive numbers in username');
       suspicionScore += 0.2;
     }
 
     // Check for generic names
     const genericNames = ['user', 'guest', 'admin', 'test', 'demo', 'account'];
-    const hasGeneric = genericNames.some(name => username.toLowerCase().includes(name));
+    const hasGeneric = genericNames.some(generic => name.includes(generic));
     if (hasGeneric) {
       flags.push('Contains generic username pattern');
       suspicionScore += 0.3;
     }
 
-    // Check for randomly generated appearance
-    const hasVowels = /[aeiou]/i.test(username);
-    const consonantRuns = username.match(/[bcdfghjklmnpqrstvwxyz]{4,}/gi);
+    // Check for randomly generated appearance (vowels only tell for Latin letters, accents removed)
+    const latin = name.normalize('NFD').replace(/\p{M}/gu, '');
+    const hasVowels = !/\p{Script=Latin}/u.test(latin) || /[aeiouæøåœ]/.test(latin);
+    const consonantRuns = latin.match(/[bcdfghjklmnpqrstvwxyz]{4,}/g);
     if (!hasVowels || consonantRuns) {
       flags.push('Username appears randomly generated');
       suspicionScore += 0.2;
@@ -396,47 +421,58 @@ class ProfileAnalyzer {
 
   /**
    * Quick check for a single piece of content (comment/post)
+   * @param {Object} options - { platform, scope ('comment' or 'post'), disabledDetectors,
+   *   rules (custom rules), authors and domains (what the rules can match besides the text),
+   *   parent (text of the comment replied to, for sarcasm cues) }
    */
-  analyzeContent(text) {
-    const sentiment = this.sentimentAnalyzer.analyze(text);
-    const aiPatterns = this.utils.detectAIPatterns(text);
-    const buzzwords = this.utils.detectBuzzwords(text);
-    const spam = this.utils.detectSpamPatterns(text);
-
-    let suspicionScore = 0;
-    const flags = [];
-
-    if (aiPatterns.isLikelyAI) {
-      flags.push('AI-like writing detected');
-      suspicionScore += 0.3;
-    }
-
-    if (sentiment.isExtreme) {
-      flags.push('Extreme sentiment detected');
-      suspicionScore += 0.2;
+  analyzeContent(text, options = {}) {
+    const context = DetectorRegistry.createContext(this, options, {
+      language: () => this.utils.detectLanguage(text),
+      sentiment: () => this.sentimentAnalyzer.analyze(text, { parent: options.parent }),
+      aiPatterns: () => this.utils.detectAIPatterns(text),
+      buzzwords: () => this.utils.detectBuzzwords(text),
+      spam: () => this.utils.detectSpamPatterns(text),
+      toxicity: () => toxicityAnalyzer.analyze(text)
+    });
+    const detections = [this.detectors.run(options.scope === 'post' ? 'post' : 'comment', { text }, context)];
+
+    // User-defined rules add their own signals and flags
+    if (options.rules && options.rules.length > 0) {
+      detections.push(RuleEngine.evaluate(options.rules, {
+        text,
+        authors: options.authors,
+        domains: options.domains,
+        language: context.get('language')
+      }));
     }
 
-    if (buzzwords.density > 0.2) {
-      flags.push('High buzzword density');
-      suspicionScore += 0.2;
-    }
+    const merge = key => Object.assign({}, ...detections.map(detection => detection[key]));
+    const indicators = merge('indicators');
+    const { score: suspicionScore, contributions } = ScoringModel.combine(
+      merge('signals'),
+      { ...merge('weights'), ...ScoringModel.getWeights('CONTENT_ANALYSIS', options.platform) },
+      merge('labels')
+    );
 
-    if (spam.isSpam) {
-      flags.push('Spam patterns detected');
-      suspicionScore += 0.4;
-    }
+    // The indicator comes from the strongest signal whose detector or rule defines one
+    const top = contributions.find(({ signal, contribution }) => contribution > 0 && indicators[signal]);
+    const sentiment = context.get('sentiment');
+    const aiPatterns = context.get('aiPatterns');
 
     return {
       suspicionScore,
-      isSuspicious: suspicionScore > 0.4,
-      flags,
+      isSuspicious: ProfileAnalyzer.isFlagged(suspicionScore, this.thresholds.flag),
+      flags: [].concat(...detections.map(detection => detection.flags)),
+      contributions,
+      indicator: top ? indicators[top.signal] : null,
       sentiment: sentiment.classification,
       aiScore: aiPatterns.score,
       details: {
         sentiment,
         aiPatterns,
-        buzzwords,
-        spam
+        buzzwords: context.get('buzzwords'),
+        spam: context.get('spam'),
+        toxicity: context.get('toxicity')
       }
     };
   }
@@ -0,0 +1,321 @@
+/**
+ * ruleEngine.js - User-defined rules for custom flags
+ * Rules match keywords, regexes, link domains, author handles and language, combined with
+ * AND ("all") or OR ("any"). A matching rule adds its weight to the score and its label to the flags.
+ * Rules are stored in chrome.storage.local and can be imported and exported as rule packs.
+ *
+ * Rule: { id, label, enabled, weight, style, combine, keywords, patterns, domains, authors, languages }
+ */
+
+class RuleEngine {
+  static get FORMAT() {
+    return 'ai-troll-detector-rule-pack';
+  }
+
+  static get VERSION() {
+    return 1;
+  }
+
+  static get STORAGE_KEY() {
+    return 'customRules';
+  }
+
+  /**
+   * Condition lists a rule can define
+   */
+  static get CONDITIONS() {
+    return ['keywords', 'patterns', 'domains', 'authors', 'languages'];
+  }
+
+  /**
+   * Indicator styles and their default emoji
+   */
+  static get STYLES() {
+    return { warning: '⚠️', danger: '🚩', info: 'ℹ️' };
+  }
+
+  /**
+   * Check that a regex pattern compiles
+   * @returns {Object} { valid, error }
+   */
+  static validatePattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      return { valid: false, error: 'Pattern is empty' };
+    }
+
+    try {
+      new RegExp(pattern, 'i');
+      return { valid: true, error: null };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate and normalize one rule
+   * @returns {Object} { rule, errors }
+   */
+  static validateRule(rule, index = 0) {
+    const errors = [];
+    const path = `rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return { rule: null, errors: [`${path}: must be an object`] };
+    }
+
+    const label = typeof rule.label === 'string' ? rule.label.trim() : '';
+    if (!label) {
+      errors.push(`${path}.label: is required`);
+    }
+
+    const weight = rule.weight === undefined ? 0.5 : rule.weight;
+    if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+      errors.push(`${path}.weight: must be a number from 0 to 1`);
+    }
+
+    const style = rule.style || 'warning';
+    if (!RuleEngine.STYLES[style]) {
+      errors.push(`${path}.style: must be one of ${Object.keys(RuleEngine.STYLES).join(', ')}`);
+    }
+
+    const combine = rule.combine || 'any';
+    if (combine !== 'all' && combine !== 'any') {
+      errors.push(`${path}.combine: must be "all" (AND) or "any" (OR)`);
+    }
+
+    const normalized = {
+      id: typeof rule.id === 'string' && rule.id ? rule.id : `rule-${index + 1}`,
+      label,
+      enabled: rule.enabled !== false,
+      weight,
+      style,
+      combine
+    };
+
+    RuleEngine.CONDITIONS.forEach((condition) => {
+      const values = rule[condition] === undefined ? [] : rule[condition];
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+        errors.push(`${path}.${condition}: must be a list of strings`);
+        normalized[condition] = [];
+        return;
+      }
+      normalized[condition] = values.map(value => value.trim()).filter(value => value.length > 0);
+    });
+
+    normalized.patterns.forEach((pattern, patternIndex) => {
+      const result = RuleEngine.validatePattern(pattern);
+      if (!result.valid) {
+        errors.push(`${path}.patterns[${patternIndex}]: ${result.error}`);
+      }
+    });
+
+    if (RuleEngine.CONDITIONS.every(condition => normalized[condition].length === 0)) {
+      errors.push(`${path}: needs at least one condition`);
+    }
+
+    return { rule: normalized, errors };
+  }
+
+  /**
+   * Validate a rule pack (exported pack or bare list of rules)
+   * @returns {Object} { valid, errors, rules }
+   */
+  static validatePack(pack) {
+    const source = Array.isArray(pack) ? pack : pack && pack.rules;
+
+    if (!Array.isArray(source)) {
+      return { valid: false, errors: ['Rule pack must be a list of rules or an object with a "rules" list'], rules: [] };
+    }
+
+    const errors = [];
+    if (pack.format && pack.format !== this.FORMAT) {
+      errors.push(`Unknown pack format "${pack.format}"`);
+    }
+
+    const rules = [];
+    const ids = new Set();
+    source.forEach((entry, index) => {
+      const { rule, errors: ruleErrors } = this.validateRule(entry, index);
+      errors.push(...ruleErrors);
+      if (!rule) return;
+
+      if (ids.has(rule.id)) {
+        errors.push(`rules[${index}].id: "${rule.id}" is used more than once`);
+      }
+      ids.add(rule.id);
+      rules.push(rule);
+    });
+
+    return { valid: errors.length === 0, errors, rules };
+  }
+
+  /**
+   * Build an exportable rule pack
+   */
+  static createPack(rules) {
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      rules: rules || []
+    };
+  }
+
+  /**
+   * Load stored rules from chrome.storage
+   */
+  static async load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        resolve(result[this.STORAGE_KEY] || []);
+      });
+    });
+  }
+
+  /**
+   * Save rules to chrome.storage
+   */
+  static async save(rules) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.STORAGE_KEY]: rules }, () => {
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Whether any enabled rule matches on something other than the text itself
+   * (results for the same text can then differ between comments)
+   */
+  static dependsOnContext(rules) {
+    return (rules || []).some(rule => rule.enabled !== false &&
+      ((rule.authors || []).length > 0 || (rule.domains || []).length > 0));
+  }
+
+  /**
+   * Escape a string for use inside a RegExp
+   */
+  static escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Compile enabled rules into matchers (cached per rules array)
+   */
+  static compile(rules) {
+    if (!this.compiled) {
+      this.compiled = new WeakMap();
+    }
+    if (this.compiled.has(rules)) {
+      return this.compiled.get(rules);
+    }
+
+    const compiled = rules
+      .filter(rule => rule.enabled !== false)
+      .map((rule) => {
+        // Keywords match whole words or phrases, so "ai" doesn't match "said"
+        const keywords = (rule.keywords || []).map((keyword) => {
+          const escaped = this.escapeRegExp(TextPipeline.normalize(keyword, 'NFKC'));
+          return new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}_])${escaped}(?=$|[^\\p{L}\\p{M}\\p{N}_])`, 'iu');
+        });
+        const patterns = (rule.patterns || [])
+          .filter(pattern => this.validatePattern(pattern).valid)
+          .map(pattern => new RegExp(pattern, 'i'));
+
+        return {
+          rule,
+          keywords,
+          patterns,
+          domains: (rule.domains || []).map(domain => this.normalizeDomain(domain)),
+          authors: (rule.authors || []).map(author => this.normalizeAuthor(author)),
+          languages: (rule.languages || []).map(language => language.toLowerCase())
+        };
+      });
+
+    this.compiled.set(rules, compiled);
+    return compiled;
+  }
+
+  /**
+   * Lowercase a domain and strip scheme, "www." and path
+   */
+  static normalizeDomain(value) {
+    return value.toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^www\./, '')
+      .split(/[/?#:]/)[0];
+  }
+
+  /**
+   * Lowercase an author handle and strip "@", "u/" and "/u/" prefixes
+   */
+  static normalizeAuthor(value) {
+    return value.toLowerCase().replace(/^\/?(u\/|user\/|@)/, '');
+  }
+
+  /**
+   * Domains linked or mentioned in a text
+   */
+  static extractDomains(text) {
+    const domains = new Set();
+    const pattern = /\b(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(?=[/?#:\s]|$)/gi;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      domains.add(this.normalizeDomain(match[1]));
+    }
+    return domains;
+  }
+
+  /**
+   * Evaluate rules against one item
+   * @param {Array} rules - Stored rules
+   * @param {Object} input - { text, authors: [handle, name], domains: [linked hosts], language }
+   * @returns {Object} Detection result shaped like DetectorRegistry.run():
+   *   { signals, weights, labels, indicators } keyed by "RULE_<id>", flags, matches: [rule ids]
+   */
+  static evaluate(rules, input) {
+    const result = { signals: {}, weights: {}, labels: {}, indicators: {}, flags: [], matches: [] };
+    if (!Array.isArray(rules) || rules.length === 0) return result;
+
+    const text = TextPipeline.normalize(input.text || '', 'NFKC');
+    const authors = (input.authors || []).filter(Boolean).map(author => this.normalizeAuthor(author));
+    const domains = this.extractDomains(text);
+    (input.domains || []).forEach(domain => domains.add(this.normalizeDomain(domain)));
+    const language = (input.language || '').toLowerCase();
+
+    this.compile(rules).forEach(({ rule, keywords, patterns, domains: ruleDomains, authors: ruleAuthors, languages }) => {
+      const checks = [];
+      if (keywords.length > 0) checks.push(keywords.some(keyword => keyword.test(text)));
+      if (patterns.length > 0) checks.push(patterns.some(pattern => pattern.test(text)));
+      if (ruleDomains.length > 0) {
+        checks.push(ruleDomains.some(domain =>
+          Array.from(domains).some(host => host === domain || host.endsWith(`.${domain}`))));
+      }
+      if (ruleAuthors.length > 0) checks.push(ruleAuthors.some(author => authors.includes(author)));
+      if (languages.length > 0) checks.push(languages.includes(language));
+
+      const matched = checks.length > 0 &&
+        (rule.combine === 'all' ? checks.every(Boolean) : checks.some(Boolean));
+      if (!matched) return;
+
+      const signal = `RULE_${rule.id}`;
+      result.signals[signal] = 1;
+      result.weights[signal] = rule.weight;
+      result.labels[signal] = rule.label;
+      result.indicators[signal] = {
+        emoji: RuleEngine.STYLES[rule.style] || RuleEngine.STYLES.warning,
+        label: rule.label,
+        className: rule.style
+      };
+      result.flags.push(`Custom rule: ${rule.label}`);
+      result.matches.push(rule.id);
+    });
+
+    return result;
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.RuleEngine = RuleEngine;
+}
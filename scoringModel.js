@@ -0,0 +1,106 @@
+/**
+ * scoringModel.js - Weighted scoring of normalized signals
+ * Every signal produces a 0-1 sub-score; its weight (CONFIG.WEIGHTS, with per-platform
+ * overrides in CONFIG.WEIGHTS.PLATFORMS) is the most it can add to the final score.
+ */
+
+class ScoringModel {
+  /**
+   * Human-readable signal names for explanations
+   */
+  static get SIGNAL_LABELS() {
+    return {
+      AI_PATTERNS: 'AI-like writing',
+      EXTREME_SENTIMENT: 'Extreme sentiment',
+      BUZZWORDS: 'Buzzwords',
+      SPAM: 'Spam patterns',
+      HOSTILE_EMOTION: 'Hostile emotion',
+      TOXICITY: 'Toxicity',
+      BIO_AI_PATTERNS: 'AI-like bio',
+      BIO_BUZZWORDS: 'Bio buzzwords',
+      POST_REPETITION: 'Repetitive posts',
+      POST_AI_PATTERNS: 'AI-like posts',
+      POSTING_FREQUENCY: 'Posting frequency',
+      USERNAME: 'Username pattern'
+    };
+  }
+
+  /**
+   * Weights for a model, with the platform's overrides applied
+   * @param {string} model - Weight table in CONFIG.WEIGHTS ('CONTENT_ANALYSIS' or 'PROFILE_ANALYSIS')
+   * @param {string} platform - Platform id (linkedin, youtube, reddit, ...)
+   */
+  static getWeights(model, platform) {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      WEIGHTS: {
+        CONTENT_ANALYSIS: { AI_PATTERNS: 0.3, EXTREME_SENTIMENT: 0.2, BUZZWORDS: 0.2, SPAM: 0.4, HOSTILE_EMOTION: 0.3, TOXICITY: 0.5 },
+        PROFILE_ANALYSIS: {
+          BIO_AI_PATTERNS: 0.2,
+          BIO_BUZZWORDS: 0.15,
+          POST_REPETITION: 0.25,
+          EXTREME_SENTIMENT: 0.2,
+          POST_AI_PATTERNS: 0.25,
+          POSTING_FREQUENCY: 0.15,
+          USERNAME: 0.1
+        },
+        PLATFORMS: {}
+      }
+    };
+
+    const platforms = config.WEIGHTS.PLATFORMS || {};
+    const overrides = (platforms[platform] && platforms[platform][model]) || {};
+    return { ...config.WEIGHTS[model], ...overrides };
+  }
+
+  /**
+   * Sub-score rising linearly from 0 at half the threshold to 1 at the threshold
+   */
+  static ramp(value, threshold) {
+    if (!(value > 0) || !(threshold > 0)) return 0;
+    return Math.max(0, Math.min(1, (value - threshold / 2) / (threshold / 2)));
+  }
+
+  /**
+   * Combine sub-scores by weight
+   * @param {Object} signals - { SIGNAL: 0-1 sub-score }
+   * @param {Object} weights - { SIGNAL: weight }; signals without a weight don't count
+   * @param {Object} labels - { SIGNAL: label } for signals without a built-in label
+   * @returns {Object} { score, contributions: [{ signal, label, score, weight, contribution }] }, largest first
+   */
+  static combine(signals, weights, labels = {}) {
+    const builtInLabels = ScoringModel.SIGNAL_LABELS;
+
+    const contributions = Object.entries(signals)
+      .filter(([signal]) => typeof weights[signal] === 'number')
+      .map(([signal, score]) => {
+        const subScore = Math.max(0, Math.min(1, score || 0));
+        return {
+          signal,
+          label: builtInLabels[signal] || labels[signal] || signal,
+          score: subScore,
+          weight: weights[signal],
+          contribution: subScore * weights[signal]
+        };
+      })
+      .sort((a, b) => b.contribution - a.contribution);
+
+    const total = contributions.reduce((sum, { contribution }) => sum + contribution, 0);
+    return { score: Math.min(total, 1), contributions };
+  }
+
+  /**
+   * Short explanation of the largest contributions, e.g. "Spam patterns +40%, Buzzwords +12%"
+   */
+  static explain(contributions, limit = 3) {
+    return (contributions || [])
+      .filter(({ contribution }) => contribution >= 0.005)
+      .slice(0, limit)
+      .map(({ label, contribution }) => `${label} +${Math.round(contribution * 100)}%`)
+      .join(', ');
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.ScoringModel = ScoringModel;
+}
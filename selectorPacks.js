@@ -0,0 +1,230 @@
+/**
+ * selectorPacks.js - User-editable selector overrides layered over platformSelectors.json
+ * Validates, merges, imports and exports selector packs
+ */
+
+class SelectorPacks {
+  static get FORMAT() {
+    return 'ai-troll-detector-selector-pack';
+  }
+
+  static get VERSION() {
+    return 1;
+  }
+
+  static get STORAGE_KEY() {
+    return 'selectorOverrides';
+  }
+
+  /**
+   * Check that a selector is syntactically valid for querySelector
+   * @returns {Object} { valid, error }
+   */
+  static validateSelector(selector) {
+    if (typeof selector !== 'string' || selector.trim().length === 0) {
+      return { valid: false, error: 'Selector is empty' };
+    }
+
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return { valid: true, error: null };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Normalize a content value (string or array) to an array of selectors
+   */
+  static toSelectorList(content) {
+    if (Array.isArray(content)) return content;
+    return typeof content === 'string' && content.trim().length > 0 ? [content] : [];
+  }
+
+  /**
+   * Validate a selector pack (exported pack or bare platform map)
+   * @returns {Object} { valid, errors, platforms } where platforms is the normalized override map
+   */
+  static validatePack(pack) {
+    const errors = [];
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      return { valid: false, errors: ['Selector pack must be a JSON object'], platforms: {} };
+    }
+
+    if (pack.format && pack.format !== this.FORMAT) {
+      errors.push(`Unknown pack format "${pack.format}"`);
+    }
+
+    const source = pack.platforms && typeof pack.platforms === 'object' ? pack.platforms : pack;
+    const platforms = {};
+
+    for (const [platform, sections] of Object.entries(source)) {
+      if (platform === 'format' || platform === 'version' || platform === 'exportedAt') continue;
+
+      if (!sections || typeof sections !== 'object' || Array.isArray(sections)) {
+        errors.push(`${platform}: must be an object of sections`);
+        continue;
+      }
+
+      platforms[platform] = {};
+
+      for (const [name, section] of Object.entries(sections)) {
+        const path = `${platform}.${name}`;
+
+        if (!section || typeof section !== 'object' || Array.isArray(section)) {
+          errors.push(`${path}: must be an object`);
+          continue;
+        }
+
+        const normalized = { replace: section.replace === true };
+
+        if (section.container !== undefined) {
+          const result = this.validateSelector(section.container);
+          if (!result.valid) {
+            errors.push(`${path}.container: ${result.error}`);
+          }
+          normalized.container = section.container;
+        }
+
+        if (section.content !== undefined) {
+          const content = this.toSelectorList(section.content);
+          content.forEach((selector, index) => {
+            const result = this.validateSelector(selector);
+            if (!result.valid) {
+              errors.push(`${path}.content[${index}]: ${result.error}`);
+            }
+          });
+          normalized.content = content;
+        }
+
+        ['minLength', 'maxLength'].forEach((field) => {
+          if (section[field] === undefined) return;
+          if (typeof section[field] !== 'number' || section[field] < 0) {
+            errors.push(`${path}.${field}: must be a non-negative number`);
+          } else {
+            normalized[field] = section[field];
+          }
+        });
+
+        if (section.type !== undefined) {
+          normalized.type = String(section.type);
+        }
+
+        platforms[platform][name] = normalized;
+      }
+    }
+
+    return { valid: errors.length === 0, errors, platforms };
+  }
+
+  /**
+   * Merge user overrides over the bundled selectors
+   * Sections gain `containers` and `content` lists of { selector, source } entries,
+   * tried in order, with override selectors ahead of the bundled ones.
+   * Invalid override selectors are dropped.
+   */
+  static merge(bundled, overrides = {}) {
+    const merged = {};
+    const platformNames = new Set([...Object.keys(bundled || {}), ...Object.keys(overrides || {})]);
+
+    platformNames.forEach((platform) => {
+      const base = (bundled && bundled[platform]) || {};
+      const custom = (overrides && overrides[platform]) || {};
+      const result = {};
+
+      // Copy non-section fields (name, hosts, profile) from the bundled definition
+      for (const [key, value] of Object.entries(base)) {
+        if (!value || typeof value.container !== 'string') {
+          result[key] = value;
+        }
+      }
+
+      const sectionNames = new Set([
+        ...Object.keys(base).filter(key => base[key] && typeof base[key].container === 'string'),
+        ...Object.keys(custom)
+      ]);
+
+      sectionNames.forEach((name) => {
+        const section = this.mergeSection(base[name] || {}, custom[name] || {});
+        if (section.containers.length > 0) {
+          result[name] = section;
+        }
+      });
+
+      merged[platform] = result;
+    });
+
+    return merged;
+  }
+
+  /**
+   * Merge one section's override over its bundled definition
+   */
+  static mergeSection(base, custom) {
+    const tag = (selectors, source) => selectors
+      .filter(selector => this.validateSelector(selector).valid)
+      .map(selector => ({ selector, source }));
+
+    const bundledContainers = base.container ? tag([base.container], 'bundled') : [];
+    const bundledContent = tag(this.toSelectorList(base.content), 'bundled');
+    const customContainers = custom.container ? tag([custom.container], 'override') : [];
+    const customContent = tag(this.toSelectorList(custom.content), 'override');
+
+    const containers = custom.replace && customContainers.length > 0
+      ? customContainers
+      : [...customContainers, ...bundledContainers];
+    const content = custom.replace && customContent.length > 0
+      ? customContent
+      : [...customContent, ...bundledContent];
+
+    return {
+      ...base,
+      ...(custom.type !== undefined && { type: custom.type }),
+      ...(custom.minLength !== undefined && { minLength: custom.minLength }),
+      ...(custom.maxLength !== undefined && { maxLength: custom.maxLength }),
+      container: containers.map(entry => entry.selector).join(', '),
+      containers,
+      content
+    };
+  }
+
+  /**
+   * Build an exportable selector pack from stored overrides
+   */
+  static createPack(overrides) {
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      platforms: overrides || {}
+    };
+  }
+
+  /**
+   * Load stored overrides from chrome.storage
+   */
+  static async load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        resolve(result[this.STORAGE_KEY] || {});
+      });
+    });
+  }
+
+  /**
+   * Save overrides to chrome.storage
+   */
+  static async save(overrides) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.STORAGE_KEY]: overrides }, () => {
+        resolve();
+      });
+    });
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.SelectorPacks = SelectorPacks;
+}
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('requests are answered by id', () => {
+  const AnalysisEngine = load('AnalysisEngine');
+  const analyzer = new (load('ProfileAnalyzer'))();
+
+  const contents = AnalysisEngine.handle(analyzer, 'analyzeContents', {
+    items: [{ id: 'a', text: 'This is terrible awful garbage!!!' }, { id: 'b', text: 'Thanks, that helped a lot' }]
+  });
+  assert.strictEqual(contents.map(({ id }) => id).join(','), 'a,b');
+  assert.strictEqual(
+    JSON.stringify(contents[0].analysis),
+    JSON.stringify(analyzer.analyzeContent('This is terrible awful garbage!!!'))
+  );
+
+  const coordinated = AnalysisEngine.handle(analyzer, 'detectCoordinated', {
+    items: [{ id: 0, text: 'same text here ok' }, { id: 1, text: 'same text here ok' }],
+    threshold: 0.7
+  });
+  assert.strictEqual(coordinated.matches.length, 1);
+  assert.throws(() => AnalysisEngine.handle(analyzer, 'bogus', {}), /Unknown engine request: bogus/);
+});
+
+test('the page fallback builds its analyzer on first use', () => {
+  const engine = new (load('AnalysisEngine'))();
+  assert.strictEqual(engine.analyzer, null);
+
+  engine.runLocally('analyzeContents', { items: [{ id: 1, text: 'Hello there' }] });
+  assert.ok(engine.analyzer);
+});
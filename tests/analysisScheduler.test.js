@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+/**
+ * A scheduler with elements 0..count-1 queued, the ones in `near` reported near the viewport
+ */
+function schedulerWith(count, near = []) {
+  const scheduler = new (load('AnalysisScheduler'))();
+  scheduler.observer = { observe() {}, unobserve() {} };
+
+  const elements = Array.from({ length: count }, (_, i) => ({ i }));
+  scheduler.enqueue(elements.map(element => ({ element })));
+  scheduler.handleIntersections(near.map(i => ({ target: elements[i], isIntersecting: true })));
+  return scheduler;
+}
+
+const order = (scheduler) => {
+  const taken = [];
+  for (let item = scheduler.nextItem(); item; item = scheduler.nextItem()) {
+    taken.push(item.element.i);
+    scheduler.dequeue(item.element);
+  }
+  return taken.join(',');
+};
+
+test('items near the viewport come first, then document order', () => {
+  assert.strictEqual(order(schedulerWith(5, [3, 1])), '3,1,0,2,4');
+});
+
+test('in visible-only mode items far from the viewport wait', () => {
+  const scheduler = schedulerWith(5, [2]);
+  scheduler.visibleOnly = true;
+  assert.strictEqual(order(scheduler), '2');
+  assert.strictEqual(scheduler.queue.size, 4);
+  assert.strictEqual(scheduler.hasRunnableWork(), false);
+});
+
+test('a run analyzes every extraction and reports its progress', async () => {
+  const scheduler = schedulerWith(6, [5]);
+  const progress = [];
+  scheduler.onProgress = update => progress.push(update.status);
+
+  const analyzed = [];
+  const result = await scheduler.run(
+    ({ element }) => (element.i % 2 === 0 ? null : element.i),
+    async (extractions) => { analyzed.push(...extractions); }
+  );
+
+  assert.strictEqual(result.status, 'complete');
+  assert.strictEqual(result.processed, 6);
+  assert.strictEqual(result.remaining, 0);
+  assert.strictEqual(analyzed.join(','), '5,1,3');
+  assert.ok(progress.length > 0 && progress.every(status => status === 'running'));
+});
+
+test('cancel() stops a run and drops the queue', async () => {
+  const scheduler = schedulerWith(4);
+  const result = await scheduler.run(({ element }) => element.i, async () => scheduler.cancel());
+
+  assert.strictEqual(result.status, 'cancelled');
+  assert.strictEqual(scheduler.queue.size, 0);
+});
+
+test('a run stops once it exceeds the timeout', async () => {
+  const scheduler = schedulerWith(3);
+  scheduler.runTimeout = -1;
+
+  const result = await scheduler.run(() => null, async () => {});
+  assert.strictEqual(result.status, 'timedOut');
+  assert.strictEqual(result.remaining, 3);
+});
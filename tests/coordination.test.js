@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+const TEMPLATES = [
+  'This candidate is the only one who truly cares about working families in our town',
+  'Vote no on the new stadium, it is a waste of taxpayer money and nobody asked for it',
+  'I have been using this product for years and it changed my life, highly recommend it'
+];
+
+const WORDS = ['river', 'cheese', 'planet', 'guitar', 'winter', 'ladder', 'orange', 'market', 'pencil',
+  'forest', 'engine', 'castle', 'button', 'saddle', 'violet', 'harbor', 'rocket', 'tunnel', 'meadow'];
+
+// Copies of a few templates with small edits, among unrelated comments
+const texts = Array.from({ length: 60 }, (_, i) => (i % 4 === 0
+  ? `${TEMPLATES[i % 3]}${i % 8 === 0 ? '!' : ''}`
+  : Array.from({ length: 6 }, (_, k) => WORDS[(i * (k + 3) + k * k) % WORDS.length]).join(' ')));
+
+const pairsOf = matches => matches
+  .map(({ index1, index2 }) => `${Math.min(index1, index2)}-${Math.max(index1, index2)}`)
+  .sort()
+  .join(',');
+
+test('matches chain into clusters, largest first', () => {
+  const utils = load('TextAnalysisUtils');
+  const clusters = utils.clusterMatches([
+    { index1: 7, index2: 9 }, { index1: 0, index2: 4 }, { index1: 4, index2: 2 }, { index1: 9, index2: 5 },
+    { index1: 2, index2: 0 }, { index1: 5, index2: 8 }
+  ]);
+  assert.strictEqual(clusters.map(members => members.join(' ')).join(' | '), '5 7 8 9 | 0 2 4');
+});
+
+test('copies of a comment match, unrelated comments do not', () => {
+  const utils = load('TextAnalysisUtils');
+  const comments = [TEMPLATES[0], 'Lovely weather for the harbour festival today', `${TEMPLATES[0]}!`, TEMPLATES[1]]
+    .map((text, id) => ({ id, text }));
+  const { hasSuspiciousPatterns, matches } = utils.detectCoordinatedComments(comments, 0.7);
+
+  assert.strictEqual(hasSuspiciousPatterns, true);
+  assert.strictEqual(pairsOf(matches), '0-2');
+});
+
+test('comments added in batches give the matches of detecting them all at once', () => {
+  const utils = load('TextAnalysisUtils');
+  const minHash = new (load('MinHashIndex'))();
+  const index = new (load('CoordinationIndex'))(0.7);
+
+  [5, 15, 1, 20, 19].reduce((start, count) => {
+    const batch = texts.slice(start, start + count);
+    index.add(batch, batch.map(text => minHash.signature(text)));
+    return start + count;
+  }, 0);
+
+  const { matches } = utils.detectCoordinatedComments(texts.map((text, id) => ({ id, text })), 0.7);
+  assert.strictEqual(index.size, texts.length);
+  assert.ok(index.matches.length > 0);
+  assert.strictEqual(pairsOf(index.matches), pairsOf(matches));
+});
+
+test('add() returns only the matches of the new comments', () => {
+  const minHash = new (load('MinHashIndex'))();
+  const index = new (load('CoordinationIndex'))(0.7);
+  const add = batch => index.add(batch, batch.map(text => minHash.signature(text)));
+
+  add([TEMPLATES[0], TEMPLATES[1]]);
+  assert.strictEqual(pairsOf(add([`${TEMPLATES[0]}!`, 'Something unrelated'])), '0-2');
+  assert.strictEqual(add(['Another unrelated comment']).length, 0);
+});
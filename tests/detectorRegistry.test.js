@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+const giveaway = {
+  id: 'giveaway',
+  name: 'Giveaway bait',
+  languages: ['en'],
+  scopes: ['comment', 'post'],
+  signal: 'GIVEAWAY',
+  weight: 0.6,
+  score: input => (/giveaway/i.test(input.text) ? 1 : 0),
+  explain: score => (score > 0 ? 'Giveaway bait' : null),
+  indicator: () => ({ emoji: '🎁', label: 'Giveaway', className: 'warning' })
+};
+
+test('detectors need an id, score and explain functions and a valid scope', () => {
+  const registry = new (load('DetectorRegistry'))();
+  assert.throws(() => registry.register({ score() {}, explain() {} }), /needs an id/);
+  assert.throws(() => registry.register({ id: 'x', score() {} }), /needs score and explain/);
+  assert.throws(() => registry.register({ ...giveaway, scopes: ['page'] }), /no valid scope/);
+});
+
+test('detectors are selected by scope, language and the disabled list', () => {
+  const DetectorRegistry = load('DetectorRegistry');
+  const registry = new DetectorRegistry()
+    .register(giveaway)
+    .register({ ...giveaway, id: 'any', languages: [], scopes: ['comment', 'profile'] });
+  const ids = (...args) => registry.select(...args).map(({ id }) => id).join(',');
+
+  assert.strictEqual(ids('comment', 'en'), 'giveaway,any');
+  assert.strictEqual(ids('comment', 'de'), 'any');
+  assert.strictEqual(ids('post', 'en'), 'giveaway');
+  assert.strictEqual(ids('comment', 'en', ['giveaway']), 'any');
+});
+
+test('a failing detector is skipped, the others still report', () => {
+  const DetectorRegistry = load('DetectorRegistry');
+  const registry = new DetectorRegistry()
+    .register({ ...giveaway, id: 'broken', signal: 'BROKEN', score() { throw new Error('boom'); } })
+    .register(giveaway);
+  const context = DetectorRegistry.createContext(null, {}, { language: () => 'en' });
+
+  const result = registry.run('comment', { text: 'Huge GIVEAWAY today' }, context);
+  assert.strictEqual(Object.keys(result.signals).join(','), 'GIVEAWAY');
+  assert.strictEqual(result.flags.join(','), 'Giveaway bait');
+  assert.strictEqual(result.indicators.GIVEAWAY.label, 'Giveaway');
+});
+
+test('a registered detector takes part in content scoring', () => {
+  const DetectorRegistry = load('DetectorRegistry');
+  const detectors = DetectorRegistry.registerBuiltIns(new DetectorRegistry()).register(giveaway);
+  const analyzer = new (load('ProfileAnalyzer'))({ detectors });
+
+  const analysis = analyzer.analyzeContent('Join the giveaway on my channel today');
+  assert.ok(analysis.flags.includes('Giveaway bait'));
+  assert.strictEqual(analysis.contributions[0].signal, 'GIVEAWAY');
+  assert.strictEqual(analysis.indicator.emoji, '🎁');
+
+  const disabled = analyzer.analyzeContent('Join the giveaway on my channel today', { disabledDetectors: ['giveaway'] });
+  assert.ok(!disabled.flags.includes('Giveaway bait'));
+});
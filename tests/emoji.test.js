@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('skin tones, variation selectors and ZWJ sequences count once and score like their base', () => {
+  const emojiAnalyzer = load('emojiAnalyzer');
+  const keys = text => emojiAnalyzer.extract(text).map(({ key }) => key).join(' ');
+
+  assert.strictEqual(keys('Nice 👍🏽 and 👍'), '👍 👍');
+  assert.strictEqual(keys('❤️ ❤'), '❤ ❤');
+  assert.strictEqual(emojiAnalyzer.analyze('Oh no 🤦‍♂️').count, 1);
+  assert.strictEqual(emojiAnalyzer.analyze('Oh no 🤦‍♂️').score, emojiAnalyzer.analyze('Oh no 🤦').score);
+});
+
+test('text-style symbols are not emoji', () => {
+  const emojiAnalyzer = load('emojiAnalyzer');
+  assert.strictEqual(emojiAnalyzer.analyze('Brand™ © 2024').count, 0);
+});
+
+test('emoticons match as whole words only', () => {
+  const emojiAnalyzer = load('emojiAnalyzer');
+  assert.strictEqual(emojiAnalyzer.extract('Great :-D thanks').map(({ text }) => text).join(), ':-D');
+  assert.strictEqual(emojiAnalyzer.extract('see http://x.io:8080/path').length, 0);
+  assert.strictEqual(emojiAnalyzer.analyze('Sure ;)').stats.sarcastic, 1);
+});
+
+test('long runs of the same emoji are spam, a few emoji are not', () => {
+  const emojiAnalyzer = load('emojiAnalyzer');
+  const spam = emojiAnalyzer.analyze('Check my page 🔥🔥🔥🔥🔥');
+  assert.strictEqual(spam.stats.longestRun, 5);
+  assert.strictEqual(spam.stats.isSpam, true);
+  assert.strictEqual(spam.stats.top[0].emoji, '🔥');
+
+  assert.strictEqual(emojiAnalyzer.analyze('Had a great time today at the beach with friends 😊🎉').stats.isSpam, false);
+});
+
+test('emoji add to the sentiment of the text', () => {
+  const analyzer = load('new SentimentAnalyzer()');
+  assert.ok(analyzer.analyze('Meeting moved to Thursday 😡').compound < 0);
+  assert.ok(analyzer.analyze('Meeting moved to Thursday 🎉').compound > 0);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+const analyze = text => new (load('SentimentAnalyzer'))().analyze(text);
+
+test('a word can carry several emotions', () => {
+  const [match] = load('emotionAnalyzer').match(['outrageous'], 'en');
+  assert.strictEqual(match.emotions.join(','), 'anger,disgust');
+});
+
+test('the dominant emotion needs enough words and most of the hits', () => {
+  const angry = analyze('This outrageous traitor makes me furious and angry');
+  assert.strictEqual(angry.dominantEmotion, 'anger');
+  assert.strictEqual(angry.emotionCounts.anger, 4);
+
+  assert.strictEqual(analyze('So happy today').dominantEmotion, null);
+});
+
+test('negated emotion words are left out', () => {
+  const result = analyze('I am not angry at all');
+  assert.strictEqual(result.emotionCounts.anger, 0);
+  assert.strictEqual(result.emotionIntensity, 0);
+});
+
+test('each language uses its own emotion words', () => {
+  assert.strictEqual(analyze('Das ist eine Frechheit, ich bin wütend').dominantEmotion, 'anger');
+});
+
+test('emoji count towards emotions', () => {
+  assert.strictEqual(analyze('I trust you 😡😡').dominantEmotion, 'anger');
+});
+
+test('the distribution adds up hits and dominant emotions over many texts', () => {
+  const EmotionAnalyzer = load('EmotionAnalyzer');
+  const { counts, shares, dominant } = EmotionAnalyzer.distribution([
+    analyze('This outrageous traitor makes me furious and angry'),
+    analyze('So happy today'),
+    null
+  ]);
+
+  assert.strictEqual(counts.anger, 4);
+  assert.strictEqual(counts.joy, 1);
+  assert.strictEqual(dominant.anger, 1);
+  assert.strictEqual(Object.values(shares).reduce((sum, share) => sum + share, 0).toFixed(6), '1.000000');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('a score at the threshold is flagged, as the popup shows it in whole percent', () => {
+  const ProfileAnalyzer = load('ProfileAnalyzer');
+  assert.strictEqual(ProfileAnalyzer.isFlagged(0.5, 0.5), true);
+  assert.strictEqual(ProfileAnalyzer.isFlagged(0.494, 0.5), false);
+  assert.strictEqual(ProfileAnalyzer.isFlagged(0.3 - 0.0000001, 0.3), true);
+  assert.strictEqual(ProfileAnalyzer.isFlagged(0, 0), false);
+});
+
+test('content results are re-classified in place when the threshold changes', () => {
+  const ProfileAnalyzer = load('ProfileAnalyzer');
+  const analysis = { suspicionScore: 0.45, isSuspicious: false };
+
+  assert.strictEqual(ProfileAnalyzer.applyThreshold(analysis, 0.4), analysis);
+  assert.strictEqual(analysis.isSuspicious, true);
+  ProfileAnalyzer.applyThreshold(analysis, 0.6);
+  assert.strictEqual(analysis.isSuspicious, false);
+});
+
+test('profile results get the classification of their score and threshold', () => {
+  const ProfileAnalyzer = load('ProfileAnalyzer');
+  const profile = { overallScore: 0.8, isLikelySuspicious: false, classification: 'Likely Genuine' };
+
+  ProfileAnalyzer.applyThreshold(profile, 0.5);
+  assert.strictEqual(`${profile.isLikelySuspicious} ${profile.classification}`, 'true High Risk');
+  ProfileAnalyzer.applyThreshold(profile, 0.9);
+  assert.strictEqual(`${profile.isLikelySuspicious} ${profile.classification}`, 'false Potentially Suspicious');
+
+  const unanalyzed = { overallScore: 0, isLikelySuspicious: false, classification: 'Unable to Analyze' };
+  ProfileAnalyzer.applyThreshold(unanalyzed, 0.1);
+  assert.strictEqual(unanalyzed.classification, 'Unable to Analyze');
+});
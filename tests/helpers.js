@@ -0,0 +1,47 @@
+/**
+ * helpers.js - Loads the extension's scripts for tests
+ * Content scripts share globals, so they run in one VM context in the order of manifest.json.
+ * Run the tests with `node --test tests/`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * The little of `document` the scripts use outside a page: selector validation, which throws on
+ * unbalanced brackets like the browser's parser, and a page that is still loading, so
+ * contentScript.js defines its classes without starting the detector
+ */
+const document = {
+  readyState: 'loading',
+  addEventListener() {},
+  createDocumentFragment: () => ({
+    querySelector(selector) {
+      const open = (selector.match(/[[(]/g) || []).length;
+      const close = (selector.match(/[\])]/g) || []).length;
+      if (open !== close) throw new SyntaxError(`'${selector}' is not a valid selector.`);
+      return null;
+    }
+  })
+};
+
+let context = null;
+
+/**
+ * A global defined by the scripts (class or shared instance), loading them on first use
+ */
+function load(name) {
+  if (!context) {
+    context = vm.createContext({ console, Intl, performance, setTimeout, clearTimeout, document });
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    manifest.content_scripts[0].js.forEach((file) => {
+      vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+  }
+  return vm.runInContext(name, context);
+}
+
+module.exports = { load };
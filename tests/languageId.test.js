@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('short text in a script with one language is identified', () => {
+  const identifier = load('languageIdentifier');
+  assert.strictEqual(identifier.detect('Это плохо'), 'ru');
+  assert.strictEqual(identifier.detect('Ты идиот'), 'ru');
+});
+
+test('short Latin text is unknown', () => {
+  const identifier = load('languageIdentifier');
+  assert.strictEqual(identifier.detect('Dette er bra'), 'unknown');
+});
+
+test('short Russian text is scored with the Russian lexicon', () => {
+  const analyzer = load('new SentimentAnalyzer()');
+  const result = analyzer.analyze('Плохой фильм');
+  assert.strictEqual(result.detectedLanguage, 'ru');
+  assert.ok(result.compound < 0);
+});
+
+test('a short sentence in mixed-language text keeps its own language', () => {
+  const identifier = load('languageIdentifier');
+  const spans = identifier.segment('Dette er bra. This is terrible and awful.');
+  assert.strictEqual(spans.map(({ language }) => language).join(','), 'no,en');
+  assert.strictEqual(spans.map(({ text }) => text).join(''), 'Dette er bra. This is terrible and awful.');
+});
+
+test('a sentence too short to guess takes the language of its neighbour', () => {
+  const identifier = load('languageIdentifier');
+  const spans = identifier.segment('Ok. This is terrible and awful, and nobody wants it.');
+  assert.strictEqual(spans.map(({ language }) => language).join(','), 'en');
+});
+
+test('mixed-language sentiment scores each clause with its own lexicon', () => {
+  const analyzer = load('new SentimentAnalyzer()');
+  const result = analyzer.analyze('Dette er bra. This is terrible and awful.');
+  assert.ok(result.languageMix.no > 0);
+  assert.ok(result.sentimentWords.some(({ word, language }) => word === 'bra' && language === 'no'));
+});
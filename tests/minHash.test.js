@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+const COMMENT = 'Vote no on the new stadium, it is a waste of taxpayer money and nobody asked for it';
+// The same words reordered: cosine similarity 0.92, few shared character shingles
+const REORDERED = 'it nobody is of waste a taxpayer and money asked Vote the no on stadium';
+
+const SYLLABLES = ['ka', 'lo', 'mi', 'ne', 'ru', 'sa', 'ti', 'vo', 'xe', 'zu'];
+
+// Texts of made-up words, unrelated to each other and to the comments
+function unrelated(count, seed = 7) {
+  let state = seed;
+  const next = () => (state = (state * 16807) % 2147483647) % 1000;
+  const word = () => { const n = next(); return SYLLABLES[n % 10] + SYLLABLES[Math.floor(n / 10) % 10] + SYLLABLES[Math.floor(n / 100)]; };
+  return Array.from({ length: count }, () => Array.from({ length: 8 }, word).join(' '));
+}
+
+test('bands are chosen at or below the Jaccard threshold', () => {
+  const MinHashIndex = load('MinHashIndex');
+  const { bands, rows } = MinHashIndex.chooseBands(64, 0.5);
+  assert.strictEqual(bands * rows, 64);
+  assert.ok(Math.pow(1 / bands, 1 / rows) <= 0.5);
+});
+
+test('signatures estimate Jaccard similarity', () => {
+  const index = new (load('MinHashIndex'))();
+  [COMMENT, COMMENT.toUpperCase(), `${COMMENT} today`, 'Completely different words about gardening'].forEach(text => index.add(text));
+
+  assert.strictEqual(index.estimateSimilarity(0, 1), 1);
+  assert.ok(index.estimateSimilarity(0, 2) > 0.8);
+  assert.ok(index.estimateSimilarity(0, 3) < 0.2);
+});
+
+test('copies are found among many texts without false pairs', () => {
+  const utils = load('TextAnalysisUtils');
+  const texts = unrelated(200);
+  texts[17] = COMMENT;
+  texts[150] = `${COMMENT}!`;
+
+  const pairs = utils.findNearDuplicatePairs(texts, { verify: 'cosine', verifyThreshold: 0.7 });
+  assert.strictEqual(pairs.map(({ index1, index2 }) => `${index1}-${index2}`).join(','), '17-150');
+});
+
+test('a pair is judged the same with few or many comments on the page', () => {
+  const utils = load('TextAnalysisUtils');
+  const comments = texts => texts.map((text, id) => ({ id, text }));
+
+  const few = utils.detectCoordinatedComments(comments([COMMENT, REORDERED, ...unrelated(2)]), 0.7);
+  const many = utils.detectCoordinatedComments(comments([COMMENT, REORDERED, ...unrelated(40)]), 0.7);
+  assert.strictEqual(few.matches.map(({ index1, index2 }) => `${index1}-${index2}`).join(','), '0-1');
+  assert.strictEqual(many.matches.map(({ index1, index2 }) => `${index1}-${index2}`).join(','), '0-1');
+});
+
+test('repeated sentences make a long text repetitive', () => {
+  const utils = load('TextAnalysisUtils');
+  const sentences = unrelated(30);
+  for (let i = 0; i < 30; i += 3) sentences[i] = 'We are committed to excellence and innovation';
+
+  const repeated = utils.detectRepetition(`${sentences.join('. ')}.`);
+  assert.strictEqual(repeated.isRepetitive, true);
+  assert.strictEqual(utils.detectRepetition(`${unrelated(30).join('. ')}.`).isRepetitive, false);
+});
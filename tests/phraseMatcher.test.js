@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+const tokens = text => load('TextPipeline').tokenize(text);
+
+test('the longest phrase wins and matches do not overlap', () => {
+  const matcher = new (load('PhraseMatcher'))(['move', 'move the needle', 'needle', 'deep dive']);
+  const matches = matcher.match(tokens('We must move the needle on this deep dive'));
+  assert.strictEqual(matches.map(({ phrase, start }) => `${phrase}@${start}`).join(','), 'move the needle@2,deep dive@7');
+});
+
+test('phrases match whole tokens only', () => {
+  const matcher = new (load('PhraseMatcher'))(['agile']);
+  assert.strictEqual(matcher.match(tokens('A fragile plan')).length, 0);
+  assert.strictEqual(matcher.match(tokens('An Agile plan')).length, 1);
+});
+
+test('phrases are tokenized like the text, elisions included', () => {
+  const matcher = new (load('PhraseMatcher'))(['en colère', 'l\'homme'], 'fr');
+  const matches = matcher.match(load('TextPipeline').tokenize('L’homme est en colère', 'fr'));
+  assert.strictEqual(matches.map(({ phrase }) => phrase).join('|'), 'l\'homme|en colère');
+});
+
+test('buzzwords are found as whole tokens and phrases', () => {
+  const utils = load('TextAnalysisUtils');
+  assert.strictEqual(utils.detectBuzzwords('The fragile bridge is old').count, 0);
+  assert.strictEqual(
+    utils.detectBuzzwords('Time to circle back and move the needle with agile synergy').buzzwords.join('|'),
+    'circle back|move the needle|agile|synergy'
+  );
+});
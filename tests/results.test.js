@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('saved results keep scores and flags but not the analysis details', () => {
+  const detector = Object.create(load('TrollDetector').prototype);
+  const analysis = { suspicionScore: 0.6, isSuspicious: true, flags: ['Spam patterns'], details: { sentiment: {} } };
+  detector.analysisResults = {
+    comments: [{ type: 'comment', text: 'x'.repeat(200), author: { name: 'Ann', handle: null }, selectorSource: {}, analysis }],
+    profiles: [],
+    authors: [],
+    overallStats: { totalAnalyzed: 1, coordinatedClusters: [] }
+  };
+
+  const { comments, overallStats } = detector.summarizeResults();
+  assert.strictEqual(
+    JSON.stringify(comments),
+    JSON.stringify([{
+      type: 'comment',
+      text: 'x'.repeat(100),
+      author: 'Ann',
+      analysis: { suspicionScore: 0.6, isSuspicious: true, flags: ['Spam patterns'] }
+    }])
+  );
+  assert.strictEqual(overallStats.totalAnalyzed, 1);
+});
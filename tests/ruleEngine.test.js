@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('rule packs are validated with the path of each problem', () => {
+  const RuleEngine = load('RuleEngine');
+  const { valid, errors } = RuleEngine.validatePack({
+    format: RuleEngine.FORMAT,
+    rules: [
+      { id: 'a', label: 'Crypto', keywords: ['airdrop'], weight: 2 },
+      { id: 'a', label: '', patterns: ['(unclosed'] },
+      { label: 'Nothing to match' }
+    ]
+  });
+
+  assert.strictEqual(valid, false);
+  assert.ok(errors.includes('rules[0].weight: must be a number from 0 to 1'));
+  assert.ok(errors.includes('rules[1].label: is required'));
+  assert.ok(errors.some(error => error.startsWith('rules[1].patterns[0]: ')));
+  assert.ok(errors.includes('rules[1].id: "a" is used more than once'));
+  assert.ok(errors.includes('rules[2]: needs at least one condition'));
+});
+
+test('an exported pack validates back to the same rules', () => {
+  const RuleEngine = load('RuleEngine');
+  const { rules } = RuleEngine.validatePack([{ id: 'crypto', label: 'Crypto', keywords: ['airdrop'], style: 'danger' }]);
+  const reimported = RuleEngine.validatePack(JSON.parse(JSON.stringify(RuleEngine.createPack(rules))));
+
+  assert.strictEqual(reimported.valid, true);
+  assert.strictEqual(JSON.stringify(reimported.rules), JSON.stringify(rules));
+});
+
+test('keywords match whole words only', () => {
+  const RuleEngine = load('RuleEngine');
+  const rules = [{ id: 'ai', label: 'AI talk', keywords: ['ai'] }];
+  assert.strictEqual(RuleEngine.evaluate(rules, { text: 'He said so' }).matches.length, 0);
+  assert.strictEqual(RuleEngine.evaluate(rules, { text: 'Built with AI, obviously' }).matches.join(), 'ai');
+});
+
+test('"all" needs every condition, "any" one of them', () => {
+  const RuleEngine = load('RuleEngine');
+  const rule = { id: 'promo', label: 'Promo', domains: ['shop.example'], authors: ['@dealbot'] };
+  const input = { text: 'Check https://www.shop.example/deal', authors: ['someone'] };
+
+  assert.strictEqual(RuleEngine.evaluate([{ ...rule, combine: 'any' }], input).matches.length, 1);
+  assert.strictEqual(RuleEngine.evaluate([{ ...rule, combine: 'all' }], input).matches.length, 0);
+  assert.strictEqual(RuleEngine.evaluate([{ ...rule, combine: 'all' }], { ...input, authors: ['u/DealBot'] }).matches.length, 1);
+});
+
+test('a matching rule reports its weight, label and indicator; disabled rules are ignored', () => {
+  const RuleEngine = load('RuleEngine');
+  const rules = [
+    { id: 'crypto', label: 'Crypto', keywords: ['airdrop'], weight: 0.7, style: 'danger' },
+    { id: 'off', label: 'Off', keywords: ['airdrop'], enabled: false }
+  ];
+  const result = RuleEngine.evaluate(rules, { text: 'Free AIRDROP for everyone' });
+
+  assert.strictEqual(result.weights.RULE_crypto, 0.7);
+  assert.strictEqual(result.flags.join(), 'Custom rule: Crypto');
+  assert.strictEqual(result.indicators.RULE_crypto.emoji, '🚩');
+  assert.strictEqual(result.matches.join(), 'crypto');
+});
+
+test('only author and domain conditions make results depend on the comment', () => {
+  const RuleEngine = load('RuleEngine');
+  assert.strictEqual(RuleEngine.dependsOnContext([{ keywords: ['x'], languages: ['en'] }]), false);
+  assert.strictEqual(RuleEngine.dependsOnContext([{ authors: ['bot'] }]), true);
+  assert.strictEqual(RuleEngine.dependsOnContext([{ authors: ['bot'], enabled: false }]), false);
+});
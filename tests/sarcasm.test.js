@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+const analyze = (text, options) => new (load('SentimentAnalyzer'))().analyze(text, options);
+
+test('sarcasm markers invert the positive words they undercut', () => {
+  const sincere = analyze('That worked so well last time');
+  const sarcastic = analyze('Sure, because that worked so well last time');
+  assert.ok(sincere.compound > 0);
+  assert.strictEqual(sarcastic.sarcasm.effect, 'inverted');
+  assert.ok(sarcastic.compound < 0);
+
+  assert.ok(analyze('What a brilliant idea').compound > 0);
+  assert.ok(analyze('Yeah right, what a brilliant idea').compound < 0);
+});
+
+test('each language has its own markers', () => {
+  assert.ok(analyze('Das ist großartig').compound > 0);
+  assert.ok(analyze('Na toll, das ist großartig').compound < 0);
+});
+
+test('the /s tag inverts on its own', () => {
+  const result = analyze('Great job /s');
+  assert.strictEqual(result.sarcasm.cues.map(({ cue }) => cue).join(','), 'tag');
+  assert.ok(analyze('Great job').compound > 0);
+  assert.ok(result.compound < 0);
+});
+
+test('a mocking emoji neutralizes, a sincere one does not', () => {
+  const mocking = analyze('Great job 🙄');
+  assert.strictEqual(mocking.sarcasm.effect, 'neutralized');
+  assert.ok(Math.abs(mocking.compound) < 0.1);
+  assert.strictEqual(analyze('Great job 👏').sarcasm.effect, 'none');
+});
+
+test('a boosted positive reply to a negative comment is toned down', () => {
+  const sincere = analyze('Really great work');
+  const reply = analyze('Really great work', { parent: 'This is useless garbage' });
+  assert.strictEqual(sincere.sarcasm.effect, 'none');
+  assert.strictEqual(reply.sarcasm.effect, 'neutralized');
+  assert.ok(reply.compound > 0 && reply.compound < sincere.compound);
+});
+
+test('cues below the neutralize threshold leave the sentiment alone', () => {
+  const quoted = analyze('Such a "helpful" answer');
+  assert.strictEqual(quoted.sarcasm.cues.map(({ cue }) => cue).join(','), 'scareQuotes');
+  assert.strictEqual(quoted.compound, analyze('Such a helpful answer').compound);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('ramp rises from half the threshold to the threshold', () => {
+  const ScoringModel = load('ScoringModel');
+  assert.strictEqual(ScoringModel.ramp(0.3, 0.8), 0);
+  assert.strictEqual(ScoringModel.ramp(0.75, 1), 0.5);
+  assert.strictEqual(ScoringModel.ramp(0.9, 0.8), 1);
+  assert.strictEqual(ScoringModel.ramp(undefined, 0.8), 0);
+});
+
+test('platform weights override the defaults', () => {
+  const ScoringModel = load('ScoringModel');
+  const weights = ScoringModel.getWeights('CONTENT_ANALYSIS', 'linkedin');
+  assert.strictEqual(weights.BUZZWORDS, 0.1);
+  assert.strictEqual(weights.SPAM, ScoringModel.getWeights('CONTENT_ANALYSIS', 'unknown').SPAM);
+});
+
+test('contributions are weighted, largest first, and explained', () => {
+  const ScoringModel = load('ScoringModel');
+  const { score, contributions } = ScoringModel.combine(
+    { SPAM: 1, BUZZWORDS: 0.5, AI_PATTERNS: 0, UNWEIGHTED: 1 },
+    { SPAM: 0.4, BUZZWORDS: 0.2, AI_PATTERNS: 0.3 }
+  );
+
+  assert.strictEqual(Math.round(score * 100), 50);
+  assert.strictEqual(contributions.map(({ signal }) => signal).join(','), 'SPAM,BUZZWORDS,AI_PATTERNS');
+  assert.strictEqual(ScoringModel.explain(contributions), 'Spam patterns +40%, Buzzwords +10%');
+});
+
+test('a clearly extreme comment gets an extreme sentiment contribution', () => {
+  const analyzer = new (load('ProfileAnalyzer'))();
+  const contribution = text => analyzer.analyzeContent(text).contributions
+    .find(({ signal }) => signal === 'EXTREME_SENTIMENT').contribution;
+
+  assert.ok(contribution('This is absolutely disgusting, you are pathetic and horrible!!!') > 0);
+  assert.strictEqual(contribution('The meeting moved to Thursday afternoon'), 0);
+});
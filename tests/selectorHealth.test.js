@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+const SECTION = {
+  name: 'comments',
+  content: [{ selector: '.body', source: 'bundled' }, { selector: 'p', source: 'override' }]
+};
+
+/**
+ * A detector after a run over containers given as the content selectors each one holds, with
+ * the text extracted from them (null when none) and a number of comment markers on the page
+ */
+function runOver(containers, signals = 0) {
+  const TrollDetector = load('TrollDetector');
+  const detector = Object.create(TrollDetector.prototype);
+  detector.platformDetector = { platform: 'reddit', name: 'Reddit' };
+  detector.getPlatformSelectors = () => ({ health: { commentSignals: 'faceplate-tracker', minSignals: 3 } });
+  detector.safeQuerySelectorAll = () => new Array(signals).fill({});
+  detector.safeQuerySelector = (element, selector) => (element.selectors.includes(selector) ? {} : null);
+  detector.scheduler = { queue: new Map() };
+  detector.diagnostics = detector.createDiagnostics();
+
+  containers.forEach(({ selectors, extracted }) => detector.recordExtraction({ selectors }, SECTION, extracted));
+  detector.evaluateSelectorHealth();
+  return detector.diagnostics;
+}
+
+const withText = fallbackIndex => ({ selectors: ['p'], extracted: { text: 'Some comment', fallbackIndex } });
+const empty = { selectors: [], extracted: null };
+
+test('containers with text are healthy and credit the fallback that found it', () => {
+  const diagnostics = runOver([withText(1), withText(1), withText(0)]);
+  assert.strictEqual(diagnostics.status, 'ok');
+  assert.strictEqual(diagnostics.sections.comments.winningFallback.selector, 'p');
+});
+
+test('matched containers without any text are broken', () => {
+  const diagnostics = runOver([empty, empty, empty, empty]);
+  assert.strictEqual(diagnostics.status, 'broken');
+  assert.strictEqual(diagnostics.reasons[0], '4 containers matched but no content selector produced text');
+});
+
+test('comment markers without matched containers are broken, too few markers are not', () => {
+  assert.strictEqual(runOver([], 5).reasons[0], 'Page shows 5 comment markers but no container selector matched');
+  assert.strictEqual(runOver([], 2).status, 'ok');
+});
+
+test('text outside the length bounds is not a failure', () => {
+  const tooShort = { selectors: ['.body'], extracted: null };
+  const diagnostics = runOver([tooShort, tooShort]);
+  assert.strictEqual(diagnostics.status, 'ok');
+  assert.strictEqual(diagnostics.sections.comments.outOfBounds, 2);
+});
+
+test('most containers without text are degraded', () => {
+  const diagnostics = runOver([withText(0), empty, empty, empty]);
+  assert.strictEqual(diagnostics.status, 'degraded');
+  assert.strictEqual(diagnostics.reasons[0], '3 of 4 comments had no text matching any content selector');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('an exported pack validates back to its overrides', () => {
+  const SelectorPacks = load('SelectorPacks');
+  const overrides = { reddit: { comments: { replace: false, container: '.comment', content: ['.body', 'p'] } } };
+  const result = SelectorPacks.validatePack(SelectorPacks.createPack(overrides));
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(JSON.stringify(result.platforms), JSON.stringify(overrides));
+});
+
+test('validation reports each bad field with its path', () => {
+  const SelectorPacks = load('SelectorPacks');
+  const result = SelectorPacks.validatePack({
+    format: 'something-else',
+    youtube: { comments: { container: 'a[', content: '#content', minLength: -1 }, posts: [] }
+  });
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.errors.length, 4);
+  assert.match(result.errors[0], /Unknown pack format/);
+  assert.match(result.errors[1], /^youtube\.comments\.container: /);
+  assert.strictEqual(result.errors[2], 'youtube.comments.minLength: must be a non-negative number');
+  assert.strictEqual(result.errors[3], 'youtube.posts: must be an object');
+  assert.strictEqual(SelectorPacks.validatePack([]).errors[0], 'Selector pack must be a JSON object');
+});
+
+test('override selectors come first, replace drops the bundled ones, invalid ones are dropped', () => {
+  const SelectorPacks = load('SelectorPacks');
+  const bundled = { reddit: { name: 'Reddit', comments: { container: 'shreddit-comment', content: ['p'] } } };
+  const selectorsOf = entries => entries.map(({ selector, source }) => `${source}:${selector}`).join(', ');
+
+  const layered = SelectorPacks.merge(bundled, { reddit: { comments: { container: '.c', content: ['.body', '[[bad'] } } });
+  assert.strictEqual(layered.reddit.name, 'Reddit');
+  assert.strictEqual(selectorsOf(layered.reddit.comments.containers), 'override:.c, bundled:shreddit-comment');
+  assert.strictEqual(selectorsOf(layered.reddit.comments.content), 'override:.body, bundled:p');
+
+  const replaced = SelectorPacks.merge(bundled, { reddit: { comments: { replace: true, container: '.c', content: '.body' } } });
+  assert.strictEqual(replaced.reddit.comments.container, '.c');
+  assert.strictEqual(selectorsOf(replaced.reddit.comments.content), 'override:.body');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+const analyze = text => new (load('SentimentAnalyzer'))().analyze(text);
+const word = (text, target) => analyze(text).sentimentWords.find(({ word: w }) => w === target);
+const rules = (text, target) => word(text, target).adjustments.map(({ rule }) => rule).join('+');
+
+test('negation flips and dampens, "never so" intensifies', () => {
+  assert.strictEqual(rules('The food is not good', 'good'), 'negation');
+  assert.ok(word('The food is not good', 'good').score < 0);
+  assert.ok(word('The food was never so good', 'good').score > word('The food is good', 'good').score);
+  assert.strictEqual(rules('the least helpful answer', 'helpful'), 'least');
+});
+
+test('capitals emphasize only when some words are not in capitals', () => {
+  assert.strictEqual(rules('The food is GOOD', 'good'), 'caps');
+  assert.strictEqual(rules('THE FOOD IS GOOD', 'good'), '');
+  assert.strictEqual(rules('The food is goood', 'good'), 'elongation');
+});
+
+test('boosters strengthen and multi-word dampeners weaken', () => {
+  const base = word('The food is good', 'good').score;
+  assert.ok(word('The food is very good', 'good').score > base);
+  assert.ok(word('The food is kind of good', 'good').score < base);
+});
+
+test('words after "but" outweigh the words before it', () => {
+  const text = 'The food is good but the service is terrible';
+  assert.strictEqual(word(text, 'good').score, word('The food is good', 'good').score * 0.5);
+  assert.strictEqual(rules(text, 'terrible'), 'contrast');
+  assert.strictEqual(analyze(text).classification, 'negative');
+});
+
+test('compound is normalized from the sum of word scores', () => {
+  const extreme = analyze('This is absolutely disgusting, you are pathetic and horrible!!!');
+  assert.ok(extreme.compound < -0.9);
+  assert.strictEqual(extreme.isExtreme, true);
+
+  const mild = analyze('The food is good');
+  assert.strictEqual(mild.isExtreme, false);
+  assert.ok(mild.compound > 0.05);
+  assert.strictEqual(analyze('The meeting moved to Thursday').compound, 0);
+});
+
+test('adjustments beyond the lexicon range are kept', () => {
+  assert.ok(word('This is absolutely disgusting', 'disgusting').score < -1);
+});
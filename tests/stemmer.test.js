@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('Russian adverbs and adjectives share a stem', () => {
+  const stemmer = load('stemmer');
+  [['ужасно', 'ужасный'], ['отлично', 'отличный'], ['плохо', 'плохой'], ['хорошо', 'хороший']]
+    .forEach(([adverb, adjective]) => {
+      assert.strictEqual(stemmer.stem(adverb, 'ru'), stemmer.stem(adjective, 'ru'), `${adverb} / ${adjective}`);
+    });
+});
+
+test('Russian group 1 verb endings are only removed after а or я', () => {
+  const stemmer = load('stemmer');
+  assert.strictEqual(stemmer.stem('бюджет', 'ru'), 'бюджет');
+  assert.strictEqual(stemmer.stem('делавшись', 'ru'), 'дела');
+});
+
+test('stem matches report the base lexicon entry', () => {
+  const PhraseMatcher = load('PhraseMatcher');
+  const matcher = new PhraseMatcher(['love', 'loved', 'loving'], 'en');
+  assert.strictEqual(matcher.match(['loves'])[0].phrase, 'love');
+});
+
+test('Russian adverbs are scored with the adjective entries', () => {
+  const analyzer = load('new SentimentAnalyzer()');
+  assert.ok(analyzer.analyze('Это ужасно и отвратительно, просто кошмар').compound < 0);
+  assert.ok(analyzer.analyze('Это отлично, мне очень нравится').compound > 0);
+});
+
+test('inflections share a stem', () => {
+  const stemmer = load('stemmer');
+  [['loves', 'love', 'en'], ['disappointed', 'disappointing', 'en'], ['worried', 'worry', 'en'],
+    ['schrecklichen', 'schrecklich', 'de'], ['maravillosa', 'maravilloso', 'es'], ['heureuse', 'heureux', 'fr'],
+    ['horríveis', 'horrível', 'pt'], ['dåliga', 'dålig', 'sv']]
+    .forEach(([inflected, base, lang]) => {
+      assert.strictEqual(stemmer.stem(inflected, lang), stemmer.stem(base, lang), `${inflected} / ${base}`);
+    });
+});
+
+test('derivational suffixes make a different stem', () => {
+  const stemmer = load('stemmer');
+  [['lovely', 'love', 'en'], ['badly', 'bad', 'en'], ['goodness', 'good', 'en'], ['goods', 'good', 'en'],
+    ['disappointingly', 'disappointing', 'en'], ['freundlich', 'freund', 'de'], ['tristemente', 'triste', 'es'],
+    ['vraiment', 'vrai', 'fr'], ['vennlig', 'venn', 'no']]
+    .forEach(([derived, root, lang]) => {
+      assert.notStrictEqual(stemmer.stem(derived, lang), stemmer.stem(root, lang), `${derived} / ${root}`);
+    });
+});
+
+test('an exact entry wins over a stem match', () => {
+  const PhraseMatcher = load('PhraseMatcher');
+  const matcher = new PhraseMatcher(['love', 'lovely'], 'en');
+  const [match] = matcher.match(['lovely']);
+  assert.strictEqual(`${match.phrase} ${match.stem}`, 'lovely null');
+});
+
+test('words that only look like a lexicon entry are not scored as it', () => {
+  const analyzer = load('new SentimentAnalyzer()');
+  const words = text => analyzer.analyze(text).sentimentWords.map(({ word }) => word).join(',');
+  assert.strictEqual(words('We ship the goods on Monday'), '');
+  assert.strictEqual(words('The goodness of the soil'), '');
+  assert.strictEqual(words('What a lovely day'), 'lovely');
+  assert.ok(analyzer.analyze('A terribly good film').compound > 0);
+});
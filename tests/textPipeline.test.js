@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+test('words keep letters outside ASCII and inner apostrophes', () => {
+  const TextPipeline = load('TextPipeline');
+  assert.strictEqual(TextPipeline.tokenize('Blåbærsyltetøy er GODT, don’t you think?').join('|'),
+    'blåbærsyltetøy|er|godt|don\'t|you|think');
+  assert.strictEqual(TextPipeline.tokenize('Это ПРОСТО ужасно').join('|'), 'это|просто|ужасно');
+});
+
+test('compatibility forms are folded for matching', () => {
+  const TextPipeline = load('TextPipeline');
+  assert.strictEqual(TextPipeline.tokenize('ＦＲＥＥ ﬁnance').join('|'), 'free|finance');
+});
+
+test('decomposed and composed accents give the same words', () => {
+  const TextPipeline = load('TextPipeline');
+  assert.strictEqual(TextPipeline.tokenize('Cafe\u0301').join(), TextPipeline.tokenize('Caf\u00e9').join());
+});
+
+test('French elisions are split off their word', () => {
+  const TextPipeline = load('TextPipeline');
+  assert.strictEqual(TextPipeline.tokenize('L\'homme qu\'il aime', 'fr').join('|'), 'le|homme|que|il|aime');
+  assert.strictEqual(TextPipeline.tokenize('L\'homme', 'en').join('|'), 'l\'homme');
+});
+
+test('lowercasing follows the language when it is known', () => {
+  const TextPipeline = load('TextPipeline');
+  assert.strictEqual(TextPipeline.lowercase('İSTANBUL', 'tr'), 'istanbul');
+  assert.strictEqual(TextPipeline.lowercase('I', 'tr'), 'ı');
+  assert.strictEqual(TextPipeline.lowercase('I'), 'i');
+});
+
+test('sentences split on any sentence-ending punctuation', () => {
+  const TextPipeline = load('TextPipeline');
+  assert.strictEqual(TextPipeline.sentences('Really?! Yes… 好的。 Done').join('|'), 'Really|Yes|好的|Done');
+});
+
+test('texts compare without punctuation, case or extra spaces', () => {
+  const TextPipeline = load('TextPipeline');
+  assert.strictEqual(TextPipeline.normalizeForComparison('  Vote NO,   now!! '), 'vote no now');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+const NOW = new Date(2024, 5, 15, 12, 0, 0).getTime();
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+test('relative times across languages give their offset with the unit as precision', () => {
+  const TimestampParser = load('TimestampParser');
+  [
+    ['2d', 2 * DAY, DAY],
+    ['3 hours ago', 3 * HOUR, HOUR],
+    ['for 2 timer siden', 2 * HOUR, HOUR],
+    ['vor 5 Minuten', 5 * 60 * 1000, 60 * 1000],
+    ['il y a 3 jours', 3 * DAY, DAY],
+    ['vor einem Tag', DAY, DAY],
+    ['год назад', TimestampParser.UNIT_MS.year, TimestampParser.UNIT_MS.year],
+    ['yesterday', DAY, DAY]
+  ].forEach(([raw, offset, precision]) => {
+    const result = TimestampParser.parse(raw, { now: NOW });
+    assert.ok(result, raw);
+    assert.strictEqual(NOW - result.timestamp, offset, raw);
+    assert.strictEqual(result.precision, precision, raw);
+    assert.strictEqual(result.kind, 'relative', raw);
+  });
+});
+
+test('absolute dates in words and numbers, day first except English slashes', () => {
+  const TimestampParser = load('TimestampParser');
+  const at = (raw, lang) => TimestampParser.parse(raw, { now: NOW, lang }).timestamp;
+
+  assert.strictEqual(at('5. januar 2024'), new Date(2024, 0, 5).getTime());
+  assert.strictEqual(at('Jan 5, 2024'), new Date(2024, 0, 5).getTime());
+  assert.strictEqual(at('5 de enero de 2024'), new Date(2024, 0, 5).getTime());
+  assert.strictEqual(at('12.03.2024 14:05'), new Date(2024, 2, 12, 14, 5).getTime());
+  assert.strictEqual(at('03/12/2024', 'en'), new Date(2024, 2, 12).getTime());
+  assert.strictEqual(at('03/12/2024', 'no'), new Date(2024, 11, 3).getTime());
+});
+
+test('dates without a year are never in the future', () => {
+  const TimestampParser = load('TimestampParser');
+  assert.strictEqual(TimestampParser.parse('3 March', { now: NOW }).timestamp, new Date(2024, 2, 3).getTime());
+  assert.strictEqual(TimestampParser.parse('3 December', { now: NOW }).timestamp, new Date(2023, 11, 3).getTime());
+});
+
+test('the most precise candidate wins, text that is no time gives null', () => {
+  const TimestampParser = load('TimestampParser');
+  const best = TimestampParser.parseBest(['2d', '2024-06-13T09:30:15Z', 'Jun 13, 2024'], { now: NOW });
+  assert.strictEqual(best.timestamp, Date.parse('2024-06-13T09:30:15Z'));
+  assert.strictEqual(best.precision, 1000);
+  assert.strictEqual(TimestampParser.parse('1718271015').timestamp, 1718271015000);
+  assert.strictEqual(TimestampParser.parse('Great point, thanks for sharing this', { now: NOW }), null);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers');
+
+const termsOf = result => result.matches.map(({ term, targeted }) => `${term}${targeted ? ' (targeted)' : ''}`).join(', ');
+
+test('a term with TARGET_WINDOW words before "you" is targeted, one more is not', () => {
+  const analyzer = load('toxicityAnalyzer');
+  assert.strictEqual(termsOf(analyzer.analyze('you are such a moron')), 'moron (targeted)');
+  assert.strictEqual(termsOf(analyzer.analyze('you are really such a moron')), 'moron');
+  assert.strictEqual(termsOf(analyzer.analyze('moron is what you are')), 'moron (targeted)');
+  assert.strictEqual(termsOf(analyzer.analyze('moron is what they call you')), 'moron');
+});
+
+test('a term right after a targeted term is targeted', () => {
+  const analyzer = load('toxicityAnalyzer');
+  assert.strictEqual(termsOf(analyzer.analyze('you are such a stupid moron')), 'stupid (targeted), moron (targeted)');
+});
+
+test('short comments are checked with the lexicons of their script', () => {
+  const analyzer = load('toxicityAnalyzer');
+  assert.strictEqual(termsOf(analyzer.analyze('Du er en idiot')), 'idiot (targeted)');
+  assert.strictEqual(termsOf(analyzer.analyze('Du bist ein Idiot')), 'idiot (targeted)');
+  assert.strictEqual(termsOf(analyzer.analyze('Ты идиот')), 'идиот (targeted)');
+});
+
+test('leetspeak and masked slurs are decoded', () => {
+  const analyzer = load('toxicityAnalyzer');
+  ['f4ggot', 'fa66ot', 'f@ggot', 'f*ggot'].forEach((text) => {
+    const result = analyzer.analyze(text);
+    assert.strictEqual(result.categories.identityAttack, 1, text);
+    assert.strictEqual(result.obfuscated, 1, text);
+  });
+});
+
+test('threat verbs need a target', () => {
+  const analyzer = load('toxicityAnalyzer');
+  assert.strictEqual(analyzer.analyze('kill the process first').score, 0);
+  assert.strictEqual(analyzer.analyze('I will kill you').severity, 'severe');
+});
+
+test('masks hiding too many letters are not read as a specific word', () => {
+  const analyzer = load('toxicityAnalyzer');
+  const result = analyzer.analyze('you are s***');
+  assert.strictEqual(result.categories.insult, 0);
+  assert.strictEqual(result.categories.profanity, 1);
+  assert.strictEqual(result.matches[0].term, 's***');
+  assert.strictEqual(result.matches[0].tier, 1);
+
+  assert.strictEqual(termsOf(analyzer.analyze('this is sh*t')), 'shit');
+  assert.strictEqual(analyzer.analyze('c**l').score, 0);
+});
@@ -3,6 +3,9 @@
  * Contains tools for Levenshtein distance, cosine similarity, and pattern detection
  */
 
+// Buzzword phrase matchers per language, built on first use
+const buzzwordMatchers = new Map();
+
 class TextAnalysisUtils {
 
   /**
@@ -65,19 +68,16 @@ class TextAnalysisUtils {
   }
 
   /**
-   * Tokenize text into words, removing punctuation and converting to lowercase
+   * Tokenize text into lowercase words (Unicode letters and numbers, see TextPipeline)
+   * @param {string} lang - Language code, when known, for locale-aware lowercasing
    */
-  static tokenize(text) {
+  static tokenize(text, lang) {
     // Input validation
     if (!text || typeof text !== 'string') {
       return [];
     }
 
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 0);
+    return TextPipeline.tokenize(text, lang);
   }
 
   /**
@@ -128,55 +128,22 @@ class TextAnalysisUtils {
   }
 
   /**
-   * Detect language with confidence scoring
-   * Improved to handle short texts and avoid false positives
+   * Detect the language of a text with the shared n-gram identifier (see lib/languageId.js)
+   * @returns {string} Language code, or 'unknown' for short or unrecognized text
    */
   static detectLanguage(text) {
-    const tokens = this.tokenize(text);
-    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
-      THRESHOLDS: { MIN_TOKENS_FOR_LANG_DETECT: 10, LANGUAGE_CONFIDENCE: 0.3 }
-    };
-
-    // Require minimum tokens for reliable detection
-    if (tokens.length < config.THRESHOLDS.MIN_TOKENS_FOR_LANG_DETECT) {
-      return 'en'; // Default to English for short texts
-    }
-
-    const patterns = {
-      no: ['og', 'er', 'jeg', 'det', 'ikke'],
-      de: ['und', 'der', 'die', 'das', 'ist'],
-      es: ['que', 'de', 'el', 'la', 'es'],
-      fr: ['que', 'de', 'le', 'la', 'est'],
-      pt: ['que', 'de', 'o', 'a', 'é'],
-      sv: ['och', 'är', 'jag', 'det', 'inte'],
-      da: ['og', 'er', 'jeg', 'det', 'ikke'],
-      ru: ['и', 'в', 'не', 'на', 'я'],
-      pl: ['i', 'w', 'nie', 'na', 'jest']
-    };
-
-    // Calculate confidence scores for each language
-    const scores = {};
-    for (const [lang, words] of Object.entries(patterns)) {
-      const matches = words.filter(w => tokens.includes(w));
-      const uniqueMatches = new Set(matches).size;
-      // Score based on unique matches (prevents common words from dominating)
-      scores[lang] = uniqueMatches / words.length;
-    }
-
-    // Find language with highest confidence
-    const entries = Object.entries(scores).sort((a, b) => b[1] - a[1]);
-    const [bestLang, confidence] = entries[0] || ['en', 0];
-
-    // Only use detected language if confidence is above threshold
-    return confidence > config.THRESHOLDS.LANGUAGE_CONFIDENCE ? bestLang : 'en';
+    return languageIdentifier.detect(text);
   }
 
   /**
    * Detect AI-generated buzzwords and corporate jargon (multilingual)
-   * Returns count and list of detected buzzwords
+   * Returns count and list of detected buzzwords; code-switched text is checked per
+   * run of sentences against that language's list
+   * Inflected forms match by stem ("thought leaders"); matches lists the text and stem of each
    */
   static detectBuzzwords(text) {
-    const lang = this.detectLanguage(text);
+    const spans = languageIdentifier.segment(text);
+    const languageMix = LanguageIdentifier.mix(spans);
 
     const buzzwordsByLanguage = {
       en: [
@@ -262,27 +229,41 @@ class TextAnalysisUtils {
       ]
     };
 
-    const buzzwords = buzzwordsByLanguage[lang] || buzzwordsByLanguage.en;
-    const lowerText = text.toLowerCase();
     const found = [];
+    const matches = [];
+    let wordCount = 0;
 
-    buzzwords.forEach(buzzword => {
-      if (lowerText.includes(buzzword)) {
-        found.push(buzzword);
+    spans.forEach(({ text: spanText, language }) => {
+      const key = buzzwordsByLanguage[language] ? language : 'en';
+      if (!buzzwordMatchers.has(key)) {
+        buzzwordMatchers.set(key, new PhraseMatcher(buzzwordsByLanguage[key], key));
       }
+
+      // Whole tokens only, so "agile" doesn't match inside "fragile"
+      const tokens = this.tokenize(spanText, language);
+      buzzwordMatchers.get(key).match(tokens).forEach(({ phrase, start, length, stem }) => {
+        if (found.includes(phrase)) return;
+        found.push(phrase);
+        matches.push({ buzzword: phrase, form: tokens.slice(start, start + length).join(' '), stem });
+      });
+      wordCount += tokens.length;
     });
 
     return {
       count: found.length,
       buzzwords: found,
-      density: found.length / this.tokenize(text).length,
-      detectedLanguage: lang
+      matches,
+      density: found.length / wordCount,
+      detectedLanguage: Object.keys(languageMix)[0] || 'unknown',
+      languageMix
     };
   }
 
   /**
    * Detect repetitive patterns in text
    * Returns true if text contains suspicious repetition
+   * Small texts score the average pairwise sentence similarity; texts above LARGE_DATASET_THRESHOLD
+   * sentences score the share of sentences that have a near-duplicate
    */
   static detectRepetition(text, threshold = 0.3) {
     // Input validation
@@ -290,7 +271,7 @@ class TextAnalysisUtils {
       return { isRepetitive: false, score: 0 };
     }
 
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+    const sentences = TextPipeline.sentences(text);
 
     if (sentences.length < 2) return { isRepetitive: false, score: 0 };
 
@@ -298,31 +279,33 @@ class TextAnalysisUtils {
     const config = typeof CONFIG !== 'undefined' ? CONFIG : { PERFORMANCE: { MAX_SENTENCES_TO_COMPARE: 50 } };
     const sentencesToAnalyze = sentences.slice(0, config.PERFORMANCE.MAX_SENTENCES_TO_COMPARE);
 
+    // Large texts: share of sentences with a near-duplicate elsewhere in the text (MinHash/LSH
+    // candidates, decided by cosine similarity like coordinated comments)
+    const largeThreshold = config.PERFORMANCE?.LARGE_DATASET_THRESHOLD || 20;
+    if (sentencesToAnalyze.length > largeThreshold) {
+      const pairs = this.findNearDuplicatePairs(sentencesToAnalyze, {
+        verify: 'cosine',
+        verifyThreshold: config.THRESHOLDS?.SIMILARITY ?? 0.7
+      });
+      const duplicated = new Set(pairs.flatMap(pair => [pair.index1, pair.index2]));
+      const score = duplicated.size / sentencesToAnalyze.length;
+
+      return {
+        isRepetitive: score > threshold,
+        score,
+        nearDuplicatePairs: pairs.length
+      };
+    }
+
+    // Smaller texts: average similarity over all sentence pairs
     let totalSimilarity = 0;
     let comparisons = 0;
 
-    // Further optimization: sample comparisons for very large texts
-    const threshold = config.PERFORMANCE?.LARGE_DATASET_THRESHOLD || 20;
-    const windowSize = config.PERFORMANCE?.COMPARISON_WINDOW_SMALL || 4;
-
-    if (sentencesToAnalyze.length > threshold) {
-      // For large texts, only compare each sentence with next few sentences
-      for (let i = 0; i < sentencesToAnalyze.length - 1; i++) {
-        const maxJ = Math.min(i + windowSize, sentencesToAnalyze.length);
-        for (let j = i + 1; j < maxJ; j++) {
-          const similarity = this.cosineSimilarity(sentencesToAnalyze[i], sentencesToAnalyze[j]);
-          totalSimilarity += similarity;
-          comparisons++;
-        }
-      }
-    } else {
-      // For smaller texts, compare all pairs
-      for (let i = 0; i < sentencesToAnalyze.length - 1; i++) {
-        for (let j = i + 1; j < sentencesToAnalyze.length; j++) {
-          const similarity = this.cosineSimilarity(sentencesToAnalyze[i], sentencesToAnalyze[j]);
-          totalSimilarity += similarity;
-          comparisons++;
-        }
+    for (let i = 0; i < sentencesToAnalyze.length - 1; i++) {
+      for (let j = i + 1; j < sentencesToAnalyze.length; j++) {
+        const similarity = this.cosineSimilarity(sentencesToAnalyze[i], sentencesToAnalyze[j]);
+        totalSimilarity += similarity;
+        comparisons++;
       }
     }
 
@@ -355,9 +338,9 @@ class TextAnalysisUtils {
     indicators.repetitiveness = repetitionAnalysis.score;
 
     // Check sentence length (AI tends to have more uniform sentence lengths)
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+    const sentences = TextPipeline.sentences(text);
     if (sentences.length > 0) {
-      const lengths = sentences.map(s => s.trim().split(/\s+/).length);
+      const lengths = sentences.map(s => s.split(/\s+/).length);
       const avgLength = lengths.reduce((a, b) => a + b, 0) / lengths.length;
       const variance = lengths.reduce((sum, len) => sum + Math.pow(len - avgLength, 2), 0) / lengths.length;
 
@@ -417,37 +400,30 @@ class TextAnalysisUtils {
 
     const suspicious = [];
 
-    // Performance optimization: limit comparisons for large comment sets
     const config = typeof CONFIG !== 'undefined' ? CONFIG : {
       PERFORMANCE: {
-        MAX_COMMENTS_TO_COMPARE: 100,
-        COORDINATED_COMPARE_WINDOW: 11,
-        LARGE_DATASET_THRESHOLD: 50
+        MAX_COMMENTS_TO_COMPARE: 5000,
+        LARGE_DATASET_THRESHOLD: 20
       }
     };
     const commentsToAnalyze = comments.slice(0, config.PERFORMANCE.MAX_COMMENTS_TO_COMPARE);
 
-    // Further optimization: for large sets, sample comparisons
-    if (commentsToAnalyze.length > config.PERFORMANCE.LARGE_DATASET_THRESHOLD) {
-      // For large sets, only compare each comment with next few comments
-      for (let i = 0; i < commentsToAnalyze.length - 1; i++) {
-        const maxJ = Math.min(i + config.PERFORMANCE.COORDINATED_COMPARE_WINDOW, commentsToAnalyze.length);
-        for (let j = i + 1; j < maxJ; j++) {
-          if (!commentsToAnalyze[i].text || !commentsToAnalyze[j].text) continue;
-
-          const similarity = this.cosineSimilarity(commentsToAnalyze[i].text, commentsToAnalyze[j].text);
+    const addMatch = (i, j, similarity, estimatedJaccard) => {
+      suspicious.push({
+        index1: i,
+        index2: j,
+        similarity,
+        ...(estimatedJaccard !== undefined && { estimatedJaccard }),
+        text1: commentsToAnalyze[i].text.substring(0, 100),
+        text2: commentsToAnalyze[j].text.substring(0, 100)
+      });
+    };
 
-          if (similarity > threshold) {
-            suspicious.push({
-              index1: i,
-              index2: j,
-              similarity,
-              text1: commentsToAnalyze[i].text.substring(0, 100),
-              text2: commentsToAnalyze[j].text.substring(0, 100)
-            });
-          }
-        }
-      }
+    if (commentsToAnalyze.length > config.PERFORMANCE.LARGE_DATASET_THRESHOLD) {
+      // For large sets, find near-duplicate candidates with MinHash/LSH and verify them with cosine similarity
+      const texts = commentsToAnalyze.map(comment => comment.text || '');
+      this.findNearDuplicatePairs(texts, { verify: 'cosine', verifyThreshold: threshold })
+        .forEach(pair => addMatch(pair.index1, pair.index2, pair.verifiedSimilarity, pair.similarity));
     } else {
       // For smaller sets, compare all pairs
       for (let i = 0; i < commentsToAnalyze.length - 1; i++) {
@@ -457,13 +433,7 @@ class TextAnalysisUtils {
           const similarity = this.cosineSimilarity(commentsToAnalyze[i].text, commentsToAnalyze[j].text);
 
           if (similarity > threshold) {
-            suspicious.push({
-              index1: i,
-              index2: j,
-              similarity,
-              text1: commentsToAnalyze[i].text.substring(0, 100),
-              text2: commentsToAnalyze[j].text.substring(0, 100)
-            });
+            addMatch(i, j, similarity);
           }
         }
       }
@@ -475,12 +445,84 @@ class TextAnalysisUtils {
     };
   }
 
+  /**
+   * Find all near-duplicate pairs in a list of texts in roughly linear time using MinHash/LSH
+   * With verify, every pair sharing an LSH bucket is checked and the exact measure alone decides,
+   * so a pair is judged the same way as when all pairs are compared
+   * @param {Array} texts - Texts to compare
+   * @param {Object} options - { jaccardThreshold, numHashes, shingleSize, verify: 'cosine'|'levenshtein', verifyThreshold }
+   * @returns {Array} [{ index1, index2, similarity, verifiedSimilarity? }] where similarity is the estimated Jaccard
+   */
+  static findNearDuplicatePairs(texts, options = {}) {
+    if (!Array.isArray(texts) || texts.length < 2) return [];
+
+    const index = new MinHashIndex(options);
+    texts.forEach(text => index.add(text));
+
+    const pairs = index.findNearDuplicates(options.verify ? 0 : options.jaccardThreshold);
+    if (!options.verify) return pairs;
+
+    // Verify candidates with the exact similarity measures
+    const verify = options.verify === 'levenshtein'
+      ? (a, b) => this.similarityRatio(this.normalizeText(a), this.normalizeText(b))
+      : (a, b) => this.cosineSimilarity(a, b);
+    const verifyThreshold = options.verifyThreshold ?? 0;
+
+    return pairs
+      .map(pair => ({ ...pair, verifiedSimilarity: verify(texts[pair.index1], texts[pair.index2]) }))
+      .filter(pair => pair.verifiedSimilarity > verifyThreshold);
+  }
+
+  /**
+   * Group pairwise matches ({ index1, index2 }) into connected clusters using union-find
+   * @returns {Array} Arrays of member indices (size >= 2), largest first
+   */
+  static clusterMatches(matches) {
+    const parent = new Map();
+
+    const find = (index) => {
+      let root = index;
+      while (parent.get(root) !== root) {
+        root = parent.get(root);
+      }
+      // Path compression
+      while (parent.get(index) !== root) {
+        const next = parent.get(index);
+        parent.set(index, root);
+        index = next;
+      }
+      return root;
+    };
+
+    (matches || []).forEach(({ index1, index2 }) => {
+      if (!parent.has(index1)) parent.set(index1, index1);
+      if (!parent.has(index2)) parent.set(index2, index2);
+
+      const root1 = find(index1);
+      const root2 = find(index2);
+      if (root1 !== root2) {
+        parent.set(Math.max(root1, root2), Math.min(root1, root2));
+      }
+    });
+
+    const clusters = new Map();
+    parent.forEach((_, index) => {
+      const root = find(index);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(index);
+    });
+
+    return Array.from(clusters.values())
+      .map(members => members.sort((a, b) => a - b))
+      .sort((a, b) => b.length - a.length || a[0] - b[0]);
+  }
+
   /**
    * Extract key statistics from text
    */
   static getTextStats(text) {
     const words = this.tokenize(text);
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+    const sentences = TextPipeline.sentences(text);
     const characters = text.replace(/\s/g, '').length;
 
     return {
@@ -496,11 +538,7 @@ class TextAnalysisUtils {
    * Normalize text for comparison (remove extra spaces, lowercase, etc.)
    */
   static normalizeText(text) {
-    return text
-      .toLowerCase()
-      .trim()
-      .replace(/\s+/g, ' ')
-      .replace(/[^\w\s]/g, '');
+    return TextPipeline.normalizeForComparison(text);
   }
 
   /**
@@ -521,7 +559,9 @@ class TextAnalysisUtils {
       /(telegram|whatsapp|dm me)/i
     ];
 
-    const matches = spamPatterns.filter(pattern => pattern.test(text));
+    // Compatibility folding catches look-alike spellings such as full-width "ｃｌｉｃｋ ｈｅｒｅ"
+    const normalized = TextPipeline.normalize(text, 'NFKC');
+    const matches = spamPatterns.filter(pattern => pattern.test(normalized));
 
     const config = typeof CONFIG !== 'undefined' ? CONFIG : { THRESHOLDS: { SPAM_CONFIDENCE: 0.3 } };
 
@@ -533,7 +573,277 @@ class TextAnalysisUtils {
   }
 }
 
+/**
+ * MinHash signatures over character shingles with locality-sensitive hashing (banding)
+ * Finds candidate near-duplicate pairs without comparing every pair of texts
+ */
+class MinHashIndex {
+  /**
+   * @param {Object} options - { numHashes, shingleSize, jaccardThreshold }
+   */
+  constructor(options = {}) {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      NEAR_DUPLICATE: { NUM_HASHES: 64, SHINGLE_SIZE: 5, JACCARD_THRESHOLD: 0.5 }
+    };
+
+    this.numHashes = options.numHashes || config.NEAR_DUPLICATE.NUM_HASHES;
+    this.shingleSize = options.shingleSize || config.NEAR_DUPLICATE.SHINGLE_SIZE;
+    this.jaccardThreshold = options.jaccardThreshold ?? config.NEAR_DUPLICATE.JACCARD_THRESHOLD;
+
+    const { bands, rows } = MinHashIndex.chooseBands(this.numHashes, this.jaccardThreshold);
+    this.bands = bands;
+    this.rows = rows;
+
+    this.seeds = Array.from({ length: this.numHashes }, (_, i) => MinHashIndex.mix(i + 0x9e3779b9));
+    this.signatures = [];
+    this.buckets = new Map(); // band key -> item indices
+  }
+
+  /**
+   * Pick bands x rows = numHashes so the LSH threshold (1/bands)^(1/rows) is as close as possible
+   * to the Jaccard threshold without exceeding it (favours recall; candidates are checked afterwards)
+   */
+  static chooseBands(numHashes, threshold) {
+    let best = { bands: numHashes, rows: 1 };
+    let bestThreshold = 1 / numHashes;
+
+    for (let rows = 1; rows <= numHashes; rows++) {
+      if (numHashes % rows !== 0) continue;
+      const bands = numHashes / rows;
+      const lshThreshold = Math.pow(1 / bands, 1 / rows);
+      if (lshThreshold <= threshold && lshThreshold > bestThreshold) {
+        best = { bands, rows };
+        bestThreshold = lshThreshold;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * 32-bit integer finalizer (MurmurHash3 fmix32)
+   */
+  static mix(value) {
+    let h = value >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  /**
+   * FNV-1a hash of a string
+   */
+  static hashString(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  /**
+   * Hashed character shingles of the normalized text (the whole text when shorter than one shingle)
+   */
+  shingles(text) {
+    const normalized = TextPipeline.normalizeForComparison(String(text || ''));
+
+    const shingles = new Set();
+    if (normalized.length <= this.shingleSize) {
+      if (normalized.length > 0) shingles.add(MinHashIndex.hashString(normalized));
+      return shingles;
+    }
+
+    for (let i = 0; i <= normalized.length - this.shingleSize; i++) {
+      shingles.add(MinHashIndex.hashString(normalized.substring(i, i + this.shingleSize)));
+    }
+    return shingles;
+  }
+
+  /**
+   * MinHash signature of a text, or null when it has no shingles
+   * Indexes with the same options give the same signatures, so they can be computed elsewhere (the engine)
+   */
+  signature(text) {
+    const shingles = this.shingles(text);
+    if (shingles.size === 0) return null;
+
+    const signature = new Uint32Array(this.numHashes).fill(0xffffffff);
+    shingles.forEach((shingle) => {
+      for (let i = 0; i < this.numHashes; i++) {
+        const value = MinHashIndex.mix(shingle ^ this.seeds[i]);
+        if (value < signature[i]) signature[i] = value;
+      }
+    });
+    return signature;
+  }
+
+  /**
+   * LSH bucket keys of a signature, one per band
+   */
+  bandKeys(signature) {
+    return Array.from({ length: this.bands }, (_, band) => {
+      const start = band * this.rows;
+      return `${band}:${Array.prototype.join.call(signature.subarray(start, start + this.rows), ',')}`;
+    });
+  }
+
+  /**
+   * Add a text to the index
+   * @returns {number} Index of the text (insertion order)
+   */
+  add(text) {
+    return this.addSignature(this.signature(text));
+  }
+
+  /**
+   * Add a text by its signature (from signature(), possibly as a plain array)
+   * @returns {number} Index of the text (insertion order)
+   */
+  addSignature(values) {
+    const signature = values ? Uint32Array.from(values) : null;
+    const index = this.signatures.length;
+    this.signatures.push(signature);
+    if (!signature) return index;
+
+    this.bandKeys(signature).forEach((key) => {
+      if (!this.buckets.has(key)) this.buckets.set(key, []);
+      this.buckets.get(key).push(index);
+    });
+
+    return index;
+  }
+
+  /**
+   * Indexed texts sharing at least one LSH bucket with a text
+   * @returns {Array} Their indices, ascending
+   */
+  neighbours(index) {
+    const signature = this.signatures[index];
+    if (!signature) return [];
+
+    const neighbours = new Set();
+    this.bandKeys(signature).forEach((key) => {
+      this.buckets.get(key).forEach((other) => {
+        if (other !== index) neighbours.add(other);
+      });
+    });
+    return Array.from(neighbours).sort((a, b) => a - b);
+  }
+
+  /**
+   * Estimated Jaccard similarity of two indexed texts (share of equal signature values)
+   */
+  estimateSimilarity(index1, index2) {
+    const a = this.signatures[index1];
+    const b = this.signatures[index2];
+    if (!a || !b) return 0;
+
+    let equal = 0;
+    for (let i = 0; i < this.numHashes; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / this.numHashes;
+  }
+
+  /**
+   * Pairs sharing at least one LSH bucket
+   * @returns {Array} [[index1, index2]] with index1 < index2
+   */
+  findCandidatePairs() {
+    const seen = new Set();
+    const pairs = [];
+
+    this.buckets.forEach((members) => {
+      for (let i = 0; i < members.length - 1; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const key = members[i] * this.signatures.length + members[j];
+          if (!seen.has(key)) {
+            seen.add(key);
+            pairs.push([members[i], members[j]]);
+          }
+        }
+      }
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Candidate pairs whose estimated Jaccard similarity reaches the threshold
+   * @returns {Array} [{ index1, index2, similarity }]
+   */
+  findNearDuplicates(threshold = this.jaccardThreshold) {
+    return this.findCandidatePairs()
+      .map(([index1, index2]) => ({ index1, index2, similarity: this.estimateSimilarity(index1, index2) }))
+      .filter(pair => pair.similarity >= threshold)
+      .sort((a, b) => a.index1 - b.index1 || a.index2 - b.index2);
+  }
+}
+
+/**
+ * Near-duplicate matches for coordinated-activity detection, kept up to date as texts are added
+ * Each new text is compared only with earlier texts sharing an LSH bucket (every earlier text
+ * while the set is small), and cosine similarity alone decides, like
+ * detectCoordinatedComments()
+ */
+class CoordinationIndex {
+  /**
+   * @param {number} threshold - Cosine similarity above which two texts match
+   */
+  constructor(threshold = 0.7) {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {
+      PERFORMANCE: { MAX_COMMENTS_TO_COMPARE: 5000, LARGE_DATASET_THRESHOLD: 20 }
+    };
+    this.limits = config.PERFORMANCE;
+    this.threshold = threshold;
+    this.index = new MinHashIndex();
+    this.texts = [];
+    this.matches = []; // [{ index1, index2, similarity }], indices in insertion order
+  }
+
+  /**
+   * Number of texts indexed
+   */
+  get size() {
+    return this.texts.length;
+  }
+
+  /**
+   * Add texts with their MinHash signatures (see MinHashIndex.signature) and match them against
+   * the texts already indexed; texts beyond MAX_COMMENTS_TO_COMPARE are ignored
+   * @returns {Array} The new matches
+   */
+  add(texts, signatures) {
+    const added = [];
+
+    texts.forEach((text, i) => {
+      if (this.texts.length >= this.limits.MAX_COMMENTS_TO_COMPARE) return;
+
+      const index = this.index.addSignature(signatures[i]);
+      this.texts.push(text || '');
+      if (!text) return;
+
+      const candidates = index < this.limits.LARGE_DATASET_THRESHOLD
+        ? Array.from({ length: index }, (_, other) => other)
+        : this.index.neighbours(index).filter(other => other < index);
+
+      candidates.forEach((other) => {
+        if (!this.texts[other]) return;
+        const similarity = TextAnalysisUtils.cosineSimilarity(this.texts[other], text);
+        if (similarity > this.threshold) {
+          added.push({ index1: other, index2: index, similarity });
+        }
+      });
+    });
+
+    this.matches.push(...added);
+    return added;
+  }
+}
+
 // Make available globally
 if (typeof window !== 'undefined') {
   window.TextAnalysisUtils = TextAnalysisUtils;
+  window.MinHashIndex = MinHashIndex;
+  window.CoordinationIndex = CoordinationIndex;
 }